@@ -0,0 +1,93 @@
+import { appendFileSync, createReadStream, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { createInterface } from 'readline';
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+
+/**
+ * Append-only audit store. One JSON Lines file per robot under `dir`:
+ *
+ *   data/audit/fordward.jsonl
+ *
+ * Entry structure:
+ * {
+ *   ts: number,              // epoch ms
+ *   robotId: string,
+ *   kind: string,            // control_acquired, command, command_result, robot_online, ...
+ *   clientId: string | null,
+ *   userId: string | null,
+ *   clientName: string | null,
+ *   role: string | null,
+ *   ...details               // kind-specific fields
+ * }
+ *
+ * Writes are synchronous so an entry is on disk before the action it
+ * describes is acknowledged.
+ */
+export function createAuditLog({ dir }) {
+  mkdirSync(dir, { recursive: true });
+
+  function fileFor(robotId) {
+    return join(dir, `${encodeURIComponent(robotId)}.jsonl`);
+  }
+
+  function record(robotId, kind, actor = null, details = {}) {
+    const entry = {
+      ts: Date.now(),
+      robotId,
+      kind,
+      clientId: actor?.clientId || null,
+      userId: actor?.userId || null,
+      clientName: actor?.clientName || null,
+      role: actor?.role || null,
+      ...details,
+    };
+    try {
+      appendFileSync(fileFor(robotId), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error(`[AUDIT] Failed to write entry for ${robotId}:`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Filters: { from, to (epoch ms), clientId, userId, kinds: string[], limit, offset }
+   * Returns newest entries first.
+   */
+  async function query(robotId, { from, to, clientId, userId, kinds, limit = 100, offset = 0 } = {}) {
+    const file = fileFor(robotId);
+    if (!existsSync(file)) {
+      return { entries: [], total: 0, limit, offset };
+    }
+
+    const matches = [];
+    const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Torn write from a crash; skip it
+      }
+      if (from && entry.ts < from) continue;
+      if (to && entry.ts > to) continue;
+      if (clientId && entry.clientId !== clientId) continue;
+      if (userId && entry.userId !== userId) continue;
+      if (kinds?.length && !kinds.includes(entry.kind)) continue;
+      matches.push(entry);
+    }
+
+    matches.reverse();
+    return {
+      entries: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset,
+    };
+  }
+
+  return { record, query };
+}
@@ -0,0 +1,158 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+/**
+ * WebSocket close codes sent when a connection is rejected.
+ * 4000-4999 is the application-defined range in RFC 6455.
+ */
+export const CLOSE_CODES = {
+  UNAUTHORIZED: 4401,   // Missing or invalid credentials
+  FORBIDDEN: 4403,      // Valid credentials, but not for this robot
+  HELLO_TIMEOUT: 4408,  // Robot never sent hello/register
+  REPLACED: 4409,       // Robot reconnected, old socket superseded
+  UNSUPPORTED_PROTOCOL: 4426, // No protocol version in common
+};
+
+/**
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256).
+ *
+ * Operator payload: { sub: 'alice', name: 'Alice', exp }
+ * Robot payload:    { sub: 'robot:fordward', robotId: 'fordward', exp }
+ *
+ * `exp` is seconds since epoch and optional (omit for non-expiring robot tokens).
+ */
+export function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+export function verifyToken(token, secret) {
+  if (!token || !secret || typeof token !== 'string') return null;
+
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = createHmac('sha256', secret).update(body).digest('base64url');
+  if (!safeEqual(sig, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (payload.exp && Date.now() / 1000 > payload.exp) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse ROBOT_SECRETS. Accepts JSON ({"fordward":"s3cret"}) or a
+ * comma-separated list (fordward:s3cret,other:hunter2).
+ */
+export function parseRobotSecrets(raw) {
+  const secrets = new Map();
+  if (!raw) return secrets;
+
+  const trimmed = raw.trim();
+  if (trimmed.startsWith('{')) {
+    Object.entries(JSON.parse(trimmed)).forEach(([id, secret]) => secrets.set(id, String(secret)));
+    return secrets;
+  }
+
+  trimmed.split(',').forEach((pair) => {
+    const idx = pair.indexOf(':');
+    if (idx > 0) secrets.set(pair.slice(0, idx).trim(), pair.slice(idx + 1).trim());
+  });
+  return secrets;
+}
+
+/**
+ * Pull a bearer token from an HTTP request (upgrade or REST).
+ * Browsers can't set headers on WebSocket upgrades, so `?token=` is accepted too.
+ */
+export function extractToken(request) {
+  const header = request.headers?.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  const url = new URL(request.url, `http://${request.headers?.host || 'localhost'}`);
+  return url.searchParams.get('token');
+}
+
+export function createAuthenticator({ secret, robotSecrets = new Map(), disabled = false }) {
+  /**
+   * Authenticate a UI client / REST caller. Returns an identity
+   * ({ userId, name }) or null.
+   */
+  function authenticateOperator(token) {
+    if (disabled) return { userId: null, name: null };
+
+    const payload = verifyToken(token, secret);
+    if (!payload || !payload.sub || payload.robotId) return null;
+    return { userId: String(payload.sub), name: String(payload.name || payload.sub) };
+  }
+
+  /**
+   * Authenticate a robot's hello/register message. The robot may present
+   * either its shared secret (`secret`) or a signed robot token (`token`).
+   * Returns { ok: true } or { ok: false, code, reason }.
+   */
+  function authenticateRobot(robotId, message) {
+    if (disabled) return { ok: true };
+
+    if (message.token) {
+      const payload = verifyToken(message.token, secret);
+      if (!payload || !payload.robotId) {
+        return { ok: false, code: CLOSE_CODES.UNAUTHORIZED, reason: 'Invalid robot token' };
+      }
+      if (payload.robotId !== robotId) {
+        return { ok: false, code: CLOSE_CODES.FORBIDDEN, reason: `Token not valid for ${robotId}` };
+      }
+      return { ok: true };
+    }
+
+    const expected = robotSecrets.get(robotId);
+    if (message.secret && expected && safeEqual(message.secret, expected)) {
+      return { ok: true };
+    }
+    return { ok: false, code: CLOSE_CODES.UNAUTHORIZED, reason: 'Invalid robot credentials' };
+  }
+
+  /**
+   * Express middleware: same operator tokens as the /ui socket.
+   */
+  function requireOperator(req, res, next) {
+    const identity = authenticateOperator(extractToken(req));
+    if (!identity) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.user = identity;
+    next();
+  }
+
+  /**
+   * Express middleware for robot HTTP uploads on /robot/:robotId/...:
+   * a robot token as bearer, or the shared secret in X-Robot-Secret.
+   */
+  function requireRobot(req, res, next) {
+    const result = authenticateRobot(req.params.robotId, {
+      token: extractToken(req),
+      secret: req.headers['x-robot-secret'],
+    });
+    if (!result.ok) {
+      return res.status(result.code === CLOSE_CODES.FORBIDDEN ? 403 : 401).json({ error: result.reason });
+    }
+    next();
+  }
+
+  return { authenticateOperator, authenticateRobot, requireOperator, requireRobot, disabled };
+}
@@ -0,0 +1,65 @@
+// =============================================================================
+// BATTERY POLICIES
+// =============================================================================
+
+/**
+ * Battery levels, worst last. Thresholds are "at or below" percentages.
+ */
+export const BATTERY_LEVELS = ['ok', 'warn', 'block', 'critical'];
+
+const THRESHOLDS = [
+  ['critical', 'autoDockPercent'],
+  ['block', 'blockPercent'],
+  ['warn', 'warnPercent'],
+];
+
+export function validateBatteryPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return false;
+  const { warnPercent, blockPercent, autoDockPercent } = policy;
+  const percents = [warnPercent, blockPercent, autoDockPercent];
+  return Object.keys(policy).every(key => ['warnPercent', 'blockPercent', 'autoDockPercent'].includes(key))
+    && percents.every(p => typeof p === 'number' && p >= 0 && p <= 100)
+    && warnPercent >= blockPercent && blockPercent >= autoDockPercent;
+}
+
+function levelFor(percent, policy) {
+  const match = THRESHOLDS.find(([, key]) => percent <= policy[key]);
+  return match ? match[0] : 'ok';
+}
+
+/**
+ * Tracks each robot's battery level against its policy and reports
+ * changes. Getting better needs `hysteresisPercent` of headroom above the
+ * threshold, so a battery hovering at 20% doesn't flap between levels.
+ */
+export function createBatteryMonitor({ policyFor, onLevelChange, hysteresisPercent = 2 }) {
+  const levels = new Map(); // robotId -> level
+
+  function update(robotId, percent) {
+    if (typeof percent !== 'number' || !Number.isFinite(percent)) return levelOf(robotId);
+
+    const policy = policyFor(robotId);
+    const previous = levelOf(robotId);
+    let level = levelFor(percent, policy);
+    if (BATTERY_LEVELS.indexOf(level) < BATTERY_LEVELS.indexOf(previous)) {
+      // Improving: only if clear of the threshold by the hysteresis margin
+      const recovered = levelFor(percent - hysteresisPercent, policy);
+      if (BATTERY_LEVELS.indexOf(recovered) >= BATTERY_LEVELS.indexOf(previous)) level = previous;
+    }
+    if (level !== previous) {
+      levels.set(robotId, level);
+      onLevelChange(robotId, level, previous, percent);
+    }
+    return level;
+  }
+
+  function levelOf(robotId) {
+    return levels.get(robotId) || 'ok';
+  }
+
+  function reset(robotId) {
+    levels.delete(robotId);
+  }
+
+  return { update, levelOf, reset };
+}
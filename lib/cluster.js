@@ -0,0 +1,188 @@
+import { EventEmitter } from 'events';
+
+// =============================================================================
+// CLUSTER BACKENDS
+// =============================================================================
+
+/**
+ * Shared state for running several relay instances behind a load
+ * balancer. The instance holding a robot's socket is its home: it owns
+ * the robot's state, and UI messages for the robot are routed there.
+ * A backend provides:
+ *
+ *   instanceId
+ *   start() / close()
+ *
+ *   heartbeat(ttlMs)                        this instance is alive
+ *   listInstances() -> string[]
+ *
+ *   setPresence(robotId, ttlMs)             robot's socket is on this instance
+ *   clearPresence(robotId) -> boolean       only if it's on this instance
+ *   listPresence() -> Map<robotId, instanceId>
+ *
+ *   Control lock, holder = { clientId, clientName, role, since }:
+ *   acquireControl(robotId, holder, leaseMs) -> { acquired, renewed, holder }
+ *                                           free, or already held by holder.clientId
+ *   forceControl(robotId, holder, leaseMs) -> previous holder | null
+ *   releaseControl(robotId, clientId) -> boolean   only if held by clientId
+ *   renewControl(robotId, clientId, leaseMs) -> boolean
+ *   getControl(robotId) -> holder | null
+ *
+ *   E-stop latch, latch = { triggeredBy, reason, since }:
+ *   setEstop(robotId, latch) / clearEstop(robotId)
+ *   getEstop(robotId) -> latch | null
+ *
+ *   publish(channel, message) / subscribe(channel, handler(message))
+ *
+ * All methods return promises. Presence and locks are leases: if an
+ * instance dies, its robots and locks expire instead of sticking. E-stop
+ * latches aren't: one stands until it's reset, wherever the robot goes.
+ */
+
+/**
+ * What memory backends keep. Backends given the same store behave like
+ * instances sharing one Redis, which is how the cluster is tested.
+ */
+export function createMemoryStore() {
+  return {
+    entries: new Map(), // key -> { value, expiresAt }
+    channels: new Map(), // channel -> Set<handler>
+  };
+}
+
+/**
+ * In-process backend: the default when running a single instance.
+ */
+export function createMemoryBackend({ instanceId, store = createMemoryStore() }) {
+  const { entries, channels } = store;
+  const own = []; // [channel, handler] this backend subscribed
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function write(key, value, ttlMs) {
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  function keysWithPrefix(prefix) {
+    return Array.from(entries.keys()).filter(key => key.startsWith(prefix) && read(key) !== null);
+  }
+
+  return {
+    instanceId,
+
+    async start() {},
+    async close() {
+      own.splice(0).forEach(([channel, handler]) => channels.get(channel)?.delete(handler));
+    },
+
+    async heartbeat(ttlMs) {
+      write(`instance:${instanceId}`, true, ttlMs);
+    },
+
+    async listInstances() {
+      return keysWithPrefix('instance:').map(key => key.slice('instance:'.length));
+    },
+
+    async setPresence(robotId, ttlMs) {
+      write(`robot:${robotId}`, instanceId, ttlMs);
+    },
+
+    async clearPresence(robotId) {
+      if (read(`robot:${robotId}`) !== instanceId) return false;
+      entries.delete(`robot:${robotId}`);
+      return true;
+    },
+
+    async listPresence() {
+      return new Map(keysWithPrefix('robot:').map(key => [key.slice('robot:'.length), read(key)]));
+    },
+
+    async acquireControl(robotId, holder, leaseMs) {
+      const current = read(`control:${robotId}`);
+      if (current && current.clientId !== holder.clientId) {
+        return { acquired: false, renewed: false, holder: current };
+      }
+      write(`control:${robotId}`, current || holder, leaseMs);
+      return { acquired: true, renewed: !!current, holder: current || holder };
+    },
+
+    async forceControl(robotId, holder, leaseMs) {
+      const previous = read(`control:${robotId}`);
+      write(`control:${robotId}`, holder, leaseMs);
+      return previous;
+    },
+
+    async releaseControl(robotId, clientId) {
+      if (read(`control:${robotId}`)?.clientId !== clientId) return false;
+      entries.delete(`control:${robotId}`);
+      return true;
+    },
+
+    async renewControl(robotId, clientId, leaseMs) {
+      const current = read(`control:${robotId}`);
+      if (current?.clientId !== clientId) return false;
+      write(`control:${robotId}`, current, leaseMs);
+      return true;
+    },
+
+    async getControl(robotId) {
+      return read(`control:${robotId}`);
+    },
+
+    async setEstop(robotId, latch) {
+      write(`estop:${robotId}`, latch, Infinity);
+    },
+
+    async clearEstop(robotId) {
+      entries.delete(`estop:${robotId}`);
+    },
+
+    async getEstop(robotId) {
+      return read(`estop:${robotId}`);
+    },
+
+    async publish(channel, message) {
+      // Async like a real broker, so publishers never re-enter themselves
+      const payload = JSON.stringify(message);
+      (channels.get(channel) || []).forEach(handler => setImmediate(() => handler(JSON.parse(payload))));
+    },
+
+    async subscribe(channel, handler) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(handler);
+      own.push([channel, handler]);
+    },
+  };
+}
+
+/**
+ * Stand-in for a /ui WebSocket whose browser is connected to another
+ * instance. The UI handler treats it like any client; whatever it sends
+ * goes to `send(data)` to be relayed back.
+ */
+export function createRelaySocket(send) {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.CLOSED = 3;
+  ws.readyState = ws.OPEN;
+  ws.bufferedAmount = 0;
+  ws.send = (data) => {
+    if (ws.readyState === ws.OPEN) send(data);
+  };
+  ws.ping = () => {};
+  ws.close = () => {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.readyState = ws.CLOSED;
+    ws.emit('close');
+  };
+  ws.terminate = ws.close;
+  return ws;
+}
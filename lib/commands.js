@@ -0,0 +1,79 @@
+// =============================================================================
+// COMMAND CORRELATION
+// =============================================================================
+
+/**
+ * Tracks commands forwarded to robots until the matching command_result
+ * arrives or the command times out.
+ *
+ * Pending entry structure:
+ * {
+ *   commandId: string,
+ *   robotId: string,
+ *   command: string,        // UI command kind (e.g. 'goto_poi')
+ *   robotCommand: string,   // Name sent to the robot (e.g. 'go_to_poi')
+ *   clientId: string | null,
+ *   clientName: string | null,
+ *   sentAt: number,
+ *   timer: Timeout
+ * }
+ */
+export function createCommandTracker({ timeoutFor, onTimeout }) {
+  const pending = new Map(); // robotId -> Map<commandId, entry>
+
+  function forRobot(robotId) {
+    if (!pending.has(robotId)) pending.set(robotId, new Map());
+    return pending.get(robotId);
+  }
+
+  function has(robotId, commandId) {
+    return !!pending.get(robotId)?.has(commandId);
+  }
+
+  function track(robotId, entry) {
+    const commands = forRobot(robotId);
+    const tracked = { ...entry, robotId, sentAt: Date.now() };
+    tracked.timer = setTimeout(() => {
+      commands.delete(tracked.commandId);
+      onTimeout(tracked);
+    }, timeoutFor(entry.command));
+    commands.set(tracked.commandId, tracked);
+    return tracked;
+  }
+
+  /**
+   * Match a command_result to its pending command. Robots that echo
+   * command_id get an exact match; older cloud_bridge builds that don't
+   * are matched to the oldest pending command with the same name.
+   */
+  function resolve(robotId, { commandId, command }) {
+    const commands = pending.get(robotId);
+    if (!commands) return null;
+
+    let entry = commandId ? commands.get(commandId) : null;
+    if (!entry && !commandId && command) {
+      entry = Array.from(commands.values())
+        .find(e => e.robotCommand === command || e.command === command) || null;
+    }
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    commands.delete(entry.commandId);
+    return entry;
+  }
+
+  /**
+   * Drop every pending command for a robot (e.g. it disconnected) and
+   * return them so the caller can notify the issuers.
+   */
+  function drain(robotId) {
+    const commands = pending.get(robotId);
+    if (!commands) return [];
+    const entries = Array.from(commands.values());
+    entries.forEach(entry => clearTimeout(entry.timer));
+    pending.delete(robotId);
+    return entries;
+  }
+
+  return { has, track, resolve, drain };
+}
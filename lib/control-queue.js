@@ -0,0 +1,122 @@
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// CONTROL QUEUE & HANDOVERS
+// =============================================================================
+
+/**
+ * Per-robot wait queue for the control lock, first come first served, plus
+ * handover requests to the current owner. This only keeps the books; the
+ * relay decides when the lock is free and who may have it.
+ *
+ * Queue entries and handover requests hold the requester as an actor
+ * (clientId, clientName, role).
+ *
+ * Hooks:
+ *   onHandoverExpired(request)   owner didn't answer within handoverTimeoutMs
+ */
+export function createControlQueue({ handoverTimeoutMs = 30000, onHandoverExpired }) {
+  const queues = new Map();    // robotId -> [{ clientId, clientName, role, queuedAt }]
+  const handovers = new Map(); // requestId -> { requestId, robotId, from, requestedAt, expiresAt, timer }
+
+  function queueFor(robotId) {
+    return queues.get(robotId) || [];
+  }
+
+  /** 1-based place in line, 0 if not queued. */
+  function position(robotId, clientId) {
+    return queueFor(robotId).findIndex(entry => entry.clientId === clientId) + 1;
+  }
+
+  /** Join the back of the line; already queued keeps its place. Returns the position. */
+  function join(robotId, actor) {
+    const existing = position(robotId, actor.clientId);
+    if (existing) return existing;
+    if (!queues.has(robotId)) queues.set(robotId, []);
+    queues.get(robotId).push({ clientId: actor.clientId, clientName: actor.clientName, role: actor.role, queuedAt: Date.now() });
+    return queues.get(robotId).length;
+  }
+
+  function leave(robotId, clientId) {
+    const queue = queueFor(robotId);
+    const index = queue.findIndex(entry => entry.clientId === clientId);
+    if (index === -1) return false;
+    queue.splice(index, 1);
+    if (queue.length === 0) queues.delete(robotId);
+    return true;
+  }
+
+  function list(robotId) {
+    return queueFor(robotId).map((entry, i) => ({ ...entry, position: i + 1 }));
+  }
+
+  /**
+   * Take the first entry `eligible(entry)` accepts out of the line.
+   * Entries it passes over keep their place.
+   */
+  function next(robotId, eligible) {
+    const entry = queueFor(robotId).find(eligible);
+    if (entry) leave(robotId, entry.clientId);
+    return entry || null;
+  }
+
+  function clear(robotId) {
+    queues.delete(robotId);
+    cancelHandovers({ robotId });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Handover requests: asking the owner to hand the lock over
+  // ---------------------------------------------------------------------------
+
+  /** One request per requester and robot; asking again replaces it. */
+  function requestHandover(robotId, actor) {
+    cancelHandovers({ robotId, clientId: actor.clientId });
+    const request = {
+      requestId: randomUUID(),
+      robotId,
+      from: { clientId: actor.clientId, clientName: actor.clientName, role: actor.role },
+      requestedAt: Date.now(),
+      expiresAt: Date.now() + handoverTimeoutMs,
+      timer: null,
+    };
+    request.timer = setTimeout(() => {
+      handovers.delete(request.requestId);
+      onHandoverExpired?.(describe(request));
+    }, handoverTimeoutMs);
+    handovers.set(request.requestId, request);
+    return describe(request);
+  }
+
+  /** Answer a request: it's removed either way. Null if unknown or for another robot. */
+  function takeHandover(robotId, requestId) {
+    const request = handovers.get(requestId);
+    if (!request || request.robotId !== robotId) return null;
+    clearTimeout(request.timer);
+    handovers.delete(requestId);
+    return describe(request);
+  }
+
+  /** Drop pending requests on a robot and/or from a client. Returns them. */
+  function cancelHandovers({ robotId = null, clientId = null }) {
+    const cancelled = Array.from(handovers.values())
+      .filter(request => (!robotId || request.robotId === robotId) && (!clientId || request.from.clientId === clientId));
+    cancelled.forEach((request) => {
+      clearTimeout(request.timer);
+      handovers.delete(request.requestId);
+    });
+    return cancelled.map(describe);
+  }
+
+  function describe({ timer: _timer, ...request }) {
+    return request;
+  }
+
+  /** A client left for good: out of every line, requests withdrawn. */
+  function removeClient(clientId) {
+    const robotIds = Array.from(queues.keys()).filter(robotId => leave(robotId, clientId));
+    return { robotIds, handovers: cancelHandovers({ clientId }) };
+  }
+
+  return { join, leave, position, list, next, clear, requestHandover, takeHandover, cancelHandovers, removeClient };
+}
@@ -0,0 +1,43 @@
+// =============================================================================
+// TELEOP DEADMAN
+// =============================================================================
+
+/**
+ * Server-side deadman switch for teleop. Every nonzero teleop command
+ * re-arms a per-robot timer; if the operator stops streaming for
+ * `timeoutFor(robotId)` ms, `onTrip(robotId, 'teleop_timeout')` fires so
+ * the relay can send a stop. A zero-velocity teleop disarms it (the robot
+ * is already commanded to stand still).
+ */
+export function createDeadman({ timeoutFor, onTrip }) {
+  const armed = new Map(); // robotId -> Timeout
+
+  function disarm(robotId) {
+    const timer = armed.get(robotId);
+    if (!timer) return false;
+    clearTimeout(timer);
+    armed.delete(robotId);
+    return true;
+  }
+
+  function feed(robotId, moving) {
+    disarm(robotId);
+    if (!moving) return;
+    armed.set(robotId, setTimeout(() => {
+      armed.delete(robotId);
+      onTrip(robotId, 'teleop_timeout');
+    }, timeoutFor(robotId)));
+  }
+
+  /**
+   * Trip immediately (control released, forced away, owner disconnected).
+   * Only fires if teleop motion is in progress; returns whether it did.
+   */
+  function trip(robotId, reason) {
+    if (!disarm(robotId)) return false;
+    onTrip(robotId, reason);
+    return true;
+  }
+
+  return { feed, trip, disarm, isArmed: (robotId) => armed.has(robotId) };
+}
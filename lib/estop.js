@@ -0,0 +1,106 @@
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// EMERGENCY STOP
+// =============================================================================
+
+/**
+ * Latching e-stop. Triggering latches the robot and sends it a stop,
+ * repeated every `retryMs` until a command_result for it comes back; a
+ * robot that is offline gets it again as soon as it reconnects (see
+ * `resend`). The latch holds until `reset`, whatever the robot says, and
+ * the relay refuses motion while it does.
+ *
+ * Each trigger or resend is a new stop with its own command_id, so late
+ * answers to an earlier one aren't taken as acknowledgement.
+ *
+ * Hooks:
+ *   send(robotId, robotCommand, latch) -> boolean   false if the robot isn't connected
+ */
+export function createEstopLatch({ retryMs, send }) {
+  const latches = new Map(); // robotId -> { ..., timer }
+
+  /**
+   * Latch `robotId` (again) and start sending. `by` is the actor who
+   * pressed it; `since` is given for a latch set on another instance.
+   * Returns the latch and whether it was already latched.
+   */
+  function trigger(robotId, { by, reason = null, since = Date.now() }) {
+    const existing = latches.get(robotId);
+    const latch = existing || { robotId, triggeredBy: by, reason, since };
+    latches.set(robotId, latch);
+    start(latch);
+    return { latch: describe(latch), already: !!existing };
+  }
+
+  /** Send a latched robot's stop again (it reconnected). False if not latched. */
+  function resend(robotId) {
+    const latch = latches.get(robotId);
+    if (!latch) return false;
+    start(latch);
+    return true;
+  }
+
+  function start(latch) {
+    clearInterval(latch.timer);
+    Object.assign(latch, {
+      commandId: `estop-${randomUUID().slice(0, 8)}`,
+      sentAt: null,
+      attempts: 0,
+      acknowledged: null,
+    });
+    attempt(latch);
+    latch.timer = setInterval(() => attempt(latch), retryMs);
+  }
+
+  function attempt(latch) {
+    const robotCommand = { type: 'command', command: 'stop', command_id: latch.commandId, estop: true };
+    if (!send(latch.robotId, robotCommand, describe(latch))) return;
+    latch.attempts++;
+    latch.sentAt ??= Date.now();
+  }
+
+  /** Whether a command_result with this id answers the robot's e-stop. */
+  function owns(robotId, commandId) {
+    return !!commandId && latches.get(robotId)?.commandId === commandId;
+  }
+
+  /**
+   * The robot answered (see `owns`). Any answer stops the repeats; a
+   * failed one is kept on the latch for the UI to show. Returns the latch,
+   * or null for a repeat answer to a stop already acknowledged.
+   */
+  function acknowledge(robotId, { success, message = null }) {
+    const latch = latches.get(robotId);
+    if (!latch || latch.acknowledged) return null;
+    clearInterval(latch.timer);
+    latch.timer = null;
+    latch.acknowledged = { success: !!success, message, at: Date.now() };
+    return describe(latch);
+  }
+
+  /** Unlatch; returns the latch as it was, or null if there wasn't one. */
+  function reset(robotId) {
+    const latch = latches.get(robotId);
+    if (!latch) return null;
+    clearInterval(latch.timer);
+    latches.delete(robotId);
+    return describe(latch);
+  }
+
+  function describe(latch) {
+    const { timer: _timer, ...rest } = latch;
+    return { ...rest, acknowledged: rest.acknowledged ? { ...rest.acknowledged } : null };
+  }
+
+  return {
+    trigger,
+    resend,
+    owns,
+    acknowledge,
+    reset,
+    get: (robotId) => (latches.has(robotId) ? describe(latches.get(robotId)) : null),
+    isLatched: (robotId) => latches.has(robotId),
+    robotIds: () => Array.from(latches.keys()),
+  };
+}
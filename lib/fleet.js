@@ -0,0 +1,150 @@
+import { diffState } from './state-stream.js';
+
+// =============================================================================
+// FLEET
+// =============================================================================
+
+/**
+ * Groups are selectors over the robots' registry settings rather than
+ * lists of their own, so a robot is in a group as soon as its config says
+ * so:
+ *
+ *   *                every robot
+ *   site:<site>      robots whose `site` is <site>
+ *   tag:<tag>        robots with <tag> in their `tags`
+ *
+ * Returns a predicate on a robot's settings, or null if `group` isn't one
+ * of these.
+ */
+export function parseGroup(group) {
+  if (group === '*') return () => true;
+  const [, kind, name] = /^(site|tag):(.+)$/.exec(group) || [];
+  if (kind === 'site') return settings => settings.site === name;
+  if (kind === 'tag') return settings => (settings.tags || []).includes(name);
+  return null;
+}
+
+/**
+ * Collects the per-robot outcomes of a group command into one result.
+ * Robots are added as `rejected` (never sent) or `pending`; pending ones
+ * are settled as their command_result or timeout comes in, or reported
+ * as finished results by the instance that sent them. `onDone(result)`
+ * is called once, when nothing is pending any more and `seal()` has been
+ * called (so a robot answering before the others are sent doesn't end it
+ * early).
+ */
+export function createGroupCommand({ group, commandId, command, onDone }) {
+  const results = new Map(); // robotId -> { robotId, status, commandId, code, message }
+  let sealed = false;
+  let done = false;
+
+  function reject(robotId, { code, message }) {
+    results.set(robotId, { robotId, status: 'rejected', code, message });
+  }
+
+  function pending(robotId, robotCommandId) {
+    results.set(robotId, { robotId, status: 'pending', commandId: robotCommandId });
+  }
+
+  /** Outcome as passed to forwardCommand's onOutcome. */
+  function settle(robotId, { kind, success, message }) {
+    const status = success ? 'succeeded' : kind === 'command_timeout' ? 'timed_out' : 'failed';
+    results.set(robotId, { ...results.get(robotId), status, message: message || null });
+    check();
+  }
+
+  /** Finished results from another instance's share of the command. */
+  function report(list) {
+    list.forEach((result) => {
+      if (results.get(result.robotId)?.status === 'pending') results.set(result.robotId, result);
+    });
+    check();
+  }
+
+  /** Give up on whatever is still pending, e.g. when its instance never answers. */
+  function expire(message) {
+    results.forEach((result, robotId) => {
+      if (result.status === 'pending') results.set(robotId, { ...result, status: 'timed_out', message });
+    });
+    check();
+  }
+
+  function seal() {
+    sealed = true;
+    check();
+  }
+
+  function check() {
+    const list = Array.from(results.values());
+    if (done || !sealed || list.some(result => result.status === 'pending')) return;
+    done = true;
+    const summary = { total: list.length };
+    ['succeeded', 'failed', 'timed_out', 'rejected'].forEach((status) => {
+      summary[status] = list.filter(result => result.status === status).length;
+    });
+    onDone({ group, commandId, command, success: summary.succeeded === summary.total, summary, results: list });
+  }
+
+  return { reject, pending, settle, report, expire, seal };
+}
+
+/**
+ * Per-client fleet summary streams: a `fleet` snapshot of every robot in
+ * the group, then `fleet_delta` ops (see diffState) at most `maxRateHz`.
+ * Membership is re-evaluated each time, so robots joining or leaving the
+ * group show up as added or removed keys. A backed-up socket skips ticks
+ * rather than queueing them.
+ *
+ * Hooks:
+ *   getSummary(group) -> { robotId: status }   current summary of the group
+ *
+ * A stream's rate is capped at `rateLimitHz`, whatever the client asked.
+ */
+export function createFleetStreamer({ getSummary, defaultRateHz = 1, rateLimitHz = 10, maxBufferedBytes = 65536 }) {
+  const streams = new Map(); // clientId -> Map<group, stream>
+
+  function snapshot(group) {
+    return JSON.parse(JSON.stringify(getSummary(group)));
+  }
+
+  function open(clientId, ws, group, { maxRateHz = null } = {}) {
+    close(clientId, group);
+    if (!streams.has(clientId)) streams.set(clientId, new Map());
+    const stream = { ws, group, maxRateHz, seq: 0, lastSent: snapshot(group), timer: null };
+    streams.get(clientId).set(group, stream);
+    ws.send(JSON.stringify({ type: 'fleet', group, seq: stream.seq, robots: stream.lastSent }));
+    stream.timer = setInterval(() => tick(stream), 1000 / Math.min(maxRateHz || defaultRateHz, rateLimitHz));
+  }
+
+  function tick(stream) {
+    const { ws } = stream;
+    if (ws.readyState !== ws.OPEN || ws.bufferedAmount > maxBufferedBytes) return;
+    const robots = snapshot(stream.group);
+    const ops = diffState(stream.lastSent, robots);
+    if (ops.length === 0) return;
+    ws.send(JSON.stringify({ type: 'fleet_delta', group: stream.group, seq: ++stream.seq, ops }));
+    stream.lastSent = robots;
+  }
+
+  /** Move a client's streams to a new socket (resumed session), resending snapshots. */
+  function reattach(clientId, ws) {
+    Array.from(streams.get(clientId)?.values() || []).forEach((stream) => {
+      open(clientId, ws, stream.group, { maxRateHz: stream.maxRateHz });
+    });
+  }
+
+  function close(clientId, group) {
+    const stream = streams.get(clientId)?.get(group);
+    if (!stream) return false;
+    clearInterval(stream.timer);
+    streams.get(clientId).delete(group);
+    return true;
+  }
+
+  function closeAll(clientId) {
+    Array.from(streams.get(clientId)?.keys() || []).forEach(group => close(clientId, group));
+    streams.delete(clientId);
+  }
+
+  return { open, reattach, close, closeAll };
+}
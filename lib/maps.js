@@ -0,0 +1,253 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { deflateSync, inflateSync } from 'zlib';
+
+// =============================================================================
+// MAPS
+// =============================================================================
+
+/**
+ * Decode an uploaded occupancy grid into an Int8Array of width*height
+ * cells, row-major from the bottom-left (ROS OccupancyGrid order):
+ * -1 unknown, 0 free ... 100 occupied.
+ *
+ * `data` is a Buffer or base64 string; `encoding` is 'zlib' (default) or 'none'.
+ */
+export function decodeGrid({ width, height, encoding = 'zlib', data }, { maxCells }) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new Error('width and height must be positive integers');
+  }
+  if (width * height > maxCells) {
+    throw new Error(`Map too large: ${width}x${height} exceeds ${maxCells} cells`);
+  }
+  if (!['zlib', 'none'].includes(encoding)) {
+    throw new Error(`Unknown encoding "${encoding}" (use zlib or none)`);
+  }
+  const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data || ''), 'base64');
+  const bytes = encoding === 'zlib' ? inflateSync(raw, { maxOutputLength: maxCells }) : raw;
+  if (bytes.length !== width * height) {
+    throw new Error(`Expected ${width * height} cells, got ${bytes.length}`);
+  }
+  return new Int8Array(bytes.buffer, bytes.byteOffset, bytes.length);
+}
+
+/**
+ * Grayscale image of a grid, top row first (so it's flipped vertically
+ * relative to the grid). Same palette as ROS map_server: free is white,
+ * occupied black, unknown grey.
+ */
+export function gridToImage(grid, width, height) {
+  const image = new Uint8Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const src = (height - 1 - row) * width;
+    const dst = row * width;
+    for (let col = 0; col < width; col++) {
+      const value = grid[src + col];
+      image[dst + col] = value < 0 ? 205 : 254 - Math.round(Math.min(value, 100) * 2.54);
+    }
+  }
+  return image;
+}
+
+// -----------------------------------------------------------------------------
+// Minimal 8-bit grayscale PNG encoder
+// -----------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a `width` x `height` region of a grayscale image (row stride
+ * `stride`, starting at `offset`) as PNG.
+ */
+export function encodePng(image, width, height, { stride = width, offset = 0 } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 0;  // grayscale
+  const rows = Buffer.alloc((width + 1) * height);
+  for (let row = 0; row < height; row++) {
+    const start = offset + row * stride;
+    // Leading 0 per row: no filter
+    rows.set(image.subarray(start, start + width), row * (width + 1) + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// -----------------------------------------------------------------------------
+// Store
+// -----------------------------------------------------------------------------
+
+/**
+ * Latest grid per robot and map name, cut into `tileSize` square tiles in
+ * image space (tile 0,0 is the top-left of the PNG). Each upload bumps the
+ * map's version; re-uploads with the same geometry report which tiles
+ * changed so UIs can be sent just those.
+ *
+ * Persisted under `dir/<robotId>/<mapName>.json` (metadata) and `.grid`
+ * (zlib-compressed cells) so maps survive a relay restart.
+ */
+export function createMapStore({ dir, tileSize = 256 }) {
+  const maps = new Map(); // `${robotId}/${mapName}` -> entry
+
+  function robotDir(robotId) {
+    return join(dir, encodeURIComponent(robotId));
+  }
+
+  function files(robotId, mapName) {
+    const base = join(robotDir(robotId), encodeURIComponent(mapName));
+    return { meta: `${base}.json`, grid: `${base}.grid` };
+  }
+
+  function makeEntry(meta, grid) {
+    return {
+      ...meta,
+      image: gridToImage(grid, meta.width, meta.height),
+      tilesX: Math.ceil(meta.width / tileSize),
+      tilesY: Math.ceil(meta.height / tileSize),
+      pngCache: new Map(), // 'full' | 'tx,ty' -> Buffer for the current version
+    };
+  }
+
+  function load(robotId, mapName) {
+    const key = `${robotId}/${mapName}`;
+    if (!maps.has(key)) {
+      const { meta, grid } = files(robotId, mapName);
+      if (!existsSync(meta) || !existsSync(grid)) return null;
+      const parsed = JSON.parse(readFileSync(meta, 'utf8'));
+      const cells = inflateSync(readFileSync(grid));
+      maps.set(key, makeEntry(parsed, new Int8Array(cells.buffer, cells.byteOffset, cells.length)));
+    }
+    return maps.get(key);
+  }
+
+  function persist(robotId, meta, grid) {
+    mkdirSync(robotDir(robotId), { recursive: true });
+    const paths = files(robotId, meta.mapName);
+    writeFileSync(`${paths.grid}.tmp`, deflateSync(Buffer.from(grid.buffer, grid.byteOffset, grid.length)));
+    renameSync(`${paths.grid}.tmp`, paths.grid);
+    writeFileSync(`${paths.meta}.tmp`, JSON.stringify(meta, null, 2) + '\n');
+    renameSync(`${paths.meta}.tmp`, paths.meta);
+  }
+
+  function changedTiles(previous, next) {
+    const tiles = [];
+    for (let ty = 0; ty < next.tilesY; ty++) {
+      for (let tx = 0; tx < next.tilesX; tx++) {
+        const x0 = tx * tileSize;
+        const w = Math.min(tileSize, next.width - x0);
+        const rows = Math.min(tileSize, next.height - ty * tileSize);
+        for (let r = 0; r < rows; r++) {
+          const start = (ty * tileSize + r) * next.width + x0;
+          if (Buffer.compare(previous.image.subarray(start, start + w), next.image.subarray(start, start + w)) !== 0) {
+            tiles.push({ tx, ty });
+            break;
+          }
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Store a new grid. Returns { entry, changed } where `changed` is the
+   * list of changed tiles, or null if the geometry changed (or the map is
+   * new) and clients should reload it whole.
+   */
+  function put(robotId, { mapName, width, height, resolution, origin }, grid) {
+    const previous = load(robotId, mapName);
+    const meta = {
+      robotId,
+      mapName,
+      width,
+      height,
+      resolution,
+      origin: { x: origin?.x ?? 0, y: origin?.y ?? 0, theta: origin?.theta ?? 0 },
+      tileSize,
+      version: (previous?.version || 0) + 1,
+      updatedAt: Date.now(),
+    };
+    const entry = makeEntry(meta, grid);
+    persist(robotId, meta, grid);
+    maps.set(`${robotId}/${mapName}`, entry);
+
+    const sameGeometry = previous
+      && previous.width === width && previous.height === height
+      && previous.resolution === resolution
+      && JSON.stringify(previous.origin) === JSON.stringify(meta.origin);
+    return { entry, changed: sameGeometry ? changedTiles(previous, entry) : null };
+  }
+
+  /** Metadata as served over REST (no pixel data). */
+  function describe(entry) {
+    const { image: _image, pngCache: _pngCache, ...meta } = entry;
+    return meta;
+  }
+
+  function get(robotId, mapName) {
+    return load(robotId, mapName);
+  }
+
+  function list(robotId) {
+    if (!existsSync(robotDir(robotId))) return [];
+    return readdirSync(robotDir(robotId))
+      .filter(file => file.endsWith('.json'))
+      .map(file => load(robotId, decodeURIComponent(file.slice(0, -5))))
+      .filter(Boolean)
+      .map(describe);
+  }
+
+  function fullPng(entry) {
+    if (!entry.pngCache.has('full')) {
+      entry.pngCache.set('full', encodePng(entry.image, entry.width, entry.height));
+    }
+    return entry.pngCache.get('full');
+  }
+
+  /**
+   * PNG for one tile, or null if it isn't a whole tile index in range.
+   * Edge tiles are smaller.
+   */
+  function tilePng(entry, tx, ty) {
+    if (!Number.isInteger(tx) || !Number.isInteger(ty)) return null;
+    if (!(tx >= 0 && tx < entry.tilesX && ty >= 0 && ty < entry.tilesY)) return null;
+    const key = `${tx},${ty}`;
+    if (!entry.pngCache.has(key)) {
+      const x0 = tx * tileSize;
+      const y0 = ty * tileSize;
+      entry.pngCache.set(key, encodePng(
+        entry.image,
+        Math.min(tileSize, entry.width - x0),
+        Math.min(tileSize, entry.height - y0),
+        { stride: entry.width, offset: y0 * entry.width + x0 }
+      ));
+    }
+    return entry.pngCache.get(key);
+  }
+
+  return { put, get, list, describe, fullPng, tilePng };
+}
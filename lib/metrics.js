@@ -0,0 +1,113 @@
+// =============================================================================
+// METRICS
+// =============================================================================
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Default latency buckets in seconds (command_result round trips). */
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Minimal Prometheus registry: counters, gauges and histograms with
+ * labels, rendered in the text exposition format. Labels are passed as
+ * objects; missing labels render as "".
+ *
+ * Gauges can take a `collect()` that returns [labels, value] pairs at
+ * scrape time, for values that are cheaper to read than to track (socket
+ * buffers, telemetry age).
+ */
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(type, { name, help, labelNames = [] }, extra = {}) {
+    const metric = { type, name, help, labelNames, ...extra };
+    metric.series = new Map(); // JSON of label values -> { values, value } or { values, counts, sum, count }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const values = metric.labelNames.map(name => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter(options) {
+    const metric = register('counter', options);
+    return {
+      inc(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  function gauge(options) {
+    const metric = register('gauge', options, { collect: options.collect || null });
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(options) {
+    const buckets = [...(options.buckets || LATENCY_BUCKETS)].sort((a, b) => a - b);
+    const metric = register('histogram', options, { buckets });
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.collect) {
+      metric.series.clear();
+      metric.collect().forEach(([labels, value]) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      });
+    }
+
+    metric.series.forEach((series) => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+        return;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, `le="${bound}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    });
+    return lines.join('\n');
+  }
+
+  function render() {
+    return metrics.map(renderMetric).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
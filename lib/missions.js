@@ -0,0 +1,335 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// MISSIONS
+// =============================================================================
+
+/**
+ * Mission definition structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   steps: [
+ *     { poiId: 'grossing', dwellMs: 30000 },                         // wait 30s at the POI
+ *     { poiId: 'lab', confirm: true, prompt: 'Unload specimens' },   // wait for an operator
+ *     { poiId: 'dock' }
+ *   ],
+ *   createdBy: string | null,
+ *   createdAt: number,
+ *   updatedAt: number
+ * }
+ *
+ * Definitions are stored as one JSON file per robot under `dir`.
+ */
+export function createMissionStore({ dir }) {
+  mkdirSync(dir, { recursive: true });
+
+  function fileFor(robotId) {
+    return join(dir, `${encodeURIComponent(robotId)}.json`);
+  }
+
+  function load(robotId) {
+    const file = fileFor(robotId);
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+  }
+
+  function save(robotId, missions) {
+    const file = fileFor(robotId);
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(missions, null, 2) + '\n');
+    renameSync(tmp, file);
+  }
+
+  function list(robotId) {
+    return Object.values(load(robotId)).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function get(robotId, missionId) {
+    return load(robotId)[missionId] || null;
+  }
+
+  function put(robotId, mission) {
+    const missions = load(robotId);
+    missions[mission.id] = mission;
+    save(robotId, missions);
+    return mission;
+  }
+
+  function remove(robotId, missionId) {
+    const missions = load(robotId);
+    if (!missions[missionId]) return false;
+    delete missions[missionId];
+    save(robotId, missions);
+    return true;
+  }
+
+  return { list, get, put, remove };
+}
+
+/**
+ * Validate a mission body from REST. Returns a list of problems.
+ */
+export function validateMission(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['body must be an object'];
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+  if (!Array.isArray(body.steps) || body.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return errors;
+  }
+  body.steps.forEach((step, i) => {
+    if (!step || typeof step.poiId !== 'string' || !step.poiId) {
+      errors.push(`steps[${i}].poiId is required`);
+    }
+    if (step?.dwellMs != null && !(Number.isFinite(step.dwellMs) && step.dwellMs >= 0)) {
+      errors.push(`steps[${i}].dwellMs must be a non-negative number`);
+    }
+    if (step?.confirm != null && typeof step.confirm !== 'boolean') {
+      errors.push(`steps[${i}].confirm must be a boolean`);
+    }
+  });
+  return errors;
+}
+
+export function normalizeSteps(steps) {
+  return steps.map(step => ({
+    poiId: step.poiId,
+    dwellMs: step.dwellMs || 0,
+    confirm: !!step.confirm,
+    prompt: step.prompt || null,
+  }));
+}
+
+// Nav states that mean a goal is still being worked on
+const ACTIVE_NAV_STATES = ['navigating', 'active', 'planning', 'executing'];
+
+/**
+ * Runs at most one mission per robot.
+ *
+ * Run structure:
+ * {
+ *   runId, missionId, name, steps,
+ *   status: 'running' | 'paused' | 'completed' | 'aborted' | 'failed',
+ *   phase: 'navigating' | 'dwelling' | 'awaiting_confirmation' | null,
+ *   stepIndex: number,
+ *   startedBy: { clientId, userId, clientName, role },
+ *   startedAt, pausedReason,
+ *   // navigating bookkeeping
+ *   commandId,                 // of the step's current go_to_poi
+ *   goalSeenActive: boolean, goalAccepted: boolean,
+ *   staleResult,               // nav.lastResult showing when the goal was sent, until it changes
+ *   // dwelling bookkeeping
+ *   dwellEndsAt, dwellRemainingMs, dwellTimer
+ * }
+ *
+ * Hooks:
+ *   sendGoto(robotId, poiId, run, onOutcome) -> boolean   forward go_to_poi as run.commandId
+ *   cancelNav(robotId, run)                               forward cancel_nav
+ *   emit(robotId, kind, snapshot, extra)                  notify subscribers
+ */
+export function createMissionRunner({ sendGoto, cancelNav, emit }) {
+  const runs = new Map(); // robotId -> run
+  const lastResults = new Map(); // robotId -> nav.lastResult in the latest telemetry
+
+  function snapshot(run) {
+    if (!run) return null;
+    const step = run.steps[run.stepIndex] || null;
+    return {
+      runId: run.runId,
+      missionId: run.missionId,
+      name: run.name,
+      status: run.status,
+      phase: run.phase,
+      stepIndex: run.stepIndex,
+      stepCount: run.steps.length,
+      step,
+      startedBy: run.startedBy.clientName,
+      startedAt: run.startedAt,
+      pausedReason: run.pausedReason || null,
+      dwellEndsAt: run.phase === 'dwelling' && run.status === 'running' ? run.dwellEndsAt : null,
+    };
+  }
+
+  function get(robotId) {
+    return snapshot(runs.get(robotId));
+  }
+
+  /** True while a mission is driving the robot (not paused or finished). */
+  function isActive(robotId) {
+    return runs.get(robotId)?.status === 'running';
+  }
+
+  function finish(robotId, run, status, extra = {}) {
+    clearTimeout(run.dwellTimer);
+    run.status = status;
+    run.phase = null;
+    runs.delete(robotId);
+    emit(robotId, `mission_${status}`, snapshot(run), extra);
+  }
+
+  function startStep(robotId, run) {
+    if (run.stepIndex >= run.steps.length) {
+      finish(robotId, run, 'completed');
+      return;
+    }
+    const step = run.steps[run.stepIndex];
+    run.phase = 'navigating';
+    run.goalSeenActive = false;
+    run.goalAccepted = false;
+    run.staleResult = lastResults.get(robotId) || null;
+    run.commandId = randomUUID();
+    emit(robotId, 'mission_step', snapshot(run));
+
+    // Only the goal in force counts: pausing cancels it (the robot answers
+    // the cancelled goal with a failure), and resuming sends a new one
+    const { commandId } = run;
+    const sent = sendGoto(robotId, step.poiId, run, (outcome) => {
+      const current = runs.get(robotId);
+      if (current?.commandId !== commandId || current.status !== 'running' || current.phase !== 'navigating') return;
+      if (!outcome.success) {
+        finish(robotId, current, 'failed', { reason: outcome.message || outcome.kind });
+      } else {
+        current.goalAccepted = true;
+      }
+    });
+    if (!sent) {
+      pause(robotId, 'robot_offline');
+    }
+  }
+
+  function arrive(robotId, run) {
+    const step = run.steps[run.stepIndex];
+    if (step.dwellMs > 0) {
+      beginDwell(robotId, run, step.dwellMs);
+    } else {
+      afterDwell(robotId, run);
+    }
+  }
+
+  function beginDwell(robotId, run, durationMs) {
+    run.phase = 'dwelling';
+    run.dwellEndsAt = Date.now() + durationMs;
+    run.dwellTimer = setTimeout(() => afterDwell(robotId, run), durationMs);
+    emit(robotId, 'mission_step', snapshot(run));
+  }
+
+  function afterDwell(robotId, run) {
+    const step = run.steps[run.stepIndex];
+    if (step.confirm) {
+      run.phase = 'awaiting_confirmation';
+      emit(robotId, 'mission_step', snapshot(run), { prompt: step.prompt });
+      return;
+    }
+    run.stepIndex++;
+    startStep(robotId, run);
+  }
+
+  function start(robotId, mission, startedBy) {
+    if (runs.has(robotId)) {
+      return { ok: false, code: 'MISSION_ACTIVE', message: `Mission "${runs.get(robotId).name}" is already loaded` };
+    }
+    const run = {
+      runId: randomUUID(),
+      missionId: mission.id,
+      name: mission.name,
+      steps: normalizeSteps(mission.steps),
+      status: 'running',
+      phase: null,
+      stepIndex: 0,
+      startedBy,
+      startedAt: Date.now(),
+    };
+    runs.set(robotId, run);
+    emit(robotId, 'mission_started', snapshot(run));
+    startStep(robotId, run);
+    return { ok: true, run: snapshot(run) };
+  }
+
+  function pause(robotId, reason) {
+    const run = runs.get(robotId);
+    if (!run || run.status !== 'running') return false;
+
+    if (run.phase === 'navigating') {
+      cancelNav(robotId, run);
+    } else if (run.phase === 'dwelling') {
+      clearTimeout(run.dwellTimer);
+      run.dwellRemainingMs = Math.max(0, run.dwellEndsAt - Date.now());
+    }
+    run.status = 'paused';
+    run.pausedReason = reason;
+    emit(robotId, 'mission_paused', snapshot(run), { reason });
+    return true;
+  }
+
+  function resume(robotId, resumedBy) {
+    const run = runs.get(robotId);
+    if (!run || run.status !== 'paused') return false;
+
+    run.status = 'running';
+    run.pausedReason = null;
+    if (resumedBy) run.startedBy = resumedBy;
+    emit(robotId, 'mission_resumed', snapshot(run));
+
+    if (run.phase === 'navigating') {
+      startStep(robotId, run);
+    } else if (run.phase === 'dwelling') {
+      beginDwell(robotId, run, run.dwellRemainingMs);
+    }
+    // awaiting_confirmation: nothing to re-send
+    return true;
+  }
+
+  function abort(robotId, reason) {
+    const run = runs.get(robotId);
+    if (!run) return false;
+    if (run.status === 'running' && run.phase === 'navigating') {
+      cancelNav(robotId, run);
+    }
+    finish(robotId, run, 'aborted', { reason });
+    return true;
+  }
+
+  function confirm(robotId) {
+    const run = runs.get(robotId);
+    if (!run || run.status !== 'running' || run.phase !== 'awaiting_confirmation') return false;
+    run.stepIndex++;
+    startStep(robotId, run);
+    return true;
+  }
+
+  /**
+   * Advance on telemetry. A step is reached when nav reports the goal
+   * finished with lastResult "succeeded", after either seeing the goal
+   * active or the robot acknowledging the command (2 Hz telemetry can
+   * miss short hops entirely). Without having seen the goal active, a
+   * lastResult still showing from before the goal was sent isn't taken
+   * as its result: a robot may acknowledge on acceptance and report the
+   * new goal in a state we don't count as active.
+   */
+  function onTelemetry(robotId, telemetry) {
+    const nav = telemetry?.nav || {};
+    const state = String(nav.state || '').toLowerCase();
+    const lastResult = String(nav.lastResult || '').toLowerCase();
+    lastResults.set(robotId, lastResult);
+
+    const run = runs.get(robotId);
+    if (!run || run.status !== 'running' || run.phase !== 'navigating') return;
+
+    if (lastResult !== run.staleResult) run.staleResult = null;
+    if (ACTIVE_NAV_STATES.includes(state)) {
+      run.goalSeenActive = true;
+      return;
+    }
+    if (!run.goalSeenActive && !(run.goalAccepted && run.staleResult === null)) return;
+
+    if (lastResult === 'succeeded' || lastResult === 'success') {
+      arrive(robotId, run);
+    } else if (['failed', 'aborted', 'canceled', 'cancelled'].includes(lastResult)) {
+      finish(robotId, run, 'failed', { reason: `Navigation ${lastResult} at step ${run.stepIndex + 1}` });
+    }
+  }
+
+  return { get, isActive, start, pause, resume, abort, confirm, onTelemetry };
+}
@@ -0,0 +1,154 @@
+import { readFileSync, existsSync } from 'fs';
+
+// =============================================================================
+// TELEOP MOTION LIMITS
+// =============================================================================
+
+export const SPEED_LIMIT_KEYS = ['maxLinearVelocity', 'maxAngularVelocity', 'maxLinearAccel', 'maxAngularAccel'];
+
+/**
+ * Copy just the speed limit fields that are set on `source`.
+ */
+export function pickSpeedLimits(source = {}) {
+  const limits = {};
+  SPEED_LIMIT_KEYS.forEach((key) => {
+    if (source[key] != null) limits[key] = source[key];
+  });
+  return limits;
+}
+
+/**
+ * Speed config file format. Profiles are partial overrides of the robot's
+ * own limits; robots pick one with `speedProfile` in the robot registry.
+ * Zones are per robot, per map, in map coordinates.
+ * {
+ *   "profiles": {
+ *     "careful": { "maxLinearVelocity": 0.25, "maxLinearAccel": 0.25 }
+ *   },
+ *   "zones": {
+ *     "fordward": {
+ *       "hallway-map": [
+ *         { "name": "grossing", "polygon": [[10, 2], [14, 2], [14, 5], [10, 5]], "maxLinearVelocity": 0.15 },
+ *         { "name": "door", "center": [3, 0], "radius": 1.5, "maxLinearVelocity": 0.2, "maxAngularVelocity": 0.6 }
+ *       ]
+ *     }
+ *   }
+ * }
+ */
+export function loadSpeedConfig(path) {
+  const parsed = path && existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : {};
+
+  const profiles = { default: {} };
+  Object.entries(parsed.profiles || {}).forEach(([name, overrides]) => {
+    profiles[name] = pickSpeedLimits(overrides);
+  });
+
+  return { profiles, zones: parsed.zones || {} };
+}
+
+function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function zoneContains(zone, x, y) {
+  if (Array.isArray(zone.polygon)) return pointInPolygon(x, y, zone.polygon);
+  if (Array.isArray(zone.center)) {
+    const [cx, cy] = zone.center;
+    return Math.hypot(x - cx, y - cy) <= zone.radius;
+  }
+  return false;
+}
+
+/**
+ * Move one velocity axis toward `target` by at most `maxDelta`.
+ * Slowing down is never delayed; reversing drops to zero first and then
+ * accelerates from standstill.
+ */
+function rampAxis(prev, target, maxDelta) {
+  const sameDirection = Math.sign(target) * Math.sign(prev) >= 0;
+  if (sameDirection && Math.abs(target) <= Math.abs(prev)) return target;
+  const base = sameDirection ? prev : 0;
+  return base + Math.max(-maxDelta, Math.min(maxDelta, target - base));
+}
+
+/**
+ * Per-robot teleop limiter: starts from the robot's base limits (profile
+ * and robot config), tightens them with any speed zone the robot is
+ * currently in, and rate-limits output using the time between consecutive
+ * teleop messages.
+ *
+ * `baseLimitsFor(robotId)` returns { profile, ...SPEED_LIMIT_KEYS };
+ * `maxDtFor(robotId)` is the longest gap still treated as continuous
+ * motion (the robot's deadman window).
+ */
+export function createMotionLimiter({ baseLimitsFor, zones = {}, maxDtFor }) {
+  const lastOutput = new Map(); // robotId -> { linear_x, angular_z, at }
+
+  /**
+   * Effective limits for a robot right now:
+   * { profile, zone, maxLinearVelocity, maxAngularVelocity, maxLinearAccel, maxAngularAccel }
+   */
+  function limitsFor(robotId, telemetry = {}) {
+    const { profile, ...base } = baseLimitsFor(robotId);
+    const limits = { profile, zone: null, ...base };
+
+    const pose = telemetry.pose;
+    const mapZones = zones[robotId]?.[telemetry.maps?.active] || [];
+    if (!pose || typeof pose.x !== 'number' || typeof pose.y !== 'number') {
+      return limits;
+    }
+
+    const active = mapZones.filter(zone => zoneContains(zone, pose.x, pose.y));
+    active.forEach((zone) => {
+      if (zone.maxLinearVelocity != null) {
+        limits.maxLinearVelocity = Math.min(limits.maxLinearVelocity, zone.maxLinearVelocity);
+      }
+      if (zone.maxAngularVelocity != null) {
+        limits.maxAngularVelocity = Math.min(limits.maxAngularVelocity, zone.maxAngularVelocity);
+      }
+    });
+    if (active.length > 0) {
+      limits.zone = active.map(zone => zone.name).join(',');
+    }
+    return limits;
+  }
+
+  /**
+   * Limit a teleop request. Returns { linear_x, angular_z }.
+   */
+  function apply(robotId, { linear_x, angular_z }, limits) {
+    const now = Date.now();
+    const maxDtMs = maxDtFor(robotId);
+    const prev = lastOutput.get(robotId);
+    // No recent teleop means the robot has been stopped (deadman window)
+    const fresh = prev && now - prev.at <= maxDtMs;
+    const dt = fresh ? (now - prev.at) / 1000 : maxDtMs / 1000;
+    const from = fresh ? prev : { linear_x: 0, angular_z: 0 };
+
+    const clampAbs = (value, max) => Math.max(-max, Math.min(max, value));
+    const targetLinear = clampAbs(linear_x, limits.maxLinearVelocity);
+    const targetAngular = clampAbs(angular_z, limits.maxAngularVelocity);
+
+    const output = {
+      linear_x: clampAbs(rampAxis(from.linear_x, targetLinear, limits.maxLinearAccel * dt), limits.maxLinearVelocity),
+      angular_z: clampAbs(rampAxis(from.angular_z, targetAngular, limits.maxAngularAccel * dt), limits.maxAngularVelocity),
+    };
+    lastOutput.set(robotId, { ...output, at: now });
+    return output;
+  }
+
+  /** Robot was commanded to stop; next teleop ramps up from zero. */
+  function reset(robotId) {
+    lastOutput.delete(robotId);
+  }
+
+  return { limitsFor, apply, reset };
+}
@@ -0,0 +1,227 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+// =============================================================================
+// POINTS OF INTEREST
+// =============================================================================
+
+const POI_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate a POI body from REST. Returns a list of problems.
+ */
+export function validatePoi(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['body must be an object'];
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+  if (body.id != null && !POI_ID.test(body.id)) errors.push('id must be 1-64 letters, digits, _ or -');
+  ['x', 'y'].forEach((key) => {
+    if (!Number.isFinite(body[key])) errors.push(`${key} must be a number`);
+  });
+  if (body.theta != null && !Number.isFinite(body.theta)) errors.push('theta must be a number');
+  return errors;
+}
+
+/** Id for a new POI: explicit, or a slug of its name ("Grossing Room" -> "grossing-room"). */
+export function poiIdFor(body) {
+  if (body.id) return body.id;
+  return body.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64) || 'poi';
+}
+
+/** The fields the robot is told about. */
+export function robotPoi(poi) {
+  return { id: poi.id, name: poi.name, x: poi.x, y: poi.y, theta: poi.theta };
+}
+
+function samePoi(a, b, tolerance) {
+  return a.name === b.name
+    && Math.abs(a.x - b.x) <= tolerance
+    && Math.abs(a.y - b.y) <= tolerance
+    && Math.abs((a.theta || 0) - (b.theta || 0)) <= tolerance;
+}
+
+/**
+ * POI structure:
+ * {
+ *   id, name, x, y, theta,
+ *   source: 'relay' | 'robot',    // Created here, or imported from the robot's list
+ *   sync: 'pending' | 'synced' | 'failed',
+ *   syncError: string | null,
+ *   updatedBy: string | null,
+ *   updatedAt: number
+ * }
+ *
+ * Stored per robot and map under `dir/<robotId>/<mapName>.json`, together
+ * with tombstones for deletes the robot hasn't confirmed yet.
+ */
+export function createPoiStore({ dir }) {
+  function fileFor(robotId, mapName) {
+    return join(dir, encodeURIComponent(robotId), `${encodeURIComponent(mapName)}.json`);
+  }
+
+  function load(robotId, mapName) {
+    const file = fileFor(robotId, mapName);
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : { pois: {}, tombstones: {} };
+  }
+
+  function save(robotId, mapName, data) {
+    const file = fileFor(robotId, mapName);
+    mkdirSync(join(dir, encodeURIComponent(robotId)), { recursive: true });
+    writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + '\n');
+    renameSync(`${file}.tmp`, file);
+  }
+
+  function list(robotId, mapName) {
+    return Object.values(load(robotId, mapName).pois).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(robotId, mapName, poiId) {
+    return load(robotId, mapName).pois[poiId] || null;
+  }
+
+  function tombstones(robotId, mapName) {
+    return Object.keys(load(robotId, mapName).tombstones);
+  }
+
+  function put(robotId, mapName, poi) {
+    const data = load(robotId, mapName);
+    data.pois[poi.id] = poi;
+    delete data.tombstones[poi.id];
+    save(robotId, mapName, data);
+    return poi;
+  }
+
+  /** Apply changes to an existing POI; returns the updated POI or null. */
+  function patch(robotId, mapName, poiId, changes) {
+    const data = load(robotId, mapName);
+    if (!data.pois[poiId]) return null;
+    data.pois[poiId] = { ...data.pois[poiId], ...changes };
+    save(robotId, mapName, data);
+    return data.pois[poiId];
+  }
+
+  /** Delete a POI, leaving a tombstone until the robot confirms. */
+  function remove(robotId, mapName, poiId) {
+    const data = load(robotId, mapName);
+    if (!data.pois[poiId]) return false;
+    delete data.pois[poiId];
+    data.tombstones[poiId] = Date.now();
+    save(robotId, mapName, data);
+    return true;
+  }
+
+  function clearTombstone(robotId, mapName, poiId) {
+    const data = load(robotId, mapName);
+    if (!(poiId in data.tombstones)) return;
+    delete data.tombstones[poiId];
+    save(robotId, mapName, data);
+  }
+
+  return { list, get, tombstones, put, patch, remove, clearTombstone };
+}
+
+/**
+ * Keeps a robot's POIs in line with the relay's. Changes are pushed as
+ * `poi_upsert` / `poi_delete` commands and marked synced or failed from
+ * the command_result. When the robot reports its list (telemetry.pois for
+ * the active map), `reconcile` settles differences:
+ *   - relay POI missing or different on the robot -> re-push (relay wins)
+ *   - deleted on the relay but still on the robot  -> re-send the delete
+ *   - on the robot but unknown to the relay        -> imported (source 'robot')
+ *
+ * Hooks:
+ *   send(robotId, mapName, robotCommand, onOutcome) -> boolean   forward a command
+ *   emit(robotId, kind, payload)                                notify subscribers
+ */
+export function createPoiSync({ store, send, emit, tolerance = 0.001 }) {
+  const inFlight = new Set(); // `${robotId}\0${mapName}\0${poiId}`
+
+  function key(robotId, mapName, poiId) {
+    return `${robotId}\0${mapName}\0${poiId}`;
+  }
+
+  function setSync(robotId, mapName, poiId, sync, syncError = null) {
+    const poi = store.patch(robotId, mapName, poiId, { sync, syncError });
+    if (poi) emit(robotId, 'poi_updated', { mapName, poi });
+  }
+
+  /** Send the current relay copy of a POI. Returns false if the robot is offline. */
+  function pushUpsert(robotId, mapName, poiId) {
+    const poi = store.get(robotId, mapName, poiId);
+    if (!poi || inFlight.has(key(robotId, mapName, poiId))) return false;
+    inFlight.add(key(robotId, mapName, poiId));
+    const sent = send(robotId, mapName, { type: 'command', command: 'poi_upsert', map_name: mapName, poi: robotPoi(poi) }, (outcome) => {
+      inFlight.delete(key(robotId, mapName, poiId));
+      // An edit made while this was in flight stays pending; reconcile resends it
+      const current = store.get(robotId, mapName, poiId);
+      if (!current || current.updatedAt !== poi.updatedAt) return;
+      setSync(robotId, mapName, poiId, outcome.success ? 'synced' : 'failed', outcome.success ? null : outcome.message || outcome.kind);
+    });
+    if (!sent) inFlight.delete(key(robotId, mapName, poiId));
+    return sent;
+  }
+
+  function pushDelete(robotId, mapName, poiId) {
+    if (inFlight.has(key(robotId, mapName, poiId))) return false;
+    inFlight.add(key(robotId, mapName, poiId));
+    const sent = send(robotId, mapName, { type: 'command', command: 'poi_delete', map_name: mapName, poi_id: poiId }, (outcome) => {
+      inFlight.delete(key(robotId, mapName, poiId));
+      if (outcome.success) store.clearTombstone(robotId, mapName, poiId);
+    });
+    if (!sent) inFlight.delete(key(robotId, mapName, poiId));
+    return sent;
+  }
+
+  function reconcile(robotId, mapName, reported) {
+    const onRobot = new Map(reported.map(p => [p.id || p.name, p]));
+    const tombstoned = store.tombstones(robotId, mapName);
+    let pushed = 0;
+    let imported = 0;
+
+    store.list(robotId, mapName).forEach((poi) => {
+      const theirs = onRobot.get(poi.id);
+      if (theirs && samePoi(poi, theirs, tolerance)) {
+        if (poi.sync !== 'synced') setSync(robotId, mapName, poi.id, 'synced');
+      } else if (poi.sync !== 'failed' && pushUpsert(robotId, mapName, poi.id)) {
+        pushed++;
+      }
+    });
+
+    tombstoned.forEach((poiId) => {
+      if (!onRobot.has(poiId)) {
+        store.clearTombstone(robotId, mapName, poiId);
+      } else if (pushDelete(robotId, mapName, poiId)) {
+        pushed++;
+      }
+    });
+
+    onRobot.forEach((theirs, poiId) => {
+      if (store.get(robotId, mapName, poiId) || tombstoned.includes(poiId) || !Number.isFinite(theirs.x) || !Number.isFinite(theirs.y)) return;
+      const poi = store.put(robotId, mapName, {
+        id: poiId,
+        name: theirs.name || poiId,
+        x: theirs.x,
+        y: theirs.y,
+        theta: theirs.theta || 0,
+        source: 'robot',
+        sync: 'synced',
+        syncError: null,
+        updatedBy: null,
+        updatedAt: Date.now(),
+      });
+      emit(robotId, 'poi_updated', { mapName, poi });
+      imported++;
+    });
+
+    return { pushed, imported };
+  }
+
+  /** Robot (re)connected: give failed POIs another try on the next reconcile. */
+  function retryFailed(robotId, mapName) {
+    store.list(robotId, mapName)
+      .filter(poi => poi.sync === 'failed')
+      .forEach(poi => store.patch(robotId, mapName, poi.id, { sync: 'pending', syncError: null }));
+  }
+
+  return { pushUpsert, pushDelete, reconcile, retryFailed };
+}
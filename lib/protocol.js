@@ -0,0 +1,475 @@
+// =============================================================================
+// PROTOCOL
+// =============================================================================
+
+/**
+ * Version 1 is the original, unversioned protocol, including its field
+ * aliases (`register`, `robot_id`, `map_name`, flat telemetry...). Peers
+ * that don't say which version they speak get 1, and their messages go
+ * through upgradeLegacy() before validation. Version 2 is the schema below
+ * as written, with no aliases.
+ */
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Version to speak with a peer that asked for `requested` (its newest).
+ * Unversioned peers get 1. Returns null if there's nothing in common.
+ */
+export function negotiateVersion(requested) {
+  if (requested === undefined || requested === null) return MIN_PROTOCOL_VERSION;
+  if (!Number.isInteger(requested) || requested < MIN_PROTOCOL_VERSION) return null;
+  return Math.min(requested, PROTOCOL_VERSION);
+}
+
+// -----------------------------------------------------------------------------
+// Schemas (a JSON Schema subset; see validate() for the keywords used)
+// -----------------------------------------------------------------------------
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const id = { type: 'string', minLength: 1, maxLength: 64 };
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const stringList = { type: 'array', items: string };
+
+function message(type, properties = {}, required = []) {
+  return {
+    type: 'object',
+    required: ['type', ...required],
+    properties: { type: { const: type }, ...properties },
+  };
+}
+
+/**
+ * One branch per value of `key`, for payloads whose fields depend on an
+ * action or kind: { value: [properties, required] }.
+ */
+function variants(key, branches) {
+  return {
+    type: 'object',
+    required: [key],
+    oneOf: Object.entries(branches).map(([value, [properties = {}, required = []]]) => ({
+      properties: { [key]: { const: value }, ...properties },
+      required: [key, ...required],
+    })),
+  };
+}
+
+const pose = {
+  type: 'object',
+  properties: { x: number, y: number, theta: number },
+};
+
+// WebRTC signaling, relayed as is: SDP offers/answers and ICE candidates
+// (an RTCIceCandidateInit, or null at the end of candidates)
+const sdp = { type: 'string', minLength: 1, maxLength: 65536 };
+const SIGNALS = {
+  offer: [{ sdp }, ['sdp']],
+  answer: [{ sdp }, ['sdp']],
+  ice: [{ candidate: { type: ['object', 'null'] } }, ['candidate']],
+  hangup: [{ reason: string }],
+};
+
+const ROBOT_INBOUND = {
+  hello: message('hello', {
+    robotId: id,
+    protocolVersion: { type: 'integer' },
+    version: string,
+    secret: string,
+    token: string,
+    capabilities: stringList,
+  }, ['robotId']),
+
+  telemetry: message('telemetry', {
+    robotId: string,
+    payload: {
+      type: 'object',
+      properties: {
+        mode: string,
+        pose: nullable(pose),
+        battery: nullable({
+          type: 'object',
+          properties: { percent: nullable(number), voltage: nullable(number) },
+        }),
+        nav: nullable({
+          type: 'object',
+          properties: { state: string, currentGoalPoiId: nullable(string), lastResult: nullable(string) },
+        }),
+        maps: nullable({
+          type: 'object',
+          properties: { active: nullable(string), available: stringList },
+        }),
+        pois: {
+          type: 'array',
+          items: { type: 'object', properties: { id: string, name: string, x: number, y: number, theta: nullable(number) } },
+        },
+      },
+    },
+  }, ['payload']),
+
+  map: message('map', {
+    mapName: { type: 'string', minLength: 1 },
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 },
+    resolution: { type: 'number', exclusiveMinimum: 0 },
+    origin: pose,
+    encoding: { enum: ['zlib', 'none'] },
+    data: string,
+  }, ['mapName', 'width', 'height', 'resolution', 'data']),
+
+  command_result: message('command_result', {
+    robotId: string,
+    command_id: nullable(string),
+    command: string,
+    success: { type: 'boolean' },
+    message: nullable(string),
+    timestamp: { type: ['string', 'number', 'null'] },
+  }, ['command', 'success']),
+
+  webrtc: message('webrtc', { peerId: id, payload: variants('action', SIGNALS) }, ['peerId', 'payload']),
+};
+
+const ROBOT_OUTBOUND = {
+  welcome: message('welcome', {
+    robotId: string,
+    protocolVersion: { type: 'integer' },
+    serverTime: string,
+    config: { type: 'object' },
+    iceServers: { type: 'array' },
+  }, ['robotId', 'protocolVersion', 'config']),
+  command: message('command', { command: string, command_id: string, estop: { type: 'boolean' } }, ['command']),
+  config_update: message('config_update', { config: { type: 'object' } }, ['config']),
+  map_result: message('map_result', { mapName: string, success: { type: 'boolean' }, version: { type: 'integer' }, message: string }, ['success']),
+  webrtc: message('webrtc', { peerId: string, peerName: string, payload: { type: 'object', required: ['action'] } }, ['peerId', 'payload']),
+  error: message('error', { code: string, message: string }, ['code', 'message']),
+};
+
+const CONTROL_ACTIONS = {
+  request: [{ queue: { type: 'boolean' } }],
+  release: [],
+  force: [],
+  leave: [],
+  handover_request: [],
+  handover_accept: [{ requestId: string }, ['requestId']],
+  handover_decline: [{ requestId: string }, ['requestId']],
+  handover_cancel: [],
+};
+
+const COMMAND_KINDS = {
+  teleop: [{ linear_x: number, angular_z: number }],
+  stop: [],
+  set_mode: [{ mode: string }, ['mode']],
+  load_map: [{ mapName: { type: 'string', minLength: 1 } }, ['mapName']],
+  save_map: [{ mapName: { type: 'string', minLength: 1 } }, ['mapName']],
+  goto_poi: [{ poiId: { type: 'string', minLength: 1 } }, ['poiId']],
+  dock: [{ poiId: { type: 'string', minLength: 1 } }],
+  cancel_nav: [],
+  start_slam: [],
+  restart: [],
+};
+
+// What a whole group can be told at once (each robot still checks its own rules)
+const GROUP_COMMAND_KINDS = ['stop', 'cancel_nav', 'dock', 'set_mode'];
+const group = { type: 'string', minLength: 1 };
+
+// Each fleet stream rebuilds its group's summary on every tick
+export const FLEET_MAX_RATE_HZ = 10;
+
+const MISSION_ACTIONS = {
+  start: [{ missionId: string }, ['missionId']],
+  pause: [],
+  resume: [],
+  confirm: [],
+  abort: [],
+};
+
+const UI_INBOUND = {
+  subscribe: message('subscribe', {
+    robotId: id,
+    fields: stringList,
+    maxRateHz: { type: 'number', exclusiveMinimum: 0 },
+    delta: { type: 'boolean' },
+    clientName: string,
+  }, ['robotId']),
+  unsubscribe: message('unsubscribe', { robotId: id }, ['robotId']),
+  control: message('control', { robotId: id, payload: variants('action', CONTROL_ACTIONS) }, ['robotId', 'payload']),
+  command: message('command', { robotId: id, commandId: id, payload: variants('kind', COMMAND_KINDS) }, ['robotId', 'payload']),
+  mission: message('mission', { robotId: id, payload: variants('action', MISSION_ACTIONS) }, ['robotId', 'payload']),
+  battery: message('battery', {
+    robotId: id,
+    payload: variants('action', {
+      override: [{ durationMs: { type: 'number', exclusiveMinimum: 0 } }],
+      clear: [],
+    }),
+  }, ['robotId', 'payload']),
+  estop: message('estop', {
+    robotId: id,
+    payload: variants('action', {
+      trigger: [{ reason: { type: 'string', maxLength: 200 } }],
+      reset: [],
+    }),
+  }, ['robotId', 'payload']),
+  history: message('history', {
+    robotId: id,
+    payload: {
+      type: 'object',
+      properties: {
+        requestId: { type: ['string', 'number', 'null'] },
+        from: { type: ['string', 'number', 'null'] },
+        to: { type: ['string', 'number', 'null'] },
+        fields: { type: ['array', 'string'] },
+        downsample: { type: ['number', 'string', 'null'] },
+      },
+    },
+  }, ['robotId']),
+  webrtc: message('webrtc', { robotId: id, payload: variants('action', SIGNALS) }, ['robotId', 'payload']),
+  fleet: message('fleet', {
+    payload: variants('action', {
+      subscribe: [{ group, maxRateHz: { type: 'number', exclusiveMinimum: 0, maximum: FLEET_MAX_RATE_HZ } }, ['group']],
+      unsubscribe: [{ group }, ['group']],
+      command: [{
+        group,
+        commandId: id,
+        command: variants('kind', Object.fromEntries(GROUP_COMMAND_KINDS.map(kind => [kind, COMMAND_KINDS[kind]]))),
+      }, ['group', 'command']],
+    }),
+  }, ['payload']),
+  ack: message('ack', { seq: { type: 'integer', minimum: 0 } }, ['seq']),
+  ping: message('ping'),
+};
+
+const UI_OUTBOUND = {
+  welcome: message('welcome', {
+    clientId: string,
+    protocolVersion: { type: 'integer' },
+    robots: { type: 'array' },
+    iceServers: { type: 'array' },
+    sessionToken: string,
+  }, ['clientId', 'protocolVersion', 'robots']),
+  state: message('state', { robotId: string, seq: { type: 'integer' }, payload: { type: 'object' } }, ['robotId', 'seq', 'payload']),
+  state_delta: message('state_delta', { robotId: string, seq: { type: 'integer' }, ops: { type: 'array' } }, ['robotId', 'seq', 'ops']),
+  event: message('event', { robotId: string, seq: { type: 'integer' }, payload: { type: 'object', required: ['kind'] } }),
+  history: message('history', { robotId: string, samples: { type: 'array' } }, ['robotId', 'samples']),
+  fleet: message('fleet', { group: string, seq: { type: 'integer' }, robots: { type: 'object' } }, ['group', 'seq', 'robots']),
+  fleet_delta: message('fleet_delta', { group: string, seq: { type: 'integer' }, ops: { type: 'array' } }, ['group', 'seq', 'ops']),
+  fleet_command_result: message('fleet_command_result', {
+    group: string,
+    commandId: string,
+    command: string,
+    success: { type: 'boolean' },
+    summary: { type: 'object' },
+    results: { type: 'array', items: { type: 'object', required: ['robotId', 'status'] } },
+  }, ['group', 'commandId', 'command', 'success', 'results']),
+  webrtc: message('webrtc', { robotId: string, payload: { type: 'object', required: ['action'] } }, ['robotId', 'payload']),
+  map_update: message('map_update', { robotId: string, map: { type: 'object' }, reload: { type: 'boolean' } }, ['robotId', 'map']),
+  error: message('error', {
+    code: string,
+    message: string,
+    errors: { type: 'array', items: { type: 'object', properties: { path: string, message: string } } },
+  }, ['code', 'message']),
+  pong: message('pong'),
+};
+
+/**
+ * The whole contract, as served at GET /protocol. `inbound` is what the
+ * relay accepts (and validates), `outbound` what it sends. Objects may
+ * carry fields beyond those listed; clients should ignore ones they don't
+ * know.
+ */
+export const PROTOCOL_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  version: PROTOCOL_VERSION,
+  minVersion: MIN_PROTOCOL_VERSION,
+  endpoints: {
+    robot: { inbound: ROBOT_INBOUND, outbound: ROBOT_OUTBOUND },
+    ui: { inbound: UI_INBOUND, outbound: UI_OUTBOUND },
+  },
+};
+
+// -----------------------------------------------------------------------------
+// Validation
+// -----------------------------------------------------------------------------
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Check `value` against `schema`. Returns [{ path, message }] with JSON
+ * pointer paths; empty if it's valid. Keywords: type, const, enum,
+ * properties, required, items, minItems, minimum, exclusiveMinimum,
+ * maximum, minLength, maxLength and oneOf. A oneOf whose branches all fix the same
+ * property with `const` is a tagged union: only the matching branch is
+ * checked, so errors point at real fields.
+ */
+export function validate(schema, value, path = '') {
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && !types.some(type => hasType(value, type))) {
+    return [{ path, message: `must be ${types.join(' or ')}` }];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [{ path, message: `must be ${JSON.stringify(schema.const)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}/${i}`)));
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) errors.push(...validate(property, value[key], `${path}/${escapePointer(key)}`));
+    });
+  }
+  if (schema.oneOf && errors.length === 0) {
+    errors.push(...validateOneOf(schema.oneOf, value, path));
+  }
+  return errors;
+}
+
+function validateOneOf(branches, value, path) {
+  const tag = Object.keys(branches[0].properties || {})
+    .find(key => branches.every(branch => branch.properties?.[key] && 'const' in branch.properties[key]));
+  if (tag) {
+    const branch = branches.find(b => b.properties[tag].const === value?.[tag]);
+    if (!branch) {
+      return [{ path: `${path}/${escapePointer(tag)}`, message: `must be one of ${branches.map(b => JSON.stringify(b.properties[tag].const)).join(', ')}` }];
+    }
+    return validate(branch, value, path);
+  }
+  const matching = branches.filter(branch => validate(branch, value, path).length === 0).length;
+  return matching === 1 ? [] : [{ path, message: 'must match exactly one schema' }];
+}
+
+// -----------------------------------------------------------------------------
+// Version 1 compatibility
+// -----------------------------------------------------------------------------
+
+// UI messages that name a robot; version 1 defaulted it
+const UI_ROBOT_MESSAGES = ['subscribe', 'control', 'command', 'mission', 'battery', 'history'];
+
+function rename(object, from, to) {
+  if (object && object[from] !== undefined && object[to] === undefined) {
+    object[to] = object[from];
+  }
+  if (object) delete object[from];
+}
+
+/**
+ * Rewrite a version 1 message in version 2 form: aliases renamed, legacy
+ * shapes rebuilt, old defaults filled in. Works on a copy.
+ */
+export function upgradeLegacy(endpoint, original) {
+  const message = structuredClone(original);
+
+  if (endpoint === 'robot') {
+    if (message.type === 'register') message.type = 'hello';
+    if (message.type === 'hello') {
+      rename(message, 'robot_id', 'robotId');
+      message.robotId ??= 'fordward';
+    }
+    if (message.type === 'telemetry' && !message.payload) {
+      // Flat telemetry from early bridges
+      message.payload = {
+        mode: message.mode || message.state || 'unknown',
+        pose: message.pose,
+        battery: message.battery ? {
+          percent: message.battery.percent ?? message.battery,
+          voltage: message.battery.voltage ?? message.battery_voltage,
+        } : null,
+        nav: message.nav || { state: 'idle', currentGoalPoiId: null, lastResult: null },
+        maps: message.maps || { active: message.map, available: message.available_maps || [] },
+        pois: message.pois || [],
+      };
+    }
+    if (message.type === 'command_result') rename(message, 'commandId', 'command_id');
+    if (message.type === 'map') rename(message, 'map_name', 'mapName');
+    return message;
+  }
+
+  if (UI_ROBOT_MESSAGES.includes(message.type)) message.robotId ||= 'fordward';
+  if (message.type === 'command' && message.payload && typeof message.payload === 'object') {
+    rename(message.payload, 'map_name', 'mapName');
+    rename(message.payload, 'poi_id', 'poiId');
+    if (message.payload.commandId !== undefined) {
+      message.commandId ??= message.payload.commandId;
+      delete message.payload.commandId;
+    }
+  }
+  return message;
+}
+
+// -----------------------------------------------------------------------------
+// Inbound messages
+// -----------------------------------------------------------------------------
+
+/**
+ * Parse, upgrade and validate one message from `endpoint` ('robot' or
+ * 'ui') spoken at `version`. A robot's version is only known after its
+ * hello, so pass null until then and the hello's own `protocolVersion`
+ * decides. Returns { message }, or { type, errors, commandId } if it was
+ * rejected (type is null when it isn't a known message type).
+ */
+export function parseMessage(endpoint, text, version) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return { type: null, errors: [{ path: '', message: 'must be valid JSON' }] };
+  }
+  if (typeOf(raw) !== 'object' || typeof raw.type !== 'string') {
+    return { type: null, errors: [{ path: '/type', message: 'is required' }] };
+  }
+
+  const effective = version ?? negotiateVersion(raw.protocolVersion) ?? MIN_PROTOCOL_VERSION;
+  const message = effective < 2 ? upgradeLegacy(endpoint, raw) : raw;
+  const schema = PROTOCOL_SCHEMA.endpoints[endpoint].inbound[message.type];
+  if (!schema) {
+    return { type: null, errors: [{ path: '/type', message: `unknown message type "${message.type}"` }] };
+  }
+  const errors = validate(schema, message);
+  if (errors.length === 0) return { message };
+  // Lets the sender match the rejection to the command it sent
+  const commandId = typeof message.commandId === 'string' ? message.commandId : undefined;
+  return { type: message.type, errors, commandId };
+}
+
+/** The reply to a message parseMessage rejected. */
+export function invalidMessageError({ type, errors, commandId }) {
+  const first = errors[0];
+  return {
+    type: 'error',
+    code: 'INVALID_MESSAGE',
+    message: `Invalid ${type || 'message'}: ${first.path || 'message'} ${first.message}`,
+    messageType: type,
+    commandId,
+    errors,
+  };
+}
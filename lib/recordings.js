@@ -0,0 +1,342 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, readdirSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { gunzipSync, gzipSync } from 'zlib';
+
+// =============================================================================
+// SESSION RECORDINGS
+// =============================================================================
+
+export const RECORDING_FORMAT = 'fordward-recording';
+export const RECORDING_VERSION = 1;
+
+/**
+ * Per-robot session recordings: what the robot reported and was told, and
+ * what operators saw, from the robot's hello until it goes offline.
+ *
+ *   data/recordings/fordward/index.json
+ *   data/recordings/fordward/20261019T175702Z-3fa1.jsonl.gz
+ *
+ * A recording is JSON Lines, gzipped once it's finished. The first line is
+ * a header; every other line is one entry, `[offsetMs, type, data]`, with
+ * the offset from `startedAt`:
+ *
+ *   {"format":"fordward-recording","version":1,"robotId":"fordward","recordingId":"...","startedAt":1792432622939,"robot":{...}}
+ *   [0,"telemetry",{"mode":"idle","pose":{...},...}]
+ *   [512,"command",{"command":"set_mode","mode":"nav","command_id":"c-42"}]
+ *   [530,"event",{"kind":"command_sent","commandId":"c-42","command":"set_mode"}]
+ *   [731,"command_result",{"command_id":"c-42","command":"set_mode","success":true,"message":"Mode set to nav"}]
+ *
+ * Types: telemetry (robot → relay payload), command_result (robot →
+ * relay), command (relay → robot), event (relay → the robot's UIs).
+ *
+ * Entries are appended synchronously, like the audit log, so a crash
+ * loses nothing; recordings a crash left unfinished are finished on the
+ * next start.
+ */
+export function createRecorder({ dir, maxDurationMs = 3600000, maxPerRobot = 100 }) {
+  mkdirSync(dir, { recursive: true });
+  const active = new Map(); // robotId -> { meta, file, entries, lastOffsetMs }
+
+  function robotDir(robotId) {
+    return join(dir, encodeURIComponent(robotId));
+  }
+
+  function indexFile(robotId) {
+    return join(robotDir(robotId), 'index.json');
+  }
+
+  function readIndex(robotId) {
+    const file = indexFile(robotId);
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : [];
+  }
+
+  function writeIndex(robotId, index) {
+    const tmp = `${indexFile(robotId)}.tmp`;
+    writeFileSync(tmp, JSON.stringify(index, null, 2) + '\n');
+    renameSync(tmp, indexFile(robotId));
+  }
+
+  function rawFile(robotId, recordingId) {
+    return join(robotDir(robotId), `${recordingId}.jsonl`);
+  }
+
+  function gzFile(robotId, recordingId) {
+    return join(robotDir(robotId), `${recordingId}.jsonl.gz`);
+  }
+
+  function newRecordingId(startedAt) {
+    const stamp = new Date(startedAt).toISOString().replace(/[-:]/g, '').slice(0, 15);
+    return `${stamp}Z-${randomBytes(2).toString('hex')}`;
+  }
+
+  /**
+   * Start recording a robot (finishing any recording already running for
+   * it). `robot` is kept in the header: version, capabilities...
+   */
+  function start(robotId, robot = {}) {
+    finish(robotId);
+    const startedAt = Date.now();
+    const meta = { recordingId: newRecordingId(startedAt), robotId, startedAt, robot };
+    const file = rawFile(robotId, meta.recordingId);
+    mkdirSync(robotDir(robotId), { recursive: true });
+    try {
+      writeFileSync(file, JSON.stringify({ format: RECORDING_FORMAT, version: RECORDING_VERSION, ...meta }) + '\n');
+    } catch (error) {
+      console.error(`[RECORDING] Failed to start recording for ${robotId}:`, error.message);
+      return null;
+    }
+    active.set(robotId, { meta, file, entries: 0, lastOffsetMs: 0 });
+    return meta;
+  }
+
+  /** Append to the robot's recording; a no-op if it isn't being recorded. */
+  function record(robotId, type, data) {
+    const recording = active.get(robotId);
+    if (!recording) return;
+    const offsetMs = Date.now() - recording.meta.startedAt;
+    try {
+      appendFileSync(recording.file, JSON.stringify([offsetMs, type, data]) + '\n');
+      recording.entries++;
+      recording.lastOffsetMs = offsetMs;
+    } catch (error) {
+      console.error(`[RECORDING] Failed to write entry for ${robotId}:`, error.message);
+    }
+    // Long sessions are split so no single recording grows without bound
+    if (offsetMs >= maxDurationMs) start(robotId, recording.meta.robot);
+  }
+
+  /** Stop recording the robot: compress, index, prune old recordings. */
+  function finish(robotId) {
+    const recording = active.get(robotId);
+    if (!recording) return null;
+    active.delete(robotId);
+    try {
+      return seal(robotId, recording.meta.recordingId);
+    } catch (error) {
+      console.error(`[RECORDING] Failed to finish ${recording.meta.recordingId} for ${robotId}:`, error.message);
+      return null;
+    }
+  }
+
+  function seal(robotId, recordingId) {
+    const raw = readFileSync(rawFile(robotId, recordingId));
+    const { header, entries } = parse(raw);
+    const compressed = gzipSync(raw);
+    writeFileSync(gzFile(robotId, recordingId), compressed);
+    unlinkSync(rawFile(robotId, recordingId));
+
+    const summary = {
+      recordingId,
+      robotId,
+      startedAt: header.startedAt,
+      endedAt: header.startedAt + (entries.at(-1)?.[0] || 0),
+      durationMs: entries.at(-1)?.[0] || 0,
+      entries: entries.length,
+      bytes: compressed.length,
+      robot: header.robot,
+    };
+    const index = readIndex(robotId).filter(entry => entry.recordingId !== recordingId).concat(summary);
+    index.splice(0, Math.max(0, index.length - maxPerRobot)).forEach((old) => {
+      try { unlinkSync(gzFile(robotId, old.recordingId)); } catch {}
+    });
+    writeIndex(robotId, index);
+    return summary;
+  }
+
+  /** Recordings of a robot, newest first; the one in progress (if any) is `active`. */
+  function list(robotId) {
+    const recordings = readIndex(robotId).slice().reverse();
+    const recording = active.get(robotId);
+    if (recording) {
+      recordings.unshift({
+        recordingId: recording.meta.recordingId,
+        robotId,
+        startedAt: recording.meta.startedAt,
+        endedAt: null,
+        durationMs: recording.lastOffsetMs,
+        entries: recording.entries,
+        bytes: null,
+        robot: recording.meta.robot,
+        active: true,
+      });
+    }
+    return recordings;
+  }
+
+  /**
+   * The recording as a gzipped JSON Lines file (the one in progress is
+   * compressed as it stands). Null if there's no such recording.
+   */
+  function read(robotId, recordingId) {
+    if (active.get(robotId)?.meta.recordingId === recordingId) {
+      return gzipSync(readFileSync(rawFile(robotId, recordingId)));
+    }
+    if (!readIndex(robotId).some(entry => entry.recordingId === recordingId)) return null;
+    return readFileSync(gzFile(robotId, recordingId));
+  }
+
+  /** Header and entries of a recording, or null. */
+  function load(robotId, recordingId) {
+    const data = read(robotId, recordingId);
+    return data ? parse(gunzipSync(data)) : null;
+  }
+
+  // A crash leaves recordings unfinished: seal what's there
+  readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).forEach(({ name }) => {
+    const robotId = decodeURIComponent(name);
+    readdirSync(join(dir, name))
+      .filter(file => file.endsWith('.jsonl'))
+      .forEach((file) => {
+        try {
+          seal(robotId, file.slice(0, -'.jsonl'.length));
+        } catch (error) {
+          console.error(`[RECORDING] Failed to recover ${name}/${file}:`, error.message);
+        }
+      });
+  });
+
+  return { start, record, finish, list, read, load };
+}
+
+/** Split a recording into its header and entries; torn lines are skipped. */
+export function parse(buffer) {
+  const [first, ...lines] = buffer.toString('utf8').split('\n');
+  const header = JSON.parse(first);
+  if (header.format !== RECORDING_FORMAT) throw new Error('Not a recording');
+  const entries = [];
+  lines.forEach((line) => {
+    if (!line) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Torn write from a crash
+    }
+  });
+  return { header, entries };
+}
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+// Control events that change who holds the lock, as the replayed state shows it
+const CONTROL_OWNER_EVENTS = ['control_acquired', 'control_forced'];
+const CONTROL_FREE_EVENT = 'control_released';
+
+/**
+ * Plays a loaded recording back in (scaled) real time. The replay keeps
+ * the robot's state as it was at the current position, built from the
+ * telemetry and control events up to there, so seeking anywhere gives the
+ * right picture straight away.
+ *
+ * Hooks:
+ *   onState(state)               state changed (telemetry, lock holder, position)
+ *   onEvent(payload, entry)      a recorded event came up
+ *   onEnd()                      reached the end; playback pauses there
+ */
+export function createReplay({ header, entries }, { speed = 1, positionMs = 0, paused = false, onState, onEvent, onEnd }) {
+  const durationMs = entries.at(-1)?.[0] || 0;
+  let index = 0;             // Next entry to play
+  let anchor = { positionMs: 0, at: Date.now() };
+  let timer = null;
+  let ended = false;
+  const state = { positionMs: 0, telemetry: {}, control: { ownerName: null, ownerRole: null } };
+
+  function apply([offsetMs, type, data]) {
+    state.positionMs = offsetMs;
+    if (type === 'telemetry') {
+      state.telemetry = data;
+    } else if (type === 'event' && CONTROL_OWNER_EVENTS.includes(data.kind)) {
+      state.control = { ownerName: data.ownerName ?? null, ownerRole: data.ownerRole ?? null };
+    } else if (type === 'event' && data.kind === CONTROL_FREE_EVENT) {
+      state.control = { ownerName: null, ownerRole: null };
+    }
+  }
+
+  function currentPosition() {
+    if (paused || ended) return anchor.positionMs;
+    return Math.min(durationMs, anchor.positionMs + (Date.now() - anchor.at) * speed);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (paused || ended) return;
+    if (index >= entries.length) {
+      ended = true;
+      anchor = { positionMs: durationMs, at: Date.now() };
+      state.positionMs = durationMs;
+      onState?.(status());
+      onEnd?.();
+      return;
+    }
+    const wait = Math.max(0, (entries[index][0] - currentPosition()) / speed);
+    timer = setTimeout(() => {
+      const entry = entries[index++];
+      apply(entry);
+      if (entry[1] === 'event') onEvent?.(entry[2], entry);
+      if (entry[1] === 'telemetry' || entry[1] === 'event') onState?.(status());
+      schedule();
+    }, wait);
+  }
+
+  /** Jump to `positionMs`, rebuilding the state from the start. */
+  function seek(positionMs) {
+    const target = Math.max(0, Math.min(durationMs, positionMs));
+    state.telemetry = {};
+    state.control = { ownerName: null, ownerRole: null };
+    index = 0;
+    while (index < entries.length && entries[index][0] <= target) apply(entries[index++]);
+    state.positionMs = target;
+    anchor = { positionMs: target, at: Date.now() };
+    ended = false;
+    onState?.(status());
+    schedule();
+  }
+
+  function setSpeed(value) {
+    anchor = { positionMs: currentPosition(), at: Date.now() };
+    speed = value;
+    schedule();
+  }
+
+  function pause() {
+    anchor = { positionMs: currentPosition(), at: Date.now() };
+    paused = true;
+    schedule();
+    onState?.(status());
+  }
+
+  function play() {
+    if (ended) return seek(0);
+    anchor = { positionMs: currentPosition(), at: Date.now() };
+    paused = false;
+    schedule();
+    onState?.(status());
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    paused = true;
+  }
+
+  function status() {
+    return {
+      recordingId: header.recordingId,
+      sourceRobotId: header.robotId,
+      startedAt: header.startedAt,
+      positionMs: Math.round(state.positionMs),
+      durationMs,
+      recordedAt: header.startedAt + Math.round(state.positionMs),
+      speed,
+      paused,
+      ended,
+    };
+  }
+
+  seek(positionMs);
+
+  return { seek, setSpeed, pause, play, stop, status, state, header };
+}
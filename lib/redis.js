@@ -0,0 +1,353 @@
+import { createConnection } from 'net';
+import { createHash } from 'crypto';
+
+// =============================================================================
+// REDIS BACKEND
+// =============================================================================
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  args.forEach((arg) => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  });
+  return parts.join('');
+}
+
+/**
+ * Parse one RESP2 reply from `buffer` at `offset`. Returns
+ * [value, nextOffset], or null if the reply isn't complete yet. Error
+ * replies come back as RedisError values.
+ */
+export function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (String.fromCharCode(buffer[offset])) {
+    case '+':
+      return [line, next];
+    case '-':
+      return [new RedisError(line), next];
+    case ':':
+      return [Number(line), next];
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buffer.length < next + length + 2) return null;
+      return [buffer.toString('utf8', next, next + length), next + length + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item[0]);
+        position = item[1];
+      }
+      return [items, position];
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${String.fromCharCode(buffer[offset])}"`);
+  }
+}
+
+/**
+ * Minimal Redis client over RESP2: enough for the backend below, with no
+ * dependencies. Commands are pipelined and resolved in order. Reconnects
+ * with backoff; commands issued while disconnected are rejected. A client
+ * that subscribes is in pub/sub mode and can't run other commands, so
+ * the backend keeps two.
+ *
+ * URL: redis://[:password@]host[:port][/db]
+ */
+export function createRedisClient(url, { onMessage = null, reconnectMs = 1000, maxReconnectMs = 30000 } = {}) {
+  const parsed = new URL(url);
+  const host = parsed.hostname || 'localhost';
+  const port = Number(parsed.port) || 6379;
+  const password = parsed.password ? decodeURIComponent(parsed.password) : null;
+  const db = parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0;
+
+  const pending = []; // { resolve, reject } in send order
+  const channels = new Set();
+  let socket = null;
+  let connected = false;
+  let closing = false;
+  let buffer = Buffer.alloc(0);
+  let delay = reconnectMs;
+
+  function rejectPending(error) {
+    pending.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      const reply = parseReply(buffer, offset);
+      if (!reply) break;
+      offset = reply[1];
+      const [value] = reply;
+      if (onMessage && Array.isArray(value) && value[0] === 'message') {
+        onMessage(value[1], value[2]);
+        continue;
+      }
+      const waiter = pending.shift();
+      if (!waiter) continue;
+      if (value instanceof RedisError) waiter.reject(value);
+      else waiter.resolve(value);
+    }
+    buffer = offset < buffer.length ? buffer.subarray(offset) : Buffer.alloc(0);
+  }
+
+  function write(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      socket = createConnection({ host, port });
+      socket.setNoDelay(true);
+      socket.on('data', onData);
+      socket.once('connect', async () => {
+        try {
+          if (password) await write(parsed.username ? ['AUTH', decodeURIComponent(parsed.username), password] : ['AUTH', password]);
+          if (db) await write(['SELECT', db]);
+          for (const channel of channels) await write(['SUBSCRIBE', channel]);
+          connected = true;
+          delay = reconnectMs;
+          resolve();
+        } catch (error) {
+          reject(error);
+          socket.destroy();
+        }
+      });
+      socket.on('error', (error) => {
+        if (!connected) reject(error);
+        console.error(`[REDIS] ${host}:${port}: ${error.message}`);
+      });
+      socket.on('close', () => {
+        connected = false;
+        buffer = Buffer.alloc(0);
+        rejectPending(new RedisError('Connection closed'));
+        if (closing) return;
+        setTimeout(() => connect().catch(() => {}), delay);
+        delay = Math.min(delay * 2, maxReconnectMs);
+      });
+    });
+  }
+
+  function command(...args) {
+    if (!connected) return Promise.reject(new RedisError('Not connected to Redis'));
+    return write(args);
+  }
+
+  async function subscribe(channel) {
+    channels.add(channel);
+    if (connected) await write(['SUBSCRIBE', channel]);
+  }
+
+  async function close() {
+    closing = true;
+    if (connected) await write(['QUIT']).catch(() => {});
+    socket?.destroy();
+  }
+
+  return { connect, command, subscribe, close, isConnected: () => connected };
+}
+
+// -----------------------------------------------------------------------------
+// Backend (same interface as createMemoryBackend in lib/cluster.js)
+// -----------------------------------------------------------------------------
+
+// KEYS[1] control key; ARGV: holder JSON, clientId, leaseMs
+const ACQUIRE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  if cjson.decode(current).clientId ~= ARGV[2] then
+    return {0, current}
+  end
+  redis.call('PEXPIRE', KEYS[1], ARGV[3])
+  return {1, current}
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[3])
+return {2, ARGV[1]}
+`;
+
+// KEYS[1] control key; ARGV: holder JSON, leaseMs
+const FORCE_SCRIPT = `
+local previous = redis.call('GET', KEYS[1])
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return previous
+`;
+
+// KEYS[1] control key; ARGV: clientId
+const RELEASE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and cjson.decode(current).clientId == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// KEYS[1] control key; ARGV: clientId, leaseMs
+const RENEW_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and cjson.decode(current).clientId == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// KEYS[1] key; ARGV: expected value
+const DELETE_IF_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Backend on any Redis-compatible server (Redis, Valkey, KeyDB...).
+ * Keys live under `prefix:`; locks are JSON with a PX lease and changed
+ * only by Lua scripts, so compare-and-set is atomic across instances.
+ * E-stop latches are JSON with no expiry.
+ */
+export function createRedisBackend({ url, prefix = 'fordward', instanceId }) {
+  const handlers = new Map(); // full channel name -> Set<handler>
+  const client = createRedisClient(url);
+  const subscriber = createRedisClient(url, {
+    onMessage: (channel, payload) => {
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch {
+        return;
+      }
+      (handlers.get(channel) || []).forEach(handler => handler(message));
+    },
+  });
+
+  const key = (...parts) => [prefix, ...parts].join(':');
+
+  async function evalScript(script, keys, args) {
+    const sha = createHash('sha1').update(script).digest('hex');
+    try {
+      return await client.command('EVALSHA', sha, keys.length, ...keys, ...args);
+    } catch (error) {
+      if (!String(error.message).startsWith('NOSCRIPT')) throw error;
+      return client.command('EVAL', script, keys.length, ...keys, ...args);
+    }
+  }
+
+  async function scanKeys(pattern) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 100);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  return {
+    instanceId,
+
+    async start() {
+      await Promise.all([client.connect(), subscriber.connect()]);
+    },
+
+    async close() {
+      await Promise.all([client.close(), subscriber.close()]);
+    },
+
+    async heartbeat(ttlMs) {
+      await client.command('SET', key('instance', instanceId), Date.now(), 'PX', ttlMs);
+    },
+
+    async listInstances() {
+      return (await scanKeys(key('instance', '*'))).map(k => k.slice(key('instance', '').length));
+    },
+
+    async setPresence(robotId, ttlMs) {
+      await client.command('SET', key('robot', robotId), instanceId, 'PX', ttlMs);
+    },
+
+    async clearPresence(robotId) {
+      return (await evalScript(DELETE_IF_SCRIPT, [key('robot', robotId)], [instanceId])) === 1;
+    },
+
+    async listPresence() {
+      const keys = await scanKeys(key('robot', '*'));
+      if (keys.length === 0) return new Map();
+      const values = await client.command('MGET', ...keys);
+      const prefixLength = key('robot', '').length;
+      return new Map(keys.map((k, i) => [k.slice(prefixLength), values[i]]).filter(([, value]) => value));
+    },
+
+    async acquireControl(robotId, holder, leaseMs) {
+      const [status, current] = await evalScript(ACQUIRE_SCRIPT, [key('control', robotId)], [JSON.stringify(holder), holder.clientId, leaseMs]);
+      return { acquired: status !== 0, renewed: status === 1, holder: JSON.parse(current) };
+    },
+
+    async forceControl(robotId, holder, leaseMs) {
+      const previous = await evalScript(FORCE_SCRIPT, [key('control', robotId)], [JSON.stringify(holder), leaseMs]);
+      return previous ? JSON.parse(previous) : null;
+    },
+
+    async releaseControl(robotId, clientId) {
+      return (await evalScript(RELEASE_SCRIPT, [key('control', robotId)], [clientId])) === 1;
+    },
+
+    async renewControl(robotId, clientId, leaseMs) {
+      return (await evalScript(RENEW_SCRIPT, [key('control', robotId)], [clientId, leaseMs])) === 1;
+    },
+
+    async getControl(robotId) {
+      const current = await client.command('GET', key('control', robotId));
+      return current ? JSON.parse(current) : null;
+    },
+
+    async setEstop(robotId, latch) {
+      await client.command('SET', key('estop', robotId), JSON.stringify(latch));
+    },
+
+    async clearEstop(robotId) {
+      await client.command('DEL', key('estop', robotId));
+    },
+
+    async getEstop(robotId) {
+      const latch = await client.command('GET', key('estop', robotId));
+      return latch ? JSON.parse(latch) : null;
+    },
+
+    async publish(channel, message) {
+      await client.command('PUBLISH', key('channel', channel), JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      const name = key('channel', channel);
+      if (!handlers.has(name)) {
+        handlers.set(name, new Set());
+        await subscriber.subscribe(name);
+      }
+      handlers.get(name).add(handler);
+    },
+  };
+}
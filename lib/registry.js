@@ -0,0 +1,117 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { validateBatteryPolicy } from './battery.js';
+
+// =============================================================================
+// ROBOT REGISTRY
+// =============================================================================
+
+/**
+ * Settings a robot can override, with a validator for each. Anything not
+ * overridden falls back to the global defaults from CONFIG.
+ */
+const positive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+export const ROBOT_SETTINGS = {
+  telemetryRateHz: positive,
+  maxLinearVelocity: positive,
+  maxAngularVelocity: positive,
+  maxLinearAccel: positive,
+  maxAngularAccel: positive,
+  speedProfile: value => typeof value === 'string' && value.length > 0,
+  teleopDeadmanMs: positive,
+  controlIdleTimeoutMs: positive,
+  robotTimeoutMs: positive,
+  validModes: value => Array.isArray(value) && value.length > 0 && value.every(mode => typeof mode === 'string'),
+  batteryPolicy: validateBatteryPolicy,
+  dockPoiId: value => typeof value === 'string' && value.length > 0,
+  maxVideoViewers: value => Number.isInteger(value) && value > 0,
+  // Fleet grouping, see lib/fleet.js
+  site: value => typeof value === 'string' && value.length > 0,
+  tags: value => Array.isArray(value) && value.every(tag => typeof tag === 'string' && tag.length > 0),
+};
+
+/**
+ * Registry file format (robotId -> overrides):
+ * {
+ *   "fordward": { "speedProfile": "careful" },
+ *   "zippy": { "telemetryRateHz": 10, "maxLinearVelocity": 1.2, "validModes": ["idle", "nav", "follow"] },
+ *   "rover-2": { "site": "warehouse", "tags": ["outdoor", "night-shift"] }
+ * }
+ */
+export function createRobotRegistry({ file, defaults, speedProfiles = [] }) {
+  const overrides = new Map();
+
+  if (file && existsSync(file)) {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    Object.entries(parsed).forEach(([robotId, settings]) => {
+      const errors = validate(settings);
+      if (errors.length > 0) {
+        throw new Error(`Invalid config for ${robotId} in ${file}: ${errors.join('; ')}`);
+      }
+      overrides.set(robotId, settings);
+    });
+  }
+
+  /**
+   * Returns a list of problems with an overrides object (empty if valid).
+   */
+  function validate(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['config must be an object'];
+    }
+    const errors = [];
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!ROBOT_SETTINGS[key]) {
+        errors.push(`unknown setting "${key}"`);
+      } else if (!ROBOT_SETTINGS[key](value)) {
+        errors.push(`invalid value for "${key}"`);
+      } else if (key === 'speedProfile' && !speedProfiles.includes(value)) {
+        errors.push(`unknown speed profile "${value}"`);
+      }
+    });
+    return errors;
+  }
+
+  /** Effective settings for a robot: defaults with its overrides applied. */
+  function get(robotId) {
+    return { ...defaults, ...overrides.get(robotId) };
+  }
+
+  function getOverrides(robotId) {
+    return { ...overrides.get(robotId) };
+  }
+
+  /** Robots with overrides, i.e. the ones the registry knows by name. */
+  function ids() {
+    return Array.from(overrides.keys());
+  }
+
+  /**
+   * Replace a robot's overrides and persist the registry. Returns
+   * { ok: true, config } or { ok: false, errors }.
+   */
+  function update(robotId, settings) {
+    const errors = validate(settings);
+    if (errors.length > 0) return { ok: false, errors };
+
+    if (Object.keys(settings).length === 0) {
+      overrides.delete(robotId);
+    } else {
+      overrides.set(robotId, { ...settings });
+    }
+    persist();
+    return { ok: true, config: get(robotId) };
+  }
+
+  function persist() {
+    if (!file) return;
+    mkdirSync(dirname(file), { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written registry
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(Object.fromEntries(overrides), null, 2) + '\n');
+    renameSync(tmp, file);
+  }
+
+  return { get, getOverrides, ids, update, defaults };
+}
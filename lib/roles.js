@@ -0,0 +1,111 @@
+import { readFileSync, existsSync } from 'fs';
+
+// =============================================================================
+// ROLES & PERMISSIONS
+// =============================================================================
+
+/**
+ * Roles in ascending order of privilege. A user with a given role can do
+ * anything a lower role can.
+ */
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Minimum role per control action.
+ */
+export const CONTROL_PERMISSIONS = {
+  request: 'operator',
+  release: 'operator',
+  force: 'admin',       // Emergency takeover
+  leave: 'operator',    // Stop waiting in the queue
+  handover_request: 'operator',
+  handover_accept: 'operator',
+  handover_decline: 'operator',
+  handover_cancel: 'operator',
+};
+
+/**
+ * Minimum role per command kind, and whether the sender must also hold
+ * the control lock. Kinds the protocol schema doesn't know are rejected as
+ * INVALID_MESSAGE before this table matters.
+ */
+export const COMMAND_PERMISSIONS = {
+  teleop:     { role: 'operator', requiresControl: true },
+  goto_poi:   { role: 'operator', requiresControl: true },
+  navigate:   { role: 'operator', requiresControl: true },
+  dock:       { role: 'operator', requiresControl: true },
+  set_mode:   { role: 'operator', requiresControl: true },
+  load_map:   { role: 'operator', requiresControl: true },
+  start_slam: { role: 'operator', requiresControl: true },
+  save_map:   { role: 'admin',    requiresControl: true },
+  restart:    { role: 'admin',    requiresControl: true },
+  // Safety commands: any operator, lock not required
+  stop:       { role: 'operator', requiresControl: false },
+  cancel_nav: { role: 'operator', requiresControl: false },
+};
+
+/**
+ * Minimum role per mission action. Pausing and aborting are safety actions
+ * and don't need the lock; anything that makes the robot move does.
+ */
+export const MISSION_PERMISSIONS = {
+  start:   { role: 'operator', requiresControl: true },
+  resume:  { role: 'operator', requiresControl: true },
+  confirm: { role: 'operator', requiresControl: true },
+  pause:   { role: 'operator', requiresControl: false },
+  abort:   { role: 'operator', requiresControl: false },
+};
+
+/**
+ * Minimum role per e-stop action. Anyone who may stop the robot may
+ * e-stop it; letting it move again is an admin's call.
+ */
+export const ESTOP_PERMISSIONS = {
+  trigger: 'operator',
+  reset:   'admin',
+};
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Roles file format:
+ * {
+ *   "defaultRole": "viewer",
+ *   "robots": {
+ *     "fordward": { "alice": "admin", "bob": "operator" },
+ *     "*": { "ops-lead": "admin" }            // applies to every robot
+ *   }
+ * }
+ */
+export function loadRoleConfig(path) {
+  if (!path || !existsSync(path)) {
+    return { defaultRole: 'viewer', robots: {} };
+  }
+  const parsed = JSON.parse(readFileSync(path, 'utf8'));
+  return { defaultRole: parsed.defaultRole || 'viewer', robots: parsed.robots || {} };
+}
+
+export function createRoleResolver(config, { disabled = false } = {}) {
+  const invalid = Object.values(config.robots)
+    .flatMap(users => Object.values(users))
+    .concat(config.defaultRole)
+    .filter(role => !ROLES.includes(role));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown role(s) in roles config: ${[...new Set(invalid)].join(', ')}`);
+  }
+
+  /**
+   * Resolve a user's role on a robot. With auth disabled there is no
+   * identity to look up, so everyone is treated as admin.
+   */
+  function roleFor(userId, robotId) {
+    if (disabled) return 'admin';
+    return config.robots[robotId]?.[userId]
+      || config.robots['*']?.[userId]
+      || config.defaultRole;
+  }
+
+  return { roleFor };
+}
@@ -0,0 +1,321 @@
+import { appendFileSync, readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+/**
+ * Command kinds a schedule may run, and the params each needs.
+ */
+export const SCHEDULABLE_COMMANDS = {
+  goto_poi: ['poiId'],
+  dock: [],
+  set_mode: ['mode'],
+  load_map: ['mapName'],
+};
+
+// -----------------------------------------------------------------------------
+// Cron expressions: "minute hour day-of-month month day-of-week"
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 8-18/2). Sunday is 0 (or 7).
+// -----------------------------------------------------------------------------
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  return parts.map((part, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    part.split(',').forEach((item) => {
+      const [range, stepRaw] = item.split('/');
+      const step = stepRaw === undefined ? 1 : Number(stepRaw);
+      let [lo, hi] = range === '*' ? [min, max] : range.split('-').map(Number);
+      if (hi === undefined) hi = stepRaw === undefined ? lo : max;
+      if (![lo, hi, step].every(Number.isInteger) || lo < min || hi > max || lo > hi || step < 1) {
+        throw new Error(`invalid cron ${name}: "${item}"`);
+      }
+      for (let v = lo; v <= hi; v += step) values.add(i === 4 && v === 7 ? 0 : v);
+    });
+    return { values, wildcard: part === '*' };
+  });
+}
+
+/**
+ * Wall-clock fields of `date` in an IANA time zone (server local if omitted).
+ */
+function clockFields(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'short',
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type)?.value;
+  const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+  return {
+    minute: Number(get('minute')),
+    hour: Number(get('hour')),
+    dayOfMonth: Number(get('day')),
+    month: Number(get('month')),
+    dayOfWeek: weekdays[get('weekday')],
+    key: `${get('year')}-${get('month')}-${get('day')} ${get('hour')}:${get('minute')}`,
+  };
+}
+
+export function cronMatches(fields, date, timeZone) {
+  const clock = clockFields(date, timeZone);
+  const [minute, hour, dom, month, dow] = fields;
+  // Standard cron: if both day fields are restricted, either may match
+  const dayMatches = dom.wildcard || dow.wildcard
+    ? dom.values.has(clock.dayOfMonth) && dow.values.has(clock.dayOfWeek)
+    : dom.values.has(clock.dayOfMonth) || dow.values.has(clock.dayOfWeek);
+  return minute.values.has(clock.minute) && hour.values.has(clock.hour)
+    && month.values.has(clock.month) && dayMatches;
+}
+
+/**
+ * Next time (epoch ms) a schedule is due, or null if not within 8 days.
+ */
+export function nextRunAt(schedule, from = Date.now()) {
+  if (!schedule.enabled) return null;
+  if (schedule.intervalMs) {
+    // First run at startAt if given, otherwise one interval after creation
+    if (schedule.startAt && from < schedule.startAt) return schedule.startAt;
+    const anchor = schedule.startAt || schedule.createdAt;
+    const elapsed = Math.max(0, from - anchor);
+    return anchor + (Math.floor(elapsed / schedule.intervalMs) + 1) * schedule.intervalMs;
+  }
+  const fields = parseCron(schedule.cron);
+  const start = Math.floor(from / 60000) * 60000 + 60000;
+  for (let t = start; t < start + 8 * 86400000; t += 60000) {
+    if (cronMatches(fields, new Date(t), schedule.timezone)) return t;
+  }
+  return null;
+}
+
+/**
+ * Validate a schedule body from REST. Returns a list of problems.
+ */
+export function validateSchedule(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['body must be an object'];
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+
+  if (!!body.cron === !!body.intervalMs) {
+    errors.push('exactly one of cron or intervalMs is required');
+  } else if (body.cron) {
+    try { parseCron(body.cron); } catch (error) { errors.push(error.message); }
+    if (body.timezone) {
+      try { new Intl.DateTimeFormat('en-US', { timeZone: body.timezone }); } catch { errors.push(`unknown timezone "${body.timezone}"`); }
+    }
+  } else if (!(Number.isFinite(body.intervalMs) && body.intervalMs >= 60000)) {
+    errors.push('intervalMs must be at least 60000');
+  }
+
+  if (!Array.isArray(body.actions) || body.actions.length === 0) {
+    errors.push('actions must be a non-empty array');
+  } else {
+    body.actions.forEach((action, i) => {
+      const params = SCHEDULABLE_COMMANDS[action?.kind];
+      if (!params) {
+        errors.push(`actions[${i}].kind must be one of ${Object.keys(SCHEDULABLE_COMMANDS).join(', ')}`);
+        return;
+      }
+      params.filter(param => !action[param]).forEach(param => errors.push(`actions[${i}].${param} is required`));
+    });
+  }
+
+  if (body.whenOffline != null && !['skip', 'retry'].includes(body.whenOffline)) {
+    errors.push('whenOffline must be "skip" or "retry"');
+  }
+  return errors;
+}
+
+// -----------------------------------------------------------------------------
+// Storage: schedules.json (definitions) + runs.jsonl (append-only history)
+// -----------------------------------------------------------------------------
+
+export function createScheduleStore({ dir }) {
+  mkdirSync(dir, { recursive: true });
+  const schedulesFile = join(dir, 'schedules.json');
+  const runsFile = join(dir, 'runs.jsonl');
+
+  function load() {
+    return existsSync(schedulesFile) ? JSON.parse(readFileSync(schedulesFile, 'utf8')) : {};
+  }
+
+  function save(schedules) {
+    const tmp = `${schedulesFile}.tmp`;
+    writeFileSync(tmp, JSON.stringify(schedules, null, 2) + '\n');
+    renameSync(tmp, schedulesFile);
+  }
+
+  function all() {
+    return Object.values(load());
+  }
+
+  function list(robotId) {
+    return all().filter(s => s.robotId === robotId).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function get(robotId, scheduleId) {
+    const schedule = load()[scheduleId];
+    return schedule && schedule.robotId === robotId ? schedule : null;
+  }
+
+  function put(schedule) {
+    const schedules = load();
+    schedules[schedule.id] = schedule;
+    save(schedules);
+    return schedule;
+  }
+
+  function remove(robotId, scheduleId) {
+    const schedules = load();
+    if (schedules[scheduleId]?.robotId !== robotId) return false;
+    delete schedules[scheduleId];
+    save(schedules);
+    return true;
+  }
+
+  function recordRun(run) {
+    appendFileSync(runsFile, JSON.stringify(run) + '\n');
+  }
+
+  function runs(robotId, scheduleId, limit = 50) {
+    if (!existsSync(runsFile)) return [];
+    return readFileSync(runsFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(run => run && run.robotId === robotId && (!scheduleId || run.scheduleId === scheduleId))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { all, list, get, put, remove, recordRun, runs };
+}
+
+// -----------------------------------------------------------------------------
+// Runner
+// -----------------------------------------------------------------------------
+
+/**
+ * Fires due schedules. `execute(schedule)` does the actual work and
+ * resolves to { status: 'succeeded' | 'failed' | 'offline' | 'busy', reason, actions }.
+ * 'offline' and 'busy' (control held by someone else) are skipped or
+ * retried according to the schedule's `whenOffline` policy. Every attempt
+ * is appended to the run history and passed to `onRun(run)`.
+ */
+export function createScheduler({ store, execute, onRun, tickMs = 15000, retryDelayMs = 60000, maxAttempts = 10 }) {
+  const lastFired = new Map(); // scheduleId -> minute key (cron) or due time (interval)
+  const running = new Set();   // scheduleIds currently executing
+  const retries = new Set();   // pending retry timers
+  let timer = null;
+
+  // Recording a run can fail (disk full, directory gone); that mustn't
+  // take the relay down with an unhandled rejection
+  function logFailure(schedule) {
+    return error => console.error(`[SCHEDULER] Schedule ${schedule.id} failed to run:`, error.message);
+  }
+
+  async function fire(schedule, trigger, scheduledFor, attempt = 1) {
+    if (running.has(schedule.id)) return null;
+    running.add(schedule.id);
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await execute(schedule);
+    } catch (error) {
+      result = { status: 'failed', reason: error.message, actions: [] };
+    } finally {
+      running.delete(schedule.id);
+    }
+
+    const retryable = result.status === 'offline' || result.status === 'busy';
+    const willRetry = retryable && schedule.whenOffline === 'retry' && attempt < maxAttempts;
+    const run = {
+      runId: randomUUID(),
+      scheduleId: schedule.id,
+      robotId: schedule.robotId,
+      name: schedule.name,
+      trigger,
+      scheduledFor,
+      startedAt,
+      finishedAt: Date.now(),
+      attempt,
+      status: retryable ? (willRetry ? 'retrying' : 'skipped') : result.status,
+      reason: result.reason || null,
+      actions: result.actions || [],
+    };
+    store.recordRun(run);
+    onRun?.(run);
+
+    if (willRetry) {
+      const retry = setTimeout(() => {
+        retries.delete(retry);
+        // A schedule deleted meanwhile isn't retried, even after "run now"
+        const current = store.get(schedule.robotId, schedule.id);
+        if (current && (current.enabled || trigger === 'manual')) {
+          fire(current, trigger, scheduledFor, attempt + 1).catch(logFailure(current));
+        }
+      }, retryDelayMs);
+      retries.add(retry);
+    }
+    return run;
+  }
+
+  function tick() {
+    const now = new Date();
+    store.all().filter(s => s.enabled).forEach((schedule) => {
+      try {
+        if (schedule.intervalMs) {
+          const due = nextRunAt(schedule, now.getTime() - tickMs);
+          if (due !== null && due <= now.getTime() && lastFired.get(schedule.id) !== due) {
+            lastFired.set(schedule.id, due);
+            fire(schedule, 'schedule', due).catch(logFailure(schedule));
+          }
+        } else if (cronMatches(parseCron(schedule.cron), now, schedule.timezone)) {
+          const key = clockFields(now, schedule.timezone).key;
+          if (lastFired.get(schedule.id) !== key) {
+            lastFired.set(schedule.id, key);
+            fire(schedule, 'schedule', Math.floor(now.getTime() / 60000) * 60000).catch(logFailure(schedule));
+          }
+        }
+      } catch (error) {
+        console.error(`[SCHEDULER] Bad schedule ${schedule.id}:`, error.message);
+      }
+    });
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, tickMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    retries.forEach(retry => clearTimeout(retry));
+    retries.clear();
+  }
+
+  /** Run a schedule immediately (REST "run now"). */
+  function runNow(schedule) {
+    return fire(schedule, 'manual', Date.now()).catch(logFailure(schedule));
+  }
+
+  return { start, stop, runNow, isRunning: id => running.has(id) };
+}
@@ -0,0 +1,130 @@
+import { randomBytes } from 'crypto';
+
+// =============================================================================
+// UI SESSIONS
+// =============================================================================
+
+// Events lead with their type; the sequence number is appended
+const EVENT_MESSAGE = /^\{"type":"event"/;
+
+/**
+ * Resumable /ui sessions. Each connection gets a session token (sent in
+ * `welcome`). A client that reconnects with it within `graceMs` gets the
+ * session back: the same clientId, its subscriptions and its control lock,
+ * and the events it missed.
+ *
+ * Every `event` sent on a session is numbered with `seq`, which is appended
+ * to the message. The event is kept until the client acks it, or until
+ * `maxEvents` newer ones push it out. While a session is detached, its
+ * sends go to a parked stand-in socket, so events keep being numbered and
+ * kept until the client is back.
+ *
+ * Hooks:
+ *   onExpire(session)    grace ran out; clean up as for a disconnect
+ */
+export function createSessionStore({ graceMs = 30000, maxEvents = 500, onExpire }) {
+  const sessions = new Map(); // token -> session
+
+  function open(clientId, userId) {
+    const session = {
+      token: randomBytes(24).toString('base64url'),
+      clientId,
+      userId,
+      seq: 0,
+      acked: 0,
+      dropped: 0,    // Highest seq pushed out unacked; replays from before it have gaps
+      events: [],    // { seq, data }, oldest first
+      detachedAt: null,
+      timer: null,
+    };
+    sessions.set(session.token, session);
+    return session;
+  }
+
+  /** Number and keep `data` if it's an event. Returns what to send. */
+  function record(session, data) {
+    if (typeof data !== 'string' || !EVENT_MESSAGE.test(data)) return data;
+    const seq = ++session.seq;
+    const stamped = `${data.slice(0, -1)},"seq":${seq}}`;
+    session.events.push({ seq, data: stamped });
+    if (session.events.length > maxEvents) {
+      session.dropped = session.events.shift().seq;
+    }
+    return stamped;
+  }
+
+  /** Number events sent on `ws` from here on. */
+  function sequence(session, ws) {
+    const send = ws.send.bind(ws);
+    ws.send = (data, ...rest) => send(record(session, data), ...rest);
+  }
+
+  /** The client has every event up to `seq`. */
+  function ack(session, seq) {
+    if (!(Number.isInteger(seq) && seq > session.acked && seq <= session.seq)) return;
+    session.acked = seq;
+    const keep = session.events.findIndex(event => event.seq > seq);
+    session.events.splice(0, keep === -1 ? session.events.length : keep);
+  }
+
+  /**
+   * The client's socket closed. Returns the stand-in to use as its socket
+   * until it resumes or the grace runs out.
+   */
+  function park(session) {
+    session.detachedAt = Date.now();
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => {
+      sessions.delete(session.token);
+      onExpire?.(session);
+    }, graceMs);
+
+    return {
+      OPEN: 1,
+      CLOSED: 3,
+      readyState: 1,
+      bufferedAmount: 0,
+      send: (data) => { record(session, data); },
+      ping: () => {},
+      close: () => {},
+      terminate: () => {},
+    };
+  }
+
+  /**
+   * Take a session back with its token. Only the user it was issued to can
+   * resume it. A session that's still attached can be taken over too, for
+   * example when a half-open socket hasn't timed out yet. Returns null if
+   * the session is unknown or expired.
+   */
+  function resume(token, userId) {
+    const session = typeof token === 'string' ? sessions.get(token) : null;
+    if (!session || session.userId !== userId) return null;
+    clearTimeout(session.timer);
+    session.timer = null;
+    session.detachedAt = null;
+    return session;
+  }
+
+  /**
+   * Events after `lastSeq` (default: the last ack), oldest first. `complete`
+   * is false if some of them were already pushed out of the buffer.
+   */
+  function missed(session, lastSeq = session.acked) {
+    const after = Number.isInteger(lastSeq) && lastSeq >= 0 ? Math.min(lastSeq, session.seq) : session.acked;
+    const complete = after >= session.dropped && after >= session.acked;
+    ack(session, after);
+    return {
+      events: session.events.filter(event => event.seq > after).map(event => event.data),
+      complete,
+    };
+  }
+
+  /** The client left for good (or never had a grace period). */
+  function end(session) {
+    clearTimeout(session.timer);
+    sessions.delete(session.token);
+  }
+
+  return { open, sequence, ack, park, resume, missed, end };
+}
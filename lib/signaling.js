@@ -0,0 +1,90 @@
+// =============================================================================
+// WEBRTC SIGNALING
+// =============================================================================
+
+/**
+ * Video sessions between UI clients and robots. The relay only forwards
+ * the signaling (SDP offers/answers, ICE candidates) over the sockets it
+ * already has; media flows peer to peer. This keeps the books on who is
+ * watching which robot, so the relay can cap viewers and hang up the other
+ * side when one goes away.
+ *
+ * A session is one viewer (UI client) on one robot, and is opened by the
+ * viewer's first offer.
+ */
+export function createVideoSessions({ maxViewersFor }) {
+  const sessions = new Map(); // robotId -> Map(clientId -> { clientId, clientName, startedAt })
+
+  function get(robotId, clientId) {
+    return sessions.get(robotId)?.get(clientId) || null;
+  }
+
+  /**
+   * Open a session for `viewer` ({ clientId, clientName }), or return the
+   * one it already has. Null if the robot has all the viewers it may.
+   */
+  function open(robotId, viewer) {
+    const existing = get(robotId, viewer.clientId);
+    if (existing) return existing;
+    if (count(robotId) >= maxViewersFor(robotId)) return null;
+    if (!sessions.has(robotId)) sessions.set(robotId, new Map());
+    const session = { clientId: viewer.clientId, clientName: viewer.clientName, startedAt: Date.now() };
+    sessions.get(robotId).set(viewer.clientId, session);
+    return session;
+  }
+
+  /** End one session; returns it, or null if there was none. */
+  function close(robotId, clientId) {
+    const session = get(robotId, clientId);
+    if (!session) return null;
+    sessions.get(robotId).delete(clientId);
+    if (sessions.get(robotId).size === 0) sessions.delete(robotId);
+    return session;
+  }
+
+  /** End every session on a robot; returns them. */
+  function closeRobot(robotId) {
+    const ended = list(robotId);
+    sessions.delete(robotId);
+    return ended;
+  }
+
+  function list(robotId) {
+    return Array.from(sessions.get(robotId)?.values() || []);
+  }
+
+  function count(robotId) {
+    return sessions.get(robotId)?.size || 0;
+  }
+
+  /** [robotId, viewers] for every robot being watched. */
+  function counts() {
+    return Array.from(sessions, ([robotId, viewers]) => [robotId, viewers.size]);
+  }
+
+  return { get, open, close, closeRobot, list, count, counts };
+}
+
+/**
+ * STUN/TURN servers from the environment, as RTCIceServer objects for
+ * `new RTCPeerConnection({ iceServers })`. Either a JSON array (needed for
+ * TURN credentials) or a comma-separated list of URLs:
+ *
+ *   ICE_SERVERS=stun:stun.l.google.com:19302
+ *   ICE_SERVERS='[{"urls":"turn:turn.example.com:3478","username":"fordward","credential":"..."}]'
+ */
+export function parseIceServers(value) {
+  if (!value) return [];
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    const servers = JSON.parse(trimmed);
+    servers.forEach((server) => {
+      const urls = [].concat(server?.urls);
+      if (urls.length === 0 || !urls.every(url => typeof url === 'string' && /^(stuns?|turns?):/.test(url))) {
+        throw new Error(`ICE_SERVERS: invalid urls in ${JSON.stringify(server)}`);
+      }
+    });
+    return servers;
+  }
+  return trimmed.split(',').map(url => url.trim()).filter(Boolean).map(urls => ({ urls }));
+}
@@ -0,0 +1,408 @@
+import WebSocket from 'ws';
+import { PROTOCOL_VERSION } from './protocol.js';
+
+// =============================================================================
+// SIMULATED ROBOT
+// =============================================================================
+
+const MODES = ['idle', 'slam', 'nav', 'localization'];
+
+// Goal controller: turn on the spot until roughly facing the goal, then drive
+const ARRIVAL_TOLERANCE_M = 0.05;
+const HEADING_TOLERANCE_RAD = 0.3;
+const HEADING_GAIN = 2;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * A stand-in for the robot's cloud_bridge, for local development and the
+ * test suite. It speaks the /robot protocol like the real bridge and drives
+ * a differential-drive model:
+ *
+ * - `teleop` sets the velocity, clamped to the limits from welcome /
+ *   config_update; the robot stops by itself if teleop stalls.
+ * - `go_to_poi` and `dock` drive to the POI and reply when it's reached
+ *   (or preempted, cancelled, out of battery). Docking charges the battery.
+ * - `start_slam`, `save_map` (stop_slam), `load_map` and `set_mode` move
+ *   between modes and maps the way the bridge does, failing the same way.
+ * - `restart` replies, drops the connection and comes back.
+ *
+ * Time runs `timeScale` times faster than the wall clock, so tests don't
+ * wait for the robot to cross the room.
+ *
+ * With `video`, it advertises a camera but has no media: WebRTC signaling
+ * from viewers goes to onSignal, and answers are up to the caller (`send`).
+ *
+ * Hooks:
+ *   onCommand(message)       every command received, before it's acted on
+ *   onSignal(message)        every webrtc message received
+ *   onWelcome(message)       each (re)connection accepted by the relay
+ *   onClose(code, reason)    connection lost; it reconnects after reconnectMs
+ */
+export function createSimRobot({
+  url,
+  robotId = 'fordward',
+  secret,
+  token,
+  pose = { x: 0, y: 0, theta: 0 },
+  battery = 100,
+  charging = false,           // Starts on the dock
+  maps = [],                  // Available maps; the first is loaded
+  pois = {},                  // mapName -> [{ id, name, x, y, theta }]
+  drainPerSecond = 0.01,      // Battery %, idle
+  drainPerMeter = 0.1,        // Battery %, on top while driving
+  chargePerSecond = 0.5,      // Battery %, while docked
+  tickMs = 50,
+  timeScale = 1,
+  teleopTimeoutMs = 500,      // Robot-side deadman, independent of the relay's
+  reconnectMs = 1000,         // null: stay disconnected
+  drop = [],                  // Robot command names ignored entirely (never answered)
+  video = false,              // Advertise the `video` capability
+  onCommand,
+  onSignal,
+  onWelcome,
+  onClose,
+}) {
+  const state = {
+    mode: 'idle',
+    pose: { x: 0, y: 0, theta: 0, ...pose },
+    velocity: { linear: 0, angular: 0 },
+    battery,
+    charging,
+    nav: { state: 'idle', currentGoalPoiId: null, lastResult: null },
+    maps: { active: maps[0] || null, available: [...maps] },
+    pois: new Map(Object.entries(pois).map(([mapName, list]) => [mapName, list.map(poi => ({ ...poi }))])),
+  };
+  const limits = { maxLinearVelocity: 0.5, maxAngularVelocity: 1.5 };
+
+  let ws = null;
+  let connected = false;      // Welcomed on the current socket
+  let goal = null;            // { poi, commandId, command, docking }
+  let lastTeleopAt = 0;
+  let running = false;
+  let tickTimer = null;
+  let telemetryTimer = null;
+  let reconnectTimer = null;
+  let telemetryRateHz = 2;
+
+  // ---------------------------------------------------------------------------
+  // Connection
+  // ---------------------------------------------------------------------------
+
+  function send(message) {
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  }
+
+  function reply(message, success, text) {
+    send({
+      type: 'command_result',
+      command_id: message.command_id ?? null,
+      command: message.command,
+      success,
+      message: text,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      ws = new WebSocket(`${url}/robot`);
+      let welcomed = false;
+
+      ws.on('open', () => {
+        send({
+          type: 'hello',
+          robotId,
+          protocolVersion: PROTOCOL_VERSION,
+          version: 'sim',
+          secret,
+          token,
+          capabilities: ['pose', 'battery', 'mode', 'nav', 'maps', 'pois', ...(video ? ['video'] : [])],
+        });
+      });
+
+      ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        if (message.type === 'welcome') {
+          welcomed = true;
+          connected = true;
+          applyConfig(message.config);
+          onWelcome?.(message);
+          resolve(message);
+          sendTelemetry();
+        } else if (message.type === 'config_update') {
+          applyConfig(message.config);
+        } else if (message.type === 'command') {
+          onCommand?.(message);
+          if (!drop.includes(message.command)) handleCommand(message);
+        } else if (message.type === 'webrtc') {
+          onSignal?.(message);
+        }
+      });
+
+      ws.on('close', (code, reason) => {
+        connected = false;
+        if (!welcomed) reject(new Error(`Connection closed before welcome (${code} ${reason})`));
+        onClose?.(code, reason.toString());
+        if (running && reconnectMs !== null) {
+          reconnectTimer = setTimeout(() => connect().catch(() => {}), reconnectMs);
+        }
+      });
+
+      ws.on('error', () => {}); // 'close' follows
+    });
+  }
+
+  function applyConfig(config = {}) {
+    if (config.maxLinearVelocity != null) limits.maxLinearVelocity = config.maxLinearVelocity;
+    if (config.maxAngularVelocity != null) limits.maxAngularVelocity = config.maxAngularVelocity;
+    if (config.telemetryRateHz && config.telemetryRateHz !== telemetryRateHz) {
+      telemetryRateHz = config.telemetryRateHz;
+      scheduleTelemetry();
+    }
+  }
+
+  function scheduleTelemetry() {
+    clearInterval(telemetryTimer);
+    telemetryTimer = setInterval(sendTelemetry, 1000 / telemetryRateHz);
+  }
+
+  function sendTelemetry() {
+    if (!connected) return;
+    const { x, y, theta } = state.pose;
+    const round = value => Math.round(value * 1000) / 1000;
+    send({
+      type: 'telemetry',
+      robotId,
+      payload: {
+        mode: state.mode,
+        pose: { x: round(x), y: round(y), theta: round(theta) },
+        battery: { percent: Math.round(state.battery * 10) / 10, voltage: round(22 + 7 * state.battery / 100) },
+        nav: { ...state.nav },
+        maps: { active: state.maps.active, available: [...state.maps.available] },
+        pois: activePois(),
+      },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Commands
+  // ---------------------------------------------------------------------------
+
+  function activePois() {
+    return state.maps.active ? state.pois.get(state.maps.active) || [] : [];
+  }
+
+  function findPoi(poiId) {
+    return activePois().find(poi => poi.id === poiId || poi.name === poiId) || null;
+  }
+
+  /** End the current goal, answering the command that set it. */
+  function finishGoal(success, result, text) {
+    if (!goal) return;
+    const finished = goal;
+    goal = null;
+    state.velocity = { linear: 0, angular: 0 };
+    state.nav = { state: 'idle', currentGoalPoiId: null, lastResult: result };
+    reply({ command: finished.command, command_id: finished.commandId }, success, text);
+  }
+
+  function startGoal(message, poiId, docking) {
+    const poi = findPoi(poiId);
+    if (!poi) {
+      reply(message, false, `Unknown POI "${poiId}" on ${state.maps.active || 'no map'}`);
+      return;
+    }
+    if (state.mode === 'slam') {
+      reply(message, false, 'Cannot navigate while mapping');
+      return;
+    }
+    if (state.battery <= 0) {
+      reply(message, false, 'Battery depleted');
+      return;
+    }
+    finishGoal(false, 'preempted', 'Preempted by a new goal');
+    goal = { poi, commandId: message.command_id, command: message.command, docking };
+    state.mode = 'nav';
+    state.charging = false;
+    state.nav = { state: 'navigating', currentGoalPoiId: poi.id, lastResult: state.nav.lastResult };
+  }
+
+  function handleCommand(message) {
+    switch (message.command) {
+      case 'teleop':
+        // Streamed, so there's no result; a goal in progress is overridden
+        finishGoal(false, 'cancelled', 'Overridden by teleop');
+        lastTeleopAt = Date.now();
+        state.charging = false;
+        state.velocity = {
+          linear: clamp(Number(message.linear_x) || 0, -limits.maxLinearVelocity, limits.maxLinearVelocity),
+          angular: clamp(Number(message.angular_z) || 0, -limits.maxAngularVelocity, limits.maxAngularVelocity),
+        };
+        break;
+
+      case 'stop':
+        finishGoal(false, 'cancelled', 'Stopped');
+        state.velocity = { linear: 0, angular: 0 };
+        reply(message, true, 'Stopped');
+        break;
+
+      case 'cancel_nav':
+        if (!goal) {
+          reply(message, true, 'No goal to cancel');
+          break;
+        }
+        finishGoal(false, 'cancelled', 'Cancelled');
+        reply(message, true, 'Navigation cancelled');
+        break;
+
+      case 'set_mode':
+        if (!MODES.includes(message.mode)) {
+          reply(message, false, `Unknown mode: ${message.mode}`);
+        } else if ((message.mode === 'nav' || message.mode === 'localization') && !state.maps.active) {
+          reply(message, false, 'No map loaded');
+        } else {
+          if (message.mode !== 'nav') finishGoal(false, 'cancelled', `Mode changed to ${message.mode}`);
+          state.mode = message.mode;
+          reply(message, true, `Mode set to ${message.mode}`);
+        }
+        break;
+
+      case 'start_slam':
+        finishGoal(false, 'cancelled', 'Mapping started');
+        state.mode = 'slam';
+        reply(message, true, 'Mapping started');
+        break;
+
+      case 'stop_slam':
+        if (state.mode !== 'slam') {
+          reply(message, false, 'Not mapping');
+          break;
+        }
+        if (!state.maps.available.includes(message.map_name)) state.maps.available.push(message.map_name);
+        state.maps.active = message.map_name;
+        state.mode = 'localization';
+        reply(message, true, `Map "${message.map_name}" saved`);
+        break;
+
+      case 'load_map':
+        if (!state.maps.available.includes(message.map_name)) {
+          reply(message, false, `Unknown map "${message.map_name}"`);
+          break;
+        }
+        finishGoal(false, 'cancelled', 'Map changed');
+        state.maps.active = message.map_name;
+        state.mode = 'localization';
+        reply(message, true, `Map "${message.map_name}" loaded`);
+        break;
+
+      case 'go_to_poi':
+        startGoal(message, message.poi_id, false);
+        break;
+
+      case 'dock':
+        startGoal(message, message.poi_id, true);
+        break;
+
+      case 'poi_upsert': {
+        const list = state.pois.get(message.map_name) || [];
+        state.pois.set(message.map_name, list.filter(poi => poi.id !== message.poi.id).concat({ ...message.poi }));
+        reply(message, true, `POI "${message.poi.id}" saved`);
+        break;
+      }
+
+      case 'poi_delete':
+        state.pois.set(message.map_name, (state.pois.get(message.map_name) || []).filter(poi => poi.id !== message.poi_id));
+        reply(message, true, `POI "${message.poi_id}" deleted`);
+        break;
+
+      case 'restart':
+        reply(message, true, 'Restarting');
+        finishGoal(false, 'cancelled', 'Restarting');
+        state.mode = 'idle';
+        setTimeout(() => ws?.close(1012, 'Restarting'), 50);
+        break;
+
+      default:
+        reply(message, false, `Unknown command: ${message.command}`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Physics
+  // ---------------------------------------------------------------------------
+
+  function steer() {
+    const dx = goal.poi.x - state.pose.x;
+    const dy = goal.poi.y - state.pose.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance <= ARRIVAL_TOLERANCE_M) {
+      const { docking, poi } = goal;
+      state.pose.theta = poi.theta ?? state.pose.theta;
+      finishGoal(true, docking ? 'docked' : 'succeeded', `Reached ${poi.name || poi.id}`);
+      state.charging = docking;
+      return;
+    }
+    const headingError = wrapAngle(Math.atan2(dy, dx) - state.pose.theta);
+    state.velocity = {
+      linear: Math.abs(headingError) < HEADING_TOLERANCE_RAD ? Math.min(limits.maxLinearVelocity, distance) : 0,
+      angular: clamp(HEADING_GAIN * headingError, -limits.maxAngularVelocity, limits.maxAngularVelocity),
+    };
+  }
+
+  function tick() {
+    const dt = (tickMs / 1000) * timeScale;
+
+    if (goal) {
+      steer();
+    } else if (Date.now() - lastTeleopAt > teleopTimeoutMs) {
+      state.velocity = { linear: 0, angular: 0 };
+    }
+
+    if (state.battery <= 0) {
+      state.velocity = { linear: 0, angular: 0 };
+      finishGoal(false, 'failed', 'Battery depleted');
+    }
+
+    const { linear, angular } = state.velocity;
+    state.pose.theta = wrapAngle(state.pose.theta + angular * dt);
+    state.pose.x += linear * Math.cos(state.pose.theta) * dt;
+    state.pose.y += linear * Math.sin(state.pose.theta) * dt;
+
+    const drain = drainPerSecond * dt + drainPerMeter * Math.abs(linear) * dt;
+    state.battery = clamp(state.battery + (state.charging ? chargePerSecond * dt : -drain), 0, 100);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /** Connect and start the clock. Resolves with the first welcome. */
+  function start() {
+    running = true;
+    tickTimer = setInterval(tick, tickMs);
+    scheduleTelemetry();
+    return connect();
+  }
+
+  function stop() {
+    running = false;
+    clearInterval(tickTimer);
+    clearInterval(telemetryTimer);
+    clearTimeout(reconnectTimer);
+    ws?.close();
+  }
+
+  /** Drop the connection without a goodbye, as a network failure would. */
+  function disconnect() {
+    ws?.terminate();
+  }
+
+  return { start, stop, disconnect, send, sendTelemetry, state };
+}
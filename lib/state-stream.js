@@ -0,0 +1,190 @@
+// =============================================================================
+// STATE STREAMS
+// =============================================================================
+
+/**
+ * JSON-patch (RFC 6902 subset) ops turning `prev` into `next`. Objects are
+ * diffed key by key; arrays and scalars are replaced whole when they
+ * differ, which keeps the ops simple and still skips the big unchanged
+ * arrays (pois, maps.available) on most updates.
+ */
+export function diffState(prev, next, path = '') {
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    const ops = [];
+    Object.keys(prev).forEach((key) => {
+      if (!(key in next)) ops.push({ op: 'remove', path: `${path}/${escapeKey(key)}` });
+    });
+    Object.keys(next).forEach((key) => {
+      const keyPath = `${path}/${escapeKey(key)}`;
+      if (!(key in prev)) {
+        ops.push({ op: 'add', path: keyPath, value: next[key] });
+      } else {
+        ops.push(...diffState(prev[key], next[key], keyPath));
+      }
+    });
+    return ops;
+  }
+  if (JSON.stringify(prev) === JSON.stringify(next)) return [];
+  return [{ op: 'replace', path: path || '', value: next }];
+}
+
+/**
+ * Apply ops from diffState to a state object (in place). Clients do the
+ * same on their side; kept here as the reference implementation.
+ */
+export function applyPatch(state, ops) {
+  let root = state;
+  ops.forEach(({ op, path, value }) => {
+    if (path === '') {
+      root = value;
+      return;
+    }
+    const keys = path.split('/').slice(1).map(unescapeKey);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], root);
+    if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  });
+  return root;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeKey(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapeKey(key) {
+  return key.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/** Keys every masked state keeps, so a client can always tell what it's looking at. */
+const ALWAYS_SENT = ['robotId', 'online'];
+
+function maskState(state, fields) {
+  if (!fields) return state;
+  const masked = {};
+  Object.keys(state)
+    .filter(key => ALWAYS_SENT.includes(key) || fields.includes(key))
+    .forEach((key) => { masked[key] = state[key]; });
+  return masked;
+}
+
+/**
+ * Per-client, per-robot state streams.
+ *
+ * Each subscription gets a full `state` snapshot, then `state_delta`
+ * messages with the ops since the last state that client was sent. A
+ * stream sends at most `maxRateHz`, and never while the socket's
+ * `bufferedAmount` is over `maxBufferedBytes`. Either way, updates in
+ * between are coalesced: the next send diffs against the latest state,
+ * so a slow client skips stale frames instead of queueing them.
+ *
+ * Hooks:
+ *   getState(robotId, clientId) -> object   current payload for that client
+ */
+export function createStateStreamer({ getState, maxBufferedBytes = 65536, retryMs = 100 }) {
+  const streams = new Map(); // clientId -> Map<robotId, stream>
+
+  /**
+   * Masked state as the client will see it. The JSON round trip drops
+   * undefined values (so they don't diff as changes) and detaches the
+   * copy from live telemetry objects.
+   */
+  function snapshot(robotId, clientId, fields) {
+    return JSON.parse(JSON.stringify(maskState(getState(robotId, clientId), fields)));
+  }
+
+  function streamsFor(clientId) {
+    if (!streams.has(clientId)) streams.set(clientId, new Map());
+    return streams.get(clientId);
+  }
+
+  /**
+   * Start (or restart) a stream and send the snapshot. `envelope` holds
+   * extra top-level fields for the snapshot message (role, counts...).
+   */
+  function open(clientId, ws, robotId, { fields = null, maxRateHz = null, delta = true } = {}, envelope = {}) {
+    close(clientId, robotId);
+    const stream = {
+      ws,
+      robotId,
+      options: { fields, maxRateHz, delta },
+      fields,
+      delta,
+      minIntervalMs: maxRateHz ? 1000 / maxRateHz : 0,
+      seq: 0,
+      lastSent: null,
+      lastSentAt: 0,
+      timer: null,
+    };
+    streamsFor(clientId).set(robotId, stream);
+
+    stream.lastSent = snapshot(robotId, clientId, fields);
+    stream.lastSentAt = Date.now();
+    ws.send(JSON.stringify({ type: 'state', robotId, seq: stream.seq, ...envelope, payload: stream.lastSent }));
+  }
+
+  /**
+   * Move a client's streams to a new socket (resumed session), resending
+   * snapshots. `envelopeFor(robotId)` gives each snapshot's extra fields.
+   */
+  function reattach(clientId, ws, envelopeFor = () => ({})) {
+    Array.from(streams.get(clientId)?.values() || []).forEach((stream) => {
+      open(clientId, ws, stream.robotId, stream.options, envelopeFor(stream.robotId));
+    });
+  }
+
+  function close(clientId, robotId) {
+    const stream = streams.get(clientId)?.get(robotId);
+    if (!stream) return;
+    clearTimeout(stream.timer);
+    streams.get(clientId).delete(robotId);
+  }
+
+  function closeAll(clientId) {
+    Array.from(streams.get(clientId)?.keys() || []).forEach(robotId => close(clientId, robotId));
+    streams.delete(clientId);
+  }
+
+  function flush(clientId, stream) {
+    stream.timer = null;
+    const { ws } = stream;
+    if (ws.readyState !== ws.OPEN) return;
+
+    const wait = Math.max(
+      stream.minIntervalMs - (Date.now() - stream.lastSentAt),
+      ws.bufferedAmount > maxBufferedBytes ? retryMs : 0
+    );
+    if (wait > 0) {
+      stream.timer = setTimeout(() => flush(clientId, stream), wait);
+      return;
+    }
+
+    const state = snapshot(stream.robotId, clientId, stream.fields);
+    if (stream.delta) {
+      const ops = diffState(stream.lastSent, state);
+      if (ops.length === 0) return;
+      ws.send(JSON.stringify({ type: 'state_delta', robotId: stream.robotId, seq: ++stream.seq, ops }));
+    } else {
+      ws.send(JSON.stringify({ type: 'state', robotId: stream.robotId, seq: ++stream.seq, payload: state }));
+    }
+    stream.lastSent = state;
+    stream.lastSentAt = Date.now();
+  }
+
+  /** A robot's state changed; every stream on it sends when it's allowed to. */
+  function notify(robotId) {
+    streams.forEach((clientStreams, clientId) => {
+      const stream = clientStreams.get(robotId);
+      if (stream && !stream.timer) flush(clientId, stream);
+    });
+  }
+
+  return { open, reattach, close, closeAll, notify };
+}
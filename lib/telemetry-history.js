@@ -0,0 +1,142 @@
+import { appendFileSync, readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+// =============================================================================
+// TELEMETRY HISTORY
+// =============================================================================
+
+/**
+ * Fields kept per sample. `nav` is trimmed to the parts worth charting;
+ * `map` is the active map name so a pose trail can be drawn on the right map.
+ */
+export const HISTORY_FIELDS = ['pose', 'battery', 'mode', 'nav', 'map'];
+
+function toSample(telemetry, ts) {
+  return {
+    ts,
+    pose: telemetry.pose ?? null,
+    battery: telemetry.battery ?? null,
+    mode: telemetry.mode ?? null,
+    nav: telemetry.nav ? {
+      state: telemetry.nav.state ?? null,
+      currentGoalPoiId: telemetry.nav.currentGoalPoiId ?? null,
+      lastResult: telemetry.nav.lastResult ?? null,
+    } : null,
+    map: telemetry.maps?.active ?? null,
+  };
+}
+
+/**
+ * Fixed-size ring buffer; oldest samples are overwritten once full.
+ */
+function createRing(capacity) {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  function push(item) {
+    items[(start + size) % capacity] = item;
+    if (size < capacity) {
+      size++;
+    } else {
+      start = (start + 1) % capacity;
+    }
+  }
+
+  function toArray() {
+    const out = new Array(size);
+    for (let i = 0; i < size; i++) out[i] = items[(start + i) % capacity];
+    return out;
+  }
+
+  return { push, toArray, get size() { return size; }, last: () => (size ? items[(start + size - 1) % capacity] : null) };
+}
+
+/**
+ * Per-robot history of pose, battery, mode and nav state.
+ *
+ * Samples are taken at most every `minIntervalMs`, whatever the robot's
+ * telemetry rate. With `dir` set, samples are also appended to
+ * `<dir>/<robotId>.jsonl` and reloaded on startup; the file is compacted
+ * back to the buffer contents once it holds twice the capacity.
+ */
+export function createTelemetryHistory({ capacity, minIntervalMs = 0, dir = null }) {
+  const rings = new Map();     // robotId -> ring
+  const appended = new Map();  // robotId -> lines in file since last compaction
+
+  if (dir) mkdirSync(dir, { recursive: true });
+
+  function fileFor(robotId) {
+    return join(dir, `${encodeURIComponent(robotId)}.jsonl`);
+  }
+
+  function ringFor(robotId) {
+    if (!rings.has(robotId)) {
+      const ring = createRing(capacity);
+      if (dir && existsSync(fileFor(robotId))) {
+        const lines = readFileSync(fileFor(robotId), 'utf8').split('\n').filter(Boolean);
+        lines.slice(-capacity).forEach((line) => {
+          try { ring.push(JSON.parse(line)); } catch { /* torn last line */ }
+        });
+        appended.set(robotId, lines.length);
+      }
+      rings.set(robotId, ring);
+    }
+    return rings.get(robotId);
+  }
+
+  function compact(robotId) {
+    const file = fileFor(robotId);
+    const tmp = `${file}.tmp`;
+    const samples = rings.get(robotId).toArray();
+    writeFileSync(tmp, samples.map(sample => JSON.stringify(sample) + '\n').join(''));
+    renameSync(tmp, file);
+    appended.set(robotId, samples.length);
+  }
+
+  /** Record a telemetry message; returns false if it was within minIntervalMs of the last sample. */
+  function record(robotId, telemetry, ts = Date.now()) {
+    const ring = ringFor(robotId);
+    if (ring.last() && ts - ring.last().ts < minIntervalMs) return false;
+
+    const sample = toSample(telemetry || {}, ts);
+    ring.push(sample);
+
+    if (dir) {
+      appendFileSync(fileFor(robotId), JSON.stringify(sample) + '\n');
+      const count = (appended.get(robotId) || 0) + 1;
+      appended.set(robotId, count);
+      if (count >= capacity * 2) compact(robotId);
+    }
+    return true;
+  }
+
+  /**
+   * Samples oldest-first. `fields` limits which fields are returned (ts is
+   * always included). `downsample` is a bucket width in ms: only the last
+   * sample in each bucket is kept. Only recording creates a buffer, so
+   * asking about a robot with no history doesn't allocate one.
+   */
+  function query(robotId, { from, to, fields, downsample } = {}) {
+    if (!rings.has(robotId) && !(dir && existsSync(fileFor(robotId)))) return [];
+    let samples = ringFor(robotId).toArray()
+      .filter(sample => (from === undefined || sample.ts >= from) && (to === undefined || sample.ts <= to));
+
+    if (downsample > 0) {
+      const buckets = new Map();
+      samples.forEach(sample => buckets.set(Math.floor(sample.ts / downsample), sample));
+      samples = Array.from(buckets.values());
+    }
+
+    if (fields) {
+      samples = samples.map((sample) => {
+        const picked = { ts: sample.ts };
+        fields.forEach((field) => { picked[field] = sample[field]; });
+        return picked;
+      });
+    }
+    return samples;
+  }
+
+  return { record, query };
+}
@@ -0,0 +1,299 @@
+import { appendFileSync, readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, watchFile } from 'fs';
+import { join } from 'path';
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+
+// =============================================================================
+// WEBHOOKS
+// =============================================================================
+
+/**
+ * Validate a webhook body from REST. Returns a list of problems.
+ */
+export function validateWebhook(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['body must be an object'];
+
+  let url = null;
+  try { url = new URL(body.url); } catch { /* reported below */ }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an http(s) URL');
+
+  if (!Array.isArray(body.events) || body.events.length === 0 || !body.events.every(e => typeof e === 'string' && e)) {
+    errors.push('events must be a non-empty array of event kinds (or ["*"])');
+  }
+  if (body.robots != null && (!Array.isArray(body.robots) || body.robots.length === 0 || !body.robots.every(r => typeof r === 'string' && r))) {
+    errors.push('robots must be a non-empty array of robot ids (or ["*"])');
+  }
+  if (body.name != null && typeof body.name !== 'string') errors.push('name must be a string');
+  if (body.enabled != null && typeof body.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (body.secret != null && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    errors.push('secret must be at least 16 characters');
+  }
+  return errors;
+}
+
+export function generateWebhookSecret() {
+  return randomBytes(24).toString('base64url');
+}
+
+function matches(webhook, robotId, kind) {
+  return webhook.enabled
+    && (webhook.events.includes('*') || webhook.events.includes(kind))
+    && (webhook.robots.includes('*') || webhook.robots.includes(robotId));
+}
+
+/**
+ * Signature header value: HMAC-SHA256 over `${timestamp}.${body}`, hex.
+ * The timestamp (epoch ms) is sent in X-Webhook-Timestamp so receivers can
+ * reject replays.
+ */
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/** Receiver side of signWebhook. */
+export function verifyWebhook(secret, { signature, timestamp, body, toleranceMs = 300000 }) {
+  if (!signature || !timestamp || Math.abs(Date.now() - Number(timestamp)) > toleranceMs) return false;
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// -----------------------------------------------------------------------------
+// Storage: webhooks.json (definitions), deliveries.jsonl (every attempt),
+// dead-letters.jsonl (deliveries that gave up)
+// -----------------------------------------------------------------------------
+
+function readJsonl(file) {
+  if (!existsSync(file)) return [];
+  return readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(Boolean);
+}
+
+export function createWebhookStore({ dir }) {
+  mkdirSync(dir, { recursive: true });
+  const webhooksFile = join(dir, 'webhooks.json');
+  const deliveriesFile = join(dir, 'deliveries.jsonl');
+  const deadLettersFile = join(dir, 'dead-letters.jsonl');
+
+  function load() {
+    return existsSync(webhooksFile) ? JSON.parse(readFileSync(webhooksFile, 'utf8')) : {};
+  }
+
+  // Every event is matched against these, so they stay in memory for
+  // `all` and `get`, and are read again when the file changes (another
+  // instance sharing the directory may write it). Writes always start
+  // from the file, so they never undo another instance's change.
+  let webhooks = load();
+  watchFile(webhooksFile, { interval: 2000, persistent: false }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      webhooks = load();
+    } catch (error) {
+      console.error(`[WEBHOOK] Failed to reload ${webhooksFile}, keeping the previous webhooks:`, error.message);
+    }
+  });
+
+  function save(updated) {
+    const tmp = `${webhooksFile}.tmp`;
+    writeFileSync(tmp, JSON.stringify(updated, null, 2) + '\n');
+    renameSync(tmp, webhooksFile);
+    webhooks = updated;
+  }
+
+  function all() {
+    return Object.values(webhooks).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function get(webhookId) {
+    return Object.hasOwn(webhooks, webhookId) ? webhooks[webhookId] : null;
+  }
+
+  function put(webhook) {
+    const updated = load();
+    updated[webhook.id] = webhook;
+    save(updated);
+    return webhook;
+  }
+
+  function remove(webhookId) {
+    const updated = load();
+    if (!Object.hasOwn(updated, webhookId)) return false;
+    delete updated[webhookId];
+    save(updated);
+    return true;
+  }
+
+  function recordAttempt(attempt) {
+    appendFileSync(deliveriesFile, JSON.stringify(attempt) + '\n');
+  }
+
+  /** Attempts for one webhook, newest first. */
+  function attempts(webhookId, limit = 50) {
+    return readJsonl(deliveriesFile).filter(a => a.webhookId === webhookId).reverse().slice(0, limit);
+  }
+
+  function recordDeadLetter(entry) {
+    appendFileSync(deadLettersFile, JSON.stringify(entry) + '\n');
+  }
+
+  /** Dead letters, newest first, optionally for a set of webhook ids. */
+  function deadLetters({ webhookIds = null, limit = 50 } = {}) {
+    return readJsonl(deadLettersFile)
+      .filter(d => !webhookIds || webhookIds.includes(d.webhookId))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  function getDeadLetter(deliveryId) {
+    return readJsonl(deadLettersFile).reverse().find(d => d.deliveryId === deliveryId) || null;
+  }
+
+  return { all, get, put, remove, recordAttempt, attempts, recordDeadLetter, deadLetters, getDeadLetter };
+}
+
+// -----------------------------------------------------------------------------
+// Dispatcher
+// -----------------------------------------------------------------------------
+
+/**
+ * POSTs events to every enabled webhook whose rule matches the event kind
+ * and robot. Body:
+ *
+ *   { deliveryId, kind, robotId, timestamp, payload }
+ *
+ * Headers: X-Webhook-Id, X-Webhook-Delivery, X-Webhook-Event,
+ * X-Webhook-Timestamp and X-Webhook-Signature (see signWebhook).
+ *
+ * A 2xx response is delivered. Network errors, timeouts, 408, 429 and 5xx
+ * are retried with exponential backoff (`backoffMs` doubling, capped at
+ * `maxBackoffMs`) up to `maxAttempts`; other 4xx responses aren't. A
+ * delivery that gives up goes to the dead-letter log and `onDeadLetter`.
+ * Retries keep the same deliveryId and body so receivers can dedupe.
+ */
+export function createWebhookDispatcher({
+  store,
+  onDeadLetter,
+  timeoutMs = 5000,
+  maxAttempts = 6,
+  backoffMs = 2000,
+  maxBackoffMs = 300000,
+}) {
+  const timers = new Set();
+
+  function retryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+  }
+
+  async function post(webhook, delivery) {
+    const timestamp = Date.now();
+    const startedAt = Date.now();
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'fordward-cloud-backend',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.deliveryId,
+          'X-Webhook-Event': delivery.kind,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhook(webhook.secret, timestamp, delivery.body),
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      // Drain so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      return { statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.cause?.message || error.message;
+      return { statusCode: null, error: message, durationMs: Date.now() - startedAt };
+    }
+  }
+
+  function deadLetter(delivery, attempt, error) {
+    const entry = { ...delivery, attempts: attempt, lastError: error, deadAt: Date.now() };
+    store.recordDeadLetter(entry);
+    onDeadLetter?.(entry);
+  }
+
+  async function attempt(delivery, n) {
+    // Re-read so edits (new URL or secret) and deletes apply to retries
+    const webhook = store.get(delivery.webhookId);
+    if (!webhook || !webhook.enabled) {
+      deadLetter(delivery, n - 1, webhook ? 'Webhook disabled' : 'Webhook removed');
+      return null;
+    }
+
+    const result = await post(webhook, delivery);
+    const delivered = result.statusCode !== null && result.statusCode >= 200 && result.statusCode < 300;
+    const willRetry = !delivered && retryable(result.statusCode) && n < maxAttempts;
+    const record = {
+      deliveryId: delivery.deliveryId,
+      webhookId: webhook.id,
+      robotId: delivery.robotId,
+      kind: delivery.kind,
+      attempt: n,
+      status: delivered ? 'delivered' : willRetry ? 'retrying' : 'failed',
+      statusCode: result.statusCode,
+      error: result.error,
+      durationMs: result.durationMs,
+      ts: Date.now(),
+    };
+    store.recordAttempt(record);
+
+    if (willRetry) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        attempt(delivery, n + 1).catch(logFailure(delivery));
+      }, Math.min(backoffMs * 2 ** (n - 1), maxBackoffMs));
+      timers.add(timer);
+    } else if (!delivered) {
+      deadLetter(delivery, n, result.error);
+    }
+    return record;
+  }
+
+  // Recording an attempt can fail (disk full, directory gone); that mustn't
+  // take the relay down with an unhandled rejection
+  function logFailure({ webhookId, kind }) {
+    return error => console.error(`[WEBHOOK] ${webhookId}: ${kind} delivery failed:`, error.message);
+  }
+
+  function deliver(webhookId, robotId, kind, payload) {
+    const deliveryId = randomUUID();
+    const body = JSON.stringify({ deliveryId, kind, robotId, timestamp: new Date().toISOString(), payload });
+    return attempt({ deliveryId, webhookId, robotId, kind, body, createdAt: Date.now() }, 1);
+  }
+
+  /** An event happened on a robot; `event` is the payload with its `kind`. */
+  function notify(robotId, event) {
+    store.all()
+      .filter(webhook => matches(webhook, robotId, event.kind))
+      .forEach((webhook) => {
+        deliver(webhook.id, robotId, event.kind, event).catch(logFailure({ webhookId: webhook.id, kind: event.kind }));
+      });
+  }
+
+  /** Send a `ping` now. Resolves to the first attempt's record. */
+  function ping(webhook) {
+    return deliver(webhook.id, null, 'ping', { kind: 'ping', webhookId: webhook.id });
+  }
+
+  /** Try a dead letter again from attempt 1, same deliveryId and body. */
+  function redeliver(entry) {
+    const { attempts: _attempts, lastError: _lastError, deadAt: _deadAt, ...delivery } = entry;
+    return attempt(delivery, 1);
+  }
+
+  function stop() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  return { notify, ping, redeliver, stop };
+}
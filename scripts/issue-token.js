@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Mint an operator or robot token signed with AUTH_SECRET.
+//
+//   AUTH_SECRET=... node scripts/issue-token.js --user alice --name "Alice" --ttl 12h
+//   AUTH_SECRET=... node scripts/issue-token.js --robot fordward
+import { parseArgs } from 'util';
+import { signToken } from '../lib/auth.js';
+
+const { values } = parseArgs({
+  options: {
+    user: { type: 'string' },
+    name: { type: 'string' },
+    robot: { type: 'string' },
+    ttl: { type: 'string' },
+  },
+});
+
+const secret = process.env.AUTH_SECRET;
+if (!secret) {
+  console.error('AUTH_SECRET must be set');
+  process.exit(1);
+}
+
+if (!values.user && !values.robot) {
+  console.error('Usage: issue-token.js --user <id> [--name <display name>] [--ttl 12h]');
+  console.error('       issue-token.js --robot <robotId> [--ttl 30d]');
+  process.exit(1);
+}
+
+function parseTtl(ttl) {
+  const match = /^(\d+)([smhd])$/.exec(ttl || '');
+  if (!match) return null;
+  const unit = { s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+const payload = values.robot
+  ? { sub: `robot:${values.robot}`, robotId: values.robot }
+  : { sub: values.user, name: values.name || values.user };
+
+const ttlSeconds = parseTtl(values.ttl);
+if (ttlSeconds) {
+  payload.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+}
+
+console.log(signToken(payload, secret));
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Simulated robot for trying out the relay and UIs without hardware. Starts
+// docked on "demo-map", with a few POIs to drive to, and logs every command.
+//
+//   node scripts/sim-robot.js --url ws://localhost:8080 --robot fordward --secret <ROBOT_SECRETS secret>
+//   node scripts/sim-robot.js --token <robot token> --time-scale 5 --battery 25
+import { parseArgs } from 'util';
+import { createSimRobot } from '../lib/simulator.js';
+
+const { values } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'ws://localhost:8080' },
+    robot: { type: 'string', default: 'fordward' },
+    secret: { type: 'string' },
+    token: { type: 'string' },
+    battery: { type: 'string', default: '100' },
+    'time-scale': { type: 'string', default: '1' },
+  },
+});
+
+if (!values.secret && !values.token) {
+  console.error('Usage: sim-robot.js [--url ws://host:port] [--robot <robotId>] (--secret <secret> | --token <robot token>)');
+  console.error('                    [--battery <percent>] [--time-scale <n>]');
+  process.exit(1);
+}
+
+const robot = createSimRobot({
+  url: values.url,
+  robotId: values.robot,
+  secret: values.secret,
+  token: values.token,
+  battery: Number(values.battery),
+  charging: true,
+  timeScale: Number(values['time-scale']) || 1,
+  maps: ['demo-map'],
+  pois: {
+    'demo-map': [
+      { id: 'dock', name: 'Dock', x: 0, y: 0, theta: 0 },
+      { id: 'lab', name: 'Lab', x: 4, y: 1, theta: 1.57 },
+      { id: 'hallway', name: 'Hallway', x: -2, y: 3, theta: 3.14 },
+    ],
+  },
+  onWelcome: message => console.log(`[SIM] Connected as ${message.robotId} (protocol v${message.protocolVersion})`),
+  onClose: (code, reason) => console.log(`[SIM] Disconnected: ${code} ${reason}`),
+  onCommand: ({ type: _type, ...command }) => console.log('[SIM] Command:', JSON.stringify(command)),
+});
+
+robot.start().catch((error) => {
+  console.error(`[SIM] ${error.message}`);
+  process.exit(1);
+});
+
+process.on('SIGINT', () => {
+  robot.stop();
+  process.exit(0);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Local webhook receiver for trying out webhook rules. Prints each delivery
+// and whether its signature checks out.
+//
+//   node scripts/webhook-receiver.js --port 9000 --secret <webhook secret>
+//   node scripts/webhook-receiver.js --port 9000 --fail 3   # 503 the first 3 requests
+import { createServer } from 'http';
+import { parseArgs } from 'util';
+import { verifyWebhook } from '../lib/webhooks.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '9000' },
+    secret: { type: 'string' },
+    fail: { type: 'string', default: '0' },
+  },
+});
+
+let failuresLeft = Number(values.fail) || 0;
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString();
+    const signature = values.secret
+      ? (verifyWebhook(values.secret, {
+          signature: req.headers['x-webhook-signature'],
+          timestamp: req.headers['x-webhook-timestamp'],
+          body,
+        }) ? 'valid' : 'INVALID')
+      : 'not checked';
+
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} event=${req.headers['x-webhook-event']} delivery=${req.headers['x-webhook-delivery']} signature=${signature}`);
+    console.log(`  ${body}`);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(503).end();
+      console.log('  -> 503 (simulated failure)');
+      return;
+    }
+    res.writeHead(signature === 'INVALID' ? 401 : 204).end();
+  });
+});
+
+server.listen(Number(values.port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${values.port}/`);
+});
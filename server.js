@@ -2,6 +2,31 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import { randomUUID } from 'crypto';
+import { CLOSE_CODES, createAuthenticator, extractToken, parseRobotSecrets } from './lib/auth.js';
+import { createAuditLog } from './lib/audit.js';
+import { createBatteryMonitor } from './lib/battery.js';
+import { createMemoryBackend, createRelaySocket } from './lib/cluster.js';
+import { createCommandTracker } from './lib/commands.js';
+import { createDeadman } from './lib/deadman.js';
+import { createEstopLatch } from './lib/estop.js';
+import { createFleetStreamer, createGroupCommand, parseGroup } from './lib/fleet.js';
+import { createMapStore, decodeGrid } from './lib/maps.js';
+import { createMissionRunner, createMissionStore, normalizeSteps, validateMission } from './lib/missions.js';
+import { createPoiStore, createPoiSync, poiIdFor, validatePoi } from './lib/pois.js';
+import { PROMETHEUS_CONTENT_TYPE, createMetricsRegistry } from './lib/metrics.js';
+import { createRecorder, createReplay } from './lib/recordings.js';
+import { FLEET_MAX_RATE_HZ, MIN_PROTOCOL_VERSION, PROTOCOL_SCHEMA, PROTOCOL_VERSION, invalidMessageError, negotiateVersion, parseMessage } from './lib/protocol.js';
+import { createMotionLimiter, loadSpeedConfig, pickSpeedLimits } from './lib/motion.js';
+import { createRedisBackend } from './lib/redis.js';
+import { createRobotRegistry } from './lib/registry.js';
+import { COMMAND_PERMISSIONS, CONTROL_PERMISSIONS, ESTOP_PERMISSIONS, MISSION_PERMISSIONS, createRoleResolver, hasRole, loadRoleConfig } from './lib/roles.js';
+import { createStateStreamer } from './lib/state-stream.js';
+import { createSessionStore } from './lib/sessions.js';
+import { createVideoSessions, parseIceServers } from './lib/signaling.js';
+import { createControlQueue } from './lib/control-queue.js';
+import { createScheduleStore, createScheduler, nextRunAt, validateSchedule } from './lib/scheduler.js';
+import { HISTORY_FIELDS, createTelemetryHistory } from './lib/telemetry-history.js';
+import { createWebhookDispatcher, createWebhookStore, generateWebhookSecret, validateWebhook } from './lib/webhooks.js';
 
 const app = express();
 app.use(express.json());
@@ -10,158 +35,2795 @@ const PORT = process.env.PORT || 8080;
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
+
+// Global defaults. Most of these can be overridden per robot in the robot
+// registry (ROBOTS_CONFIG_FILE, or PUT /robots/:robotId/config).
 const CONFIG = {
+  // Per-robot overrides, see lib/registry.js
+  robotsConfigFile: process.env.ROBOTS_CONFIG_FILE || './config/robots.json',
+  
   // Safety limits for teleop commands
   maxLinearVelocity: 0.5,    // m/s
   maxAngularVelocity: 1.5,   // rad/s
+  maxLinearAccel: 0.5,       // m/s²
+  maxAngularAccel: 2.0,      // rad/s²
+  teleopDeadmanMs: Number(process.env.TELEOP_DEADMAN_MS) || 500, // Stop robot if teleop stream stalls
+  
+  // Named speed profiles and map speed zones
+  speedConfigFile: process.env.SPEED_CONFIG_FILE || './config/speed.json',
   
   // Control lock settings
   controlIdleTimeoutMs: 60000,  // Auto-release control after 60s of no commands
+  handoverTimeoutMs: 30000,     // Unanswered handover requests lapse after this
   
   // Connection settings
   robotTimeoutMs: 60000,        // Mark robot offline after 60s no telemetry
   pingIntervalMs: 30000,        // WebSocket ping interval
+  helloTimeoutMs: 10000,        // Close robot sockets that never authenticate
+  telemetryRateHz: 2,           // Requested telemetry rate, sent in welcome
+  sweepIntervalMs: 5000,        // How often robot/control timeouts are checked
+  
+  // Command correlation
+  commandTimeoutMs: Number(process.env.COMMAND_TIMEOUT_MS) || 10000, // Synthetic command_timeout if no command_result
+  commandTimeoutOverridesMs: {  // Long-running commands
+    goto_poi: 300000,
+    dock: 300000,
+    load_map: 60000,
+    save_map: 60000,
+    restart: 60000,
+  },
+  untrackedCommands: ['teleop'], // Streamed at high rate, robot doesn't reply
+  estopRetryMs: 500,            // Resend an e-stop the robot hasn't acknowledged this often
+  
+  // Authentication
+  auth: {
+    secret: process.env.AUTH_SECRET,                         // Signs operator/robot tokens
+    robotSecrets: parseRobotSecrets(process.env.ROBOT_SECRETS), // Per-robot shared secrets
+    disabled: process.env.AUTH_DISABLED === 'true',          // Local development only
+  },
+  
+  // Per-robot roles (viewer / operator / admin), see lib/roles.js
+  rolesFile: process.env.ROLES_FILE || './config/roles.json',
+  
+  // Append-only audit log of control, commands and robot presence
+  auditDir: process.env.AUDIT_DIR || './data/audit',
+  
+  // Saved mission definitions (one JSON file per robot)
+  missionsDir: process.env.MISSIONS_DIR || './data/missions',
+  
+  // Scheduled / recurring tasks, see lib/scheduler.js
+  schedulesDir: process.env.SCHEDULES_DIR || './data/schedules',
+  schedulerTickMs: 15000,       // How often due schedules are checked
+  scheduleRetryDelayMs: 60000,  // Wait between attempts when robot is offline or busy
+  scheduleMaxAttempts: 10,
+  
+  // Telemetry history (per-robot ring buffer of pose, battery, mode, nav)
+  telemetryHistorySize: 57600,       // 8h at one sample per 500ms
+  telemetryHistoryIntervalMs: 500,   // Minimum spacing between samples
+  telemetryHistoryDir: process.env.TELEMETRY_HISTORY_DIR || null, // Unset: memory only
+  historyDefaultWindowMs: 600000,    // /ui `history` without from/to: last 10 minutes
+  
+  // Battery policies: warn, block new goals, then auto-dock (at or below %)
+  batteryPolicy: { warnPercent: 30, blockPercent: 20, autoDockPercent: 10 },
+  batteryOverrideMs: 900000,    // Admin override lasts 15 minutes at most
+  dockPoiId: 'dock',            // Where `dock` (and auto-dock) goes by default
+  
+  // Relay-managed POIs, per robot and map
+  poisDir: process.env.POIS_DIR || './data/pois',
+  
+  // Occupancy grid relay, see lib/maps.js
+  mapsDir: process.env.MAPS_DIR || './data/maps',
+  mapTileSize: 256,             // Cells per tile side
+  maxMapCells: 4096 * 4096,     // Reject larger uploads
+  maxInlineMapTiles: 16,        // More changed tiles than this: UIs reload instead
+  
+  // State streams to UI clients (snapshot, then deltas)
+  stateMaxBufferedBytes: 65536, // Hold updates while a client's socket has this much unsent
+  stateRetryMs: 100,            // Recheck a backed-up socket this often
+  fleetRateHz: 1,               // Default rate of fleet summary streams
+  
+  // Resumable UI sessions, see lib/sessions.js. 0 turns resumption off.
+  sessionGraceMs: Number(process.env.UI_SESSION_GRACE_MS ?? 30000), // Control and subscriptions are held this long
+  sessionMaxEvents: 500,        // Missed events kept per session for replay
+  
+  // Session recordings and replay, see lib/recordings.js
+  recordingsDir: process.env.RECORDINGS_DIR || './data/recordings',
+  recordingMaxMs: 3600000,      // Longer sessions are split into hour-long recordings
+  recordingsPerRobot: 100,      // Oldest are deleted beyond this
+  maxReplays: 10,               // Replays running at once
+  replayIdleMs: 600000,         // Replays nobody watches are stopped after this
+  
+  // WebRTC signaling for robot video; media flows peer to peer, see lib/signaling.js
+  iceServers: parseIceServers(process.env.ICE_SERVERS), // STUN/TURN, advertised in welcome
+  maxVideoViewers: Number(process.env.WEBRTC_MAX_VIEWERS) || 4, // Per robot, unless its config says otherwise
+  
+  // Outbound webhooks, see lib/webhooks.js
+  webhooksDir: process.env.WEBHOOKS_DIR || './data/webhooks',
+  webhookTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000, // Per attempt
+  webhookMaxAttempts: 6,        // Then the delivery is dead-lettered
+  webhookBackoffMs: Number(process.env.WEBHOOK_BACKOFF_MS) || 2000, // Doubles per retry: 2s, 4s, 8s, ...
+  webhookMaxBackoffMs: 300000,
+  
+  // GET /metrics; if set, scrapers must send `Authorization: Bearer <token>`
+  metricsToken: process.env.METRICS_TOKEN || null,
+  
+  // Running several instances, see lib/cluster.js. Without REDIS_URL the
+  // relay runs standalone on an in-memory backend.
+  redisUrl: process.env.REDIS_URL || null,
+  redisPrefix: process.env.REDIS_PREFIX || 'fordward',
+  instanceId: process.env.INSTANCE_ID || randomUUID().slice(0, 8),
+  presenceTtlMs: 20000,         // Robot/instance presence expires unless refreshed (every sweep)
+  controlLeaseMs: 30000,        // Control lock lease in the backend, renewed while held
   
   // Valid modes
   validModes: ['idle', 'slam', 'nav', 'localization'],
 };
 
-// =============================================================================
-// STATE MANAGEMENT
-// =============================================================================
+if (!CONFIG.auth.secret && !CONFIG.auth.disabled) {
+  console.error('AUTH_SECRET is not set. Set it, or AUTH_DISABLED=true for local development.');
+  process.exit(1);
+}
+
+const auth = createAuthenticator(CONFIG.auth);
+const roles = createRoleResolver(loadRoleConfig(CONFIG.rolesFile), { disabled: CONFIG.auth.disabled });
+const auditLog = createAuditLog({ dir: CONFIG.auditDir });
+const recorder = createRecorder({
+  dir: CONFIG.recordingsDir,
+  maxDurationMs: CONFIG.recordingMaxMs,
+  maxPerRobot: CONFIG.recordingsPerRobot,
+});
+const speedConfig = loadSpeedConfig(CONFIG.speedConfigFile);
+const registry = createRobotRegistry({
+  file: CONFIG.robotsConfigFile,
+  defaults: {
+    telemetryRateHz: CONFIG.telemetryRateHz,
+    ...pickSpeedLimits(CONFIG),
+    speedProfile: 'default',
+    teleopDeadmanMs: CONFIG.teleopDeadmanMs,
+    controlIdleTimeoutMs: CONFIG.controlIdleTimeoutMs,
+    robotTimeoutMs: CONFIG.robotTimeoutMs,
+    validModes: CONFIG.validModes,
+    batteryPolicy: CONFIG.batteryPolicy,
+    dockPoiId: CONFIG.dockPoiId,
+    maxVideoViewers: CONFIG.maxVideoViewers,
+    site: null,
+    tags: [],
+  },
+  speedProfiles: Object.keys(speedConfig.profiles),
+});
+const motionLimiter = createMotionLimiter({
+  baseLimitsFor: baseSpeedLimits,
+  zones: speedConfig.zones,
+  maxDtFor: (robotId) => registry.get(robotId).teleopDeadmanMs,
+});
+const deadman = createDeadman({
+  timeoutFor: (robotId) => registry.get(robotId).teleopDeadmanMs,
+  onTrip: (robotId, reason) => sendDeadmanStop(robotId, reason),
+});
+const missionStore = createMissionStore({ dir: CONFIG.missionsDir });
+const missions = createMissionRunner({
+  sendGoto: (robotId, poiId, run, onOutcome) => {
+    const robot = robots.get(robotId);
+    if (!robot) return false;
+    // Mission progress counts as activity for the control idle timeout
+    robot.control.lastCommandAt = Date.now();
+    return forwardCommand(robotId, { type: 'command', command: 'go_to_poi', poi_id: poiId }, {
+      commandId: run.commandId,
+      kind: 'goto_poi',
+      actor: run.startedBy,
+      requested: { kind: 'goto_poi', poiId, missionId: run.missionId, runId: run.runId },
+      onOutcome
+    });
+  },
+  cancelNav: (robotId, run) => {
+    forwardCommand(robotId, { type: 'command', command: 'cancel_nav' }, {
+      commandId: randomUUID(),
+      kind: 'cancel_nav',
+      actor: run.startedBy,
+      requested: { kind: 'cancel_nav', missionId: run.missionId, runId: run.runId }
+    });
+  },
+  emit: (robotId, kind, mission, extra = {}) => {
+    console.log(`[MISSION] ${robotId}: ${kind} "${mission.name}" step ${mission.stepIndex + 1}/${mission.stepCount}${mission.phase ? ` (${mission.phase})` : ''}`);
+    if (kind !== 'mission_step') {
+      auditLog.record(robotId, kind, null, { missionId: mission.missionId, runId: mission.runId, stepIndex: mission.stepIndex, ...extra });
+    }
+    broadcastToRobotSubscribers(robotId, {
+      type: 'event',
+      robotId,
+      payload: { kind, mission, ...extra }
+    });
+  },
+});
+const scheduleStore = createScheduleStore({ dir: CONFIG.schedulesDir });
+const scheduler = createScheduler({
+  store: scheduleStore,
+  execute: runSchedule,
+  onRun: (run) => {
+    console.log(`[SCHEDULER] ${run.robotId}: "${run.name}" ${run.status}${run.reason ? ` (${run.reason})` : ''}`);
+    auditLog.record(run.robotId, 'schedule_run', SCHEDULER_ACTOR, {
+      scheduleId: run.scheduleId,
+      runId: run.runId,
+      trigger: run.trigger,
+      status: run.status,
+      reason: run.reason,
+    });
+    broadcastToRobotSubscribers(run.robotId, {
+      type: 'event',
+      robotId: run.robotId,
+      payload: { kind: 'schedule_run', run }
+    });
+  },
+  tickMs: CONFIG.schedulerTickMs,
+  retryDelayMs: CONFIG.scheduleRetryDelayMs,
+  maxAttempts: CONFIG.scheduleMaxAttempts,
+});
+const telemetryHistory = createTelemetryHistory({
+  capacity: CONFIG.telemetryHistorySize,
+  minIntervalMs: CONFIG.telemetryHistoryIntervalMs,
+  dir: CONFIG.telemetryHistoryDir,
+});
+const mapStore = createMapStore({ dir: CONFIG.mapsDir, tileSize: CONFIG.mapTileSize });
+const batteryMonitor = createBatteryMonitor({
+  policyFor: (robotId) => registry.get(robotId).batteryPolicy,
+  onLevelChange: handleBatteryLevel,
+});
+const poiStore = createPoiStore({ dir: CONFIG.poisDir });
+const poiSync = createPoiSync({
+  store: poiStore,
+  send: (robotId, mapName, robotCommand, onOutcome) => forwardCommand(robotId, robotCommand, {
+    commandId: randomUUID(),
+    kind: robotCommand.command,
+    actor: POI_SYNC_ACTOR,
+    requested: { kind: robotCommand.command, mapName, poiId: robotCommand.poi?.id ?? robotCommand.poi_id },
+    onOutcome
+  }),
+  emit: (robotId, kind, payload) => {
+    broadcastToRobotSubscribers(robotId, { type: 'event', robotId, payload: { kind, ...payload } });
+  },
+});
+const stateStreamer = createStateStreamer({
+  getState: (robotId) => getStreamedState(robotId),
+  maxBufferedBytes: CONFIG.stateMaxBufferedBytes,
+  retryMs: CONFIG.stateRetryMs,
+});
+const sessions = createSessionStore({
+  graceMs: CONFIG.sessionGraceMs,
+  maxEvents: CONFIG.sessionMaxEvents,
+  onExpire: (session) => {
+    const client = uiClients.get(session.clientId);
+    if (client?.session !== session) return;
+    console.log(`[UI] Session expired: ${client.clientName}`);
+    removeUiClient(client);
+  },
+});
+const controlQueue = createControlQueue({
+  handoverTimeoutMs: CONFIG.handoverTimeoutMs,
+  onHandoverExpired: (request) => {
+    notifyHandoverClosed(request, 'timeout', robots.get(request.robotId)?.control.ownerClientId);
+  },
+});
+const fleetStreamer = createFleetStreamer({
+  getSummary: getFleetSummary,
+  defaultRateHz: CONFIG.fleetRateHz,
+  rateLimitHz: FLEET_MAX_RATE_HZ,
+  maxBufferedBytes: CONFIG.stateMaxBufferedBytes,
+});
+const estops = createEstopLatch({
+  retryMs: CONFIG.estopRetryMs,
+  send: sendEstop,
+});
+const videoSessions = createVideoSessions({
+  maxViewersFor: (robotId) => registry.get(robotId).maxVideoViewers,
+});
+const webhookStore = createWebhookStore({ dir: CONFIG.webhooksDir });
+const webhooks = createWebhookDispatcher({
+  store: webhookStore,
+  onDeadLetter: (entry) => {
+    console.log(`[WEBHOOK] ${entry.webhookId}: gave up on ${entry.kind} delivery ${entry.deliveryId} (${entry.lastError})`);
+  },
+  timeoutMs: CONFIG.webhookTimeoutMs,
+  maxAttempts: CONFIG.webhookMaxAttempts,
+  backoffMs: CONFIG.webhookBackoffMs,
+  maxBackoffMs: CONFIG.webhookMaxBackoffMs,
+});
+function commandTimeoutFor(kind) {
+  return CONFIG.commandTimeoutOverridesMs[kind] ?? CONFIG.commandTimeoutMs;
+}
+
+const commandTracker = createCommandTracker({
+  timeoutFor: commandTimeoutFor,
+  onTimeout: (entry) => {
+    console.log(`[COMMAND] ${entry.commandId} (${entry.command}) on ${entry.robotId} timed out`);
+    auditLog.record(entry.robotId, 'command_timeout', null, { commandId: entry.commandId, command: entry.command });
+    publishCommandOutcome(entry, {
+      kind: 'command_timeout',
+      success: false,
+      message: 'No command_result from robot'
+    });
+  },
+});
+const cluster = CONFIG.redisUrl
+  ? createRedisBackend({ url: CONFIG.redisUrl, prefix: CONFIG.redisPrefix, instanceId: CONFIG.instanceId })
+  : createMemoryBackend({ instanceId: CONFIG.instanceId });
+const metrics = createMetricsRegistry();
+const metric = {
+  robotsConnected: metrics.gauge({
+    name: 'fordward_robots_connected',
+    help: 'Robots with an authenticated /robot connection',
+    collect: () => [[{}, robots.size]],
+  }),
+  uiClientsConnected: metrics.gauge({
+    name: 'fordward_ui_clients_connected',
+    help: 'Connected /ui clients',
+    collect: () => [[{}, localUiClientCount()]],
+  }),
+  messagesReceived: metrics.counter({
+    name: 'fordward_ws_messages_received_total',
+    help: 'WebSocket messages received, by endpoint and message type',
+    labelNames: ['endpoint', 'robotId', 'type'],
+  }),
+  messagesSent: metrics.counter({
+    name: 'fordward_ws_messages_sent_total',
+    help: 'WebSocket messages sent, by endpoint and message type',
+    labelNames: ['endpoint', 'robotId', 'type'],
+  }),
+  broadcasts: metrics.counter({
+    name: 'fordward_broadcasts_total',
+    help: 'Messages broadcast to UI clients',
+    labelNames: ['robotId'],
+  }),
+  broadcastRecipients: metrics.counter({
+    name: 'fordward_broadcast_recipients_total',
+    help: 'UI clients reached by broadcasts (fan-out)',
+    labelNames: ['robotId'],
+  }),
+  commands: metrics.counter({
+    name: 'fordward_commands_total',
+    help: 'Commands by kind: result is "forwarded" or the error code they were refused with',
+    labelNames: ['robotId', 'kind', 'result'],
+  }),
+  uiErrors: metrics.counter({
+    name: 'fordward_ui_errors_total',
+    help: 'Error replies to /ui messages, by request type and code',
+    labelNames: ['robotId', 'type', 'code'],
+  }),
+  commandLatency: metrics.histogram({
+    name: 'fordward_command_result_latency_seconds',
+    help: 'Time from forwarding a command to its command_result',
+    labelNames: ['robotId', 'kind'],
+  }),
+  telemetryAge: metrics.gauge({
+    name: 'fordward_telemetry_age_seconds',
+    help: 'Seconds since the robot last sent telemetry',
+    labelNames: ['robotId'],
+    collect: () => Array.from(robots, ([robotId, robot]) => [{ robotId }, (Date.now() - robot.lastSeen) / 1000]),
+  }),
+  batteryPercent: metrics.gauge({
+    name: 'fordward_battery_percent',
+    help: 'Last reported battery percent',
+    labelNames: ['robotId'],
+    collect: () => Array.from(robots)
+      .filter(([, robot]) => Number.isFinite(robot.telemetry?.battery?.percent))
+      .map(([robotId, robot]) => [{ robotId }, robot.telemetry.battery.percent]),
+  }),
+  controlHeld: metrics.gauge({
+    name: 'fordward_control_lock_held_seconds',
+    help: 'How long the current control lock has been held (0 if free)',
+    labelNames: ['robotId', 'ownerRole'],
+    collect: () => Array.from(robots, ([robotId, robot]) => [
+      { robotId, ownerRole: robot.control.ownerRole || '' },
+      robot.control.since ? (Date.now() - robot.control.since) / 1000 : 0,
+    ]),
+  }),
+  controlHoldDuration: metrics.histogram({
+    name: 'fordward_control_lock_hold_seconds',
+    help: 'Control lock hold durations, observed when the lock is released or taken over',
+    labelNames: ['robotId', 'ownerRole'],
+    buckets: [1, 10, 30, 60, 300, 900, 1800, 3600, 14400],
+  }),
+  videoViewers: metrics.gauge({
+    name: 'fordward_video_viewers',
+    help: 'UI clients with a video session on the robot',
+    labelNames: ['robotId'],
+    collect: () => videoSessions.counts().map(([robotId, viewers]) => [{ robotId }, viewers]),
+  }),
+  estopped: metrics.gauge({
+    name: 'fordward_estopped',
+    help: 'Robots latched in e-stop (1), connected or not',
+    labelNames: ['robotId'],
+    collect: () => estops.robotIds().map(robotId => [{ robotId }, 1]),
+  }),
+  robotBuffered: metrics.gauge({
+    name: 'fordward_robot_ws_buffered_bytes',
+    help: 'Bytes queued on the robot socket',
+    labelNames: ['robotId'],
+    collect: () => Array.from(robots, ([robotId, robot]) => [{ robotId }, robot.ws.bufferedAmount]),
+  }),
+  uiBuffered: metrics.gauge({
+    name: 'fordward_ui_ws_buffered_bytes_max',
+    help: 'Largest number of bytes queued on any /ui socket subscribed to the robot',
+    labelNames: ['robotId'],
+    collect: () => {
+      const max = new Map();
+      uiClients.forEach((client) => {
+        client.subscribedRobots.forEach((subscribed) => {
+          const robotId = robotIdLabel(subscribed);
+          max.set(robotId, Math.max(max.get(robotId) || 0, client.ws.bufferedAmount));
+        });
+      });
+      return Array.from(max, ([robotId, bytes]) => [{ robotId }, bytes]);
+    },
+  }),
+};
+
+/**
+ * robotId label for a robot named by a UI client (subscriptions, commands
+ * and their errors). Anything the relay doesn't know of counts as
+ * `other`, so clients can't add series at will.
+ */
+function robotIdLabel(robotId) {
+  if (!robotId) return '';
+  const known = robots.has(robotId) || remoteRobots.has(robotId)
+    || CONFIG.auth.robotSecrets.has(robotId) || registry.ids().includes(robotId);
+  return known ? robotId : 'other';
+}
+
+// =============================================================================
+// STATE MANAGEMENT
+// =============================================================================
+
+/**
+ * Robot state structure:
+ * {
+ *   ws: WebSocket,
+ *   clientId: string,
+ *   lastSeen: number,
+ *   version: string,
+ *   capabilities: string[],
+ *   telemetry: { mode, pose, battery, nav, maps, pois },
+ *   speedZone: string | null,   // Last speed zone(s) the robot was in
+ *   poiSignature: string | null, // Last reported active map + POI list, for reconciling
+ *   control: { ownerClientId, ownerName, ownerRole, since, lastCommandAt }
+ * }
+ *
+ * The active mission run (if any) lives in the mission runner, keyed by robotId.
+ */
+const robots = new Map();
+
+/**
+ * Server-side actor that scheduled tasks run as. It takes the control lock
+ * like any operator, so the audit log and subscribers see who moved the
+ * robot, and a human holding the lock is never overridden.
+ */
+const SCHEDULER_ACTOR = {
+  clientId: 'system:scheduler',
+  userId: null,
+  clientName: 'Scheduler',
+  role: 'system',
+};
+
+/** Actor for low-battery auto-dock; forces control like an admin would. */
+const BATTERY_ACTOR = {
+  clientId: 'system:battery',
+  userId: null,
+  clientName: 'Battery',
+  role: 'system',
+};
+
+/** Admin overrides of battery blocking/auto-dock: robotId -> { until, by } */
+const batteryOverrides = new Map();
+
+/** Actor for POI sync commands (the edit itself is audited under the user). */
+const POI_SYNC_ACTOR = {
+  clientId: 'system:poi-sync',
+  userId: null,
+  clientName: 'POI sync',
+  role: 'system',
+};
+
+/** Commands whose failure is reported to webhooks as `nav_failed`. */
+const NAV_COMMANDS = ['goto_poi', 'navigate', 'dock'];
+
+/** Commands that make the robot move; refused while it's e-stopped. */
+const MOTION_COMMANDS = ['teleop', ...NAV_COMMANDS];
+
+/**
+ * UI Client structure:
+ * {
+ *   ws: WebSocket,
+ *   clientId: string,
+ *   userId: string | null,     // From the operator token (null when auth disabled)
+ *   clientName: string,        // Display name from the operator token
+ *   subscribedRobots: Set<string>,
+ *   connectedAt: number,
+ *   relayedFrom: string | null,  // Instance the browser is actually on, if not this one
+ *   relayedTo: Set<string>       // Instances this client's messages were routed to
+ * }
+ */
+const uiClients = new Map(); // clientId -> client object
+
+/**
+ * Recordings being played back as virtual, read-only robots that UIs
+ * subscribe to like any other:
+ * {
+ *   replay: see createReplay() in lib/recordings.js,
+ *   sourceRobotId: string,
+ *   createdBy: string | null,  // userId
+ *   createdAt: number,
+ *   watchedAt: number          // Last time anyone was subscribed
+ * }
+ */
+const replays = new Map(); // replayId -> replay entry
+
+// UI messages that would act on a robot; a replay only answers to the rest
+const REPLAY_READ_ONLY = ['control', 'command', 'mission', 'battery', 'estop'];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function generateClientId() {
+  return randomUUID().slice(0, 8);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Parse a from/to bound: ISO timestamp or epoch milliseconds. Returns
+ * undefined when absent and NaN when unparseable.
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? NaN : ms;
+}
+
+/**
+ * Shared by GET /robots/:robotId/telemetry and the /ui `history` message.
+ * Returns { query } or { error }.
+ */
+function parseHistoryQuery({ from, to, fields, downsample }) {
+  const query = { from: parseTime(from), to: parseTime(to) };
+  if (Number.isNaN(query.from) || Number.isNaN(query.to)) {
+    return { error: 'from/to must be ISO timestamps or epoch milliseconds' };
+  }
+  if (fields) {
+    query.fields = Array.isArray(fields) ? fields : String(fields).split(',').filter(Boolean);
+    const unknown = query.fields.filter(field => !HISTORY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return { error: `Unknown field(s): ${unknown.join(', ')}. Valid: ${HISTORY_FIELDS.join(', ')}` };
+    }
+  }
+  if (downsample !== undefined && downsample !== null && downsample !== '') {
+    query.downsample = Number(downsample);
+    if (!(query.downsample > 0)) {
+      return { error: 'downsample must be a bucket width in milliseconds' };
+    }
+  }
+  return { query };
+}
+
+function getRobotState(robotId) {
+  if (replays.has(robotId)) return getReplayState(robotId);
+  const robot = robots.get(robotId);
+  if (!robot) return null;
+  
+  return {
+    robotId,
+    online: true,
+    lastSeen: robot.lastSeen,
+    version: robot.version,
+    capabilities: robot.capabilities,
+    site: registry.get(robotId).site,
+    tags: registry.get(robotId).tags,
+    ...robot.telemetry,
+    speedLimits: getSpeedLimits(robotId),
+    batteryStatus: getBatteryStatus(robotId),
+    estop: describeEstop(estops.get(robotId)),
+    mission: missions.get(robotId),
+    control: {
+      ownerClientId: robot.control?.ownerClientId || null,
+      ownerName: robot.control?.ownerName || null,
+      ownerRole: robot.control?.ownerRole || null,
+      since: robot.control?.since || null,
+      queue: controlQueue.list(robotId).map(({ clientId, clientName, role }) => ({ clientId, clientName, role })),
+    }
+  };
+}
+
+/**
+ * A replay looks like the robot did at that point of the recording, plus
+ * where playback is (`replay`).
+ */
+function getReplayState(replayId) {
+  const { replay } = replays.get(replayId);
+  const status = replay.status();
+  return {
+    robotId: replayId,
+    online: true,
+    lastSeen: status.recordedAt,
+    version: replay.header.robot?.version,
+    capabilities: replay.header.robot?.capabilities,
+    ...replay.state.telemetry,
+    control: { ownerClientId: null, ...replay.state.control, since: null, queue: [] },
+    replay: status,
+  };
+}
+
+/**
+ * POIs a goal may target: what the robot reports, plus relay-managed POIs
+ * on its active map that may not have reached the robot yet.
+ */
+function knownPoisFor(robotId) {
+  const telemetry = robots.get(robotId)?.telemetry || {};
+  const reported = telemetry.pois || [];
+  const managed = telemetry.maps?.active ? poiStore.list(robotId, telemetry.maps.active) : [];
+  return reported.concat(managed.filter(poi => !reported.some(p => (p.id || p.name) === poi.id)));
+}
+
+function poiExists(pois, poiId) {
+  return pois.some(p => p.id === poiId || p.name === poiId);
+}
+
+/**
+ * State as streamed to subscribers: the snapshot on subscribe and what
+ * later deltas are computed against.
+ */
+function getStreamedState(robotId) {
+  const state = getRobotState(robotId);
+  if (!state) {
+    return {
+      robotId,
+      online: false,
+      mode: 'unknown',
+      estop: describeEstop(estops.get(robotId)),
+      control: { ownerClientId: null, ownerName: null }
+    };
+  }
+  return state;
+}
+
+/**
+ * Robots in a fleet group (see lib/fleet.js): any the registry or the
+ * cluster knows of whose settings match.
+ */
+function fleetMembers(group) {
+  const matches = parseGroup(group);
+  const known = new Set([...registry.ids(), ...robots.keys(), ...remoteRobots.keys()]);
+  return Array.from(known).filter(robotId => matches(registry.get(robotId))).sort();
+}
+
+/**
+ * Compact status of a robot for fleet views. Robots homed on another
+ * instance are online, but only that instance knows the rest.
+ */
+function getFleetStatus(robotId) {
+  const { site, tags } = registry.get(robotId);
+  const robot = robots.get(robotId);
+  if (!robot) {
+    const instanceId = remoteRobots.get(robotId);
+    return instanceId ? { online: true, site, tags, instanceId } : { online: false, site, tags };
+  }
+  return {
+    online: true,
+    site,
+    tags,
+    mode: robot.telemetry.mode ?? null,
+    battery: robot.telemetry.battery?.percent ?? null,
+    navState: robot.telemetry.nav?.state ?? null,
+    controlOwner: robot.control.ownerName,
+    mission: missions.get(robotId)?.status ?? null,
+    estopped: estops.isLatched(robotId),
+  };
+}
+
+function getFleetSummary(group) {
+  return Object.fromEntries(fleetMembers(group).map(robotId => [robotId, getFleetStatus(robotId)]));
+}
+
+/**
+ * Send a command to every robot in a group as `client`. Each robot gets
+ * it through the same checks as a single command (role, control lock,
+ * battery...), and the client gets one fleet_command_result once every
+ * robot has answered, timed out or been skipped. Robots homed on another
+ * instance are sent there as one share per instance (see runGroupShare),
+ * whose results are folded into this one.
+ */
+function runGroupCommand(client, group, { commandId = randomUUID(), command }) {
+  const key = `${client.clientId}:${commandId}`;
+  let remote = null;
+  const run = createGroupCommand({
+    group,
+    commandId,
+    command: command.kind,
+    onDone: (result) => {
+      if (remote) {
+        clearTimeout(remote.timer);
+        remoteGroupCommands.delete(key);
+      }
+      console.log(`[FLEET] ${client.clientName} ${command.kind} on ${group}: ${result.summary.succeeded}/${result.summary.total} succeeded`);
+      sendToClient(client.clientId, { type: 'fleet_command_result', ...result });
+    },
+  });
+
+  const shares = new Map(); // instanceId -> robotIds
+  fleetMembers(group).forEach((robotId) => {
+    const home = remoteRobots.get(robotId);
+    // A relayed client's command stays on the instance it was relayed to
+    if (robots.has(robotId) || !home || client.relayedFrom) {
+      commandGroupMember(run, client, robotId, commandId, command);
+      return;
+    }
+    if (remoteGroupCommands.has(key)) {
+      run.reject(robotId, { code: 'DUPLICATE_COMMAND_ID', message: `Command ${commandId} is still pending` });
+      return;
+    }
+    run.pending(robotId, `${commandId}:${robotId}`);
+    if (!shares.has(home)) shares.set(home, []);
+    shares.get(home).push(robotId);
+  });
+
+  if (shares.size > 0) {
+    // Backstop for an instance that dies before answering
+    const timer = setTimeout(() => run.expire('No answer from the robot\'s instance'), commandTimeoutFor(command.kind) + CONFIG.presenceTtlMs);
+    remote = { run, timer };
+    remoteGroupCommands.set(key, remote);
+    shares.forEach((robotIds, home) => {
+      openRelay(client, home);
+      publishToInstance(home, { type: 'group_command', from: CONFIG.instanceId, clientId: client.clientId, commandId, command, robotIds });
+    });
+  }
+  run.seal();
+}
+
+/** Send one robot's part of a group command, or record why it wasn't sent. */
+function commandGroupMember(run, client, robotId, commandId, command) {
+  if (!robots.has(robotId)) {
+    run.reject(robotId, remoteRobots.has(robotId)
+      ? { code: 'REMOTE_ROBOT', message: `Robot ${robotId} is connected to instance ${remoteRobots.get(robotId)}` }
+      : { code: 'ROBOT_OFFLINE', message: `Robot ${robotId} is not connected` });
+    return;
+  }
+  const robotCommandId = `${commandId}:${robotId}`;
+  if (commandTracker.has(robotId, robotCommandId)) {
+    run.reject(robotId, { code: 'DUPLICATE_COMMAND_ID', message: `Command ${robotCommandId} is still pending` });
+    return;
+  }
+  const { robotCommand, error } = prepareCommand(client, robotId, command);
+  if (error) {
+    run.reject(robotId, error);
+    return;
+  }
+  run.pending(robotId, robotCommandId);
+  const sent = dispatchCommand(client, robotId, robotCommand, {
+    commandId: robotCommandId,
+    payload: command,
+    onOutcome: outcome => run.settle(robotId, outcome),
+  });
+  if (!sent) run.reject(robotId, { code: 'ROBOT_OFFLINE', message: `Robot ${robotId} is not connected` });
+}
+
+/**
+ * Another instance's group command for robots homed here. It runs as the
+ * browser's relayed client, so the checks are the same as for a local
+ * browser, and the results go back to be combined.
+ */
+function runGroupShare({ from, clientId, commandId, command, robotIds }) {
+  const client = uiClients.get(clientId);
+  const run = createGroupCommand({
+    group: null,
+    commandId,
+    command: command.kind,
+    onDone: ({ results }) => publishToInstance(from, { type: 'group_command_result', clientId, commandId, results }),
+  });
+  robotIds.forEach((robotId) => {
+    if (client?.relayedFrom === from) {
+      commandGroupMember(run, client, robotId, commandId, command);
+    } else {
+      run.reject(robotId, { code: 'ROBOT_OFFLINE', message: `Robot ${robotId} is not connected` });
+    }
+  });
+  run.seal();
+}
+
+/**
+ * A robot's limits before speed zones: global defaults, then its speed
+ * profile, then any limits set directly in its registry entry.
+ */
+function baseSpeedLimits(robotId) {
+  const { speedProfile } = registry.get(robotId);
+  return {
+    profile: speedProfile,
+    ...pickSpeedLimits(CONFIG),
+    ...speedConfig.profiles[speedProfile],
+    ...pickSpeedLimits(registry.getOverrides(robotId)),
+  };
+}
+
+function getSpeedLimits(robotId) {
+  return motionLimiter.limitsFor(robotId, robots.get(robotId)?.telemetry);
+}
+
+/**
+ * Settings the robot itself needs; sent in welcome and config_update.
+ */
+function getRobotConfig(robotId) {
+  const config = registry.get(robotId);
+  return {
+    telemetryRateHz: config.telemetryRateHz,
+    ...getSpeedLimits(robotId),
+    teleopDeadmanMs: config.teleopDeadmanMs,
+    validModes: config.validModes,
+  };
+}
+
+function getSubscribers(robotId) {
+  return Array.from(uiClients.values())
+    .filter(client => client.subscribedRobots.has(robotId))
+    .map(client => ({
+      clientId: client.clientId,
+      clientName: client.clientName,
+      role: roles.roleFor(client.userId, robotId),
+      away: !!client.session?.detachedAt,
+    }));
+}
+
+function auditActor(client, robotId) {
+  return {
+    clientId: client.clientId,
+    userId: client.userId,
+    clientName: client.clientName,
+    role: roles.roleFor(client.userId, robotId),
+  };
+}
+
+function sendForbidden(ws, message) {
+  ws.send(JSON.stringify({ type: 'error', code: 'FORBIDDEN', message }));
+}
+
+/** Robot events also go to matching webhooks, whether or not a UI is watching. */
+function notifyWebhooks(message) {
+  if (message.type === 'event' && message.robotId && message.payload?.kind) {
+    webhooks.notify(message.robotId, message.payload);
+  }
+}
+
+/** Robot events also go into the robot's recording. */
+function recordEvent(message) {
+  if (message.type === 'event' && message.robotId && message.payload?.kind) {
+    recorder.record(message.robotId, 'event', message.payload);
+  }
+}
+
+function broadcastToRobotSubscribers(robotId, message, { excludeClientId = null } = {}) {
+  notifyWebhooks(message);
+  recordEvent(message);
+  const sent = sendToSubscribers(robotId, JSON.stringify(message), excludeClientId);
+  
+  metric.broadcasts.inc({ robotId: robotIdLabel(robotId) });
+  metric.broadcastRecipients.inc({ robotId: robotIdLabel(robotId) }, sent);
+  if (sent > 0) {
+    console.log(`[BROADCAST] ${robotId}: sent to ${sent} subscribers`);
+  }
+}
+
+function sendToSubscribers(robotId, payload, excludeClientId = null) {
+  let sent = 0;
+  uiClients.forEach((client) => {
+    if (client.ws.readyState === client.ws.OPEN && 
+        client.subscribedRobots.has(robotId) &&
+        client.clientId !== excludeClientId) {
+      client.ws.send(payload);
+      sent++;
+    }
+  });
+  return sent;
+}
+
+// Every message leads with `type`, and most with `robotId` right after it
+const SENT_TYPE = /^\{"type":"([^"]*)"/;
+const SENT_ROBOT_ID = /^\{"type":"[^"]*","robotId":"([^"]*)"/;
+const SENT_ERROR_CODE = /"code":"([^"]*)"/;
+
+/**
+ * Count what a socket sends by sniffing the start of each JSON string
+ * rather than parsing it again. `onError(code)` is called for each
+ * `error` sent.
+ */
+function countOutgoing(ws, endpoint, robotIdFor, onError = null) {
+  const send = ws.send.bind(ws);
+  ws.send = (data, ...args) => {
+    const head = typeof data === 'string' ? data.slice(0, 256) : '';
+    const type = SENT_TYPE.exec(head)?.[1] || 'unknown';
+    metric.messagesSent.inc({ endpoint, robotId: robotIdFor(head), type });
+    if (type === 'error' && onError) onError(SENT_ERROR_CODE.exec(head)?.[1] || 'unknown');
+    return send(data, ...args);
+  };
+}
+
+const SENT_COMMAND = /^\{"type":"command"/;
+
+/** What a robot socket is told to do goes into the robot's recording. */
+function recordOutgoing(ws, robotIdFor) {
+  const send = ws.send.bind(ws);
+  ws.send = (data, ...args) => {
+    const robotId = robotIdFor();
+    if (robotId && typeof data === 'string' && SENT_COMMAND.test(data)) {
+      const { type: _type, ...command } = JSON.parse(data);
+      recorder.record(robotId, 'command', command);
+    }
+    return send(data, ...args);
+  };
+}
+
+function sendToClient(clientId, message) {
+  const client = uiClients.get(clientId);
+  if (client && client.ws.readyState === client.ws.OPEN) {
+    client.ws.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * The issuer of a command gets the full outcome; everyone else watching
+ * the robot gets a summary so they can see what happened.
+ */
+function publishCommandOutcome(entry, { kind, success, message, timestamp }) {
+  const summary = {
+    kind,
+    commandId: entry.commandId,
+    command: entry.command,
+    success,
+    issuedBy: entry.clientName,
+  };
+  
+  entry.onOutcome?.({ kind, success, message });
+  
+  sendToClient(entry.clientId, {
+    type: 'event',
+    robotId: entry.robotId,
+    payload: {
+      ...summary,
+      message: message || null,
+      latencyMs: Date.now() - entry.sentAt,
+      timestamp: timestamp || new Date().toISOString()
+    }
+  });
+  broadcastToRobotSubscribers(entry.robotId, {
+    type: 'event',
+    robotId: entry.robotId,
+    payload: summary
+  }, { excludeClientId: entry.clientId });
+  
+  // Webhook-only: alerting rules want "a goal failed", not every command_result
+  if (!success && NAV_COMMANDS.includes(entry.command)) {
+    webhooks.notify(entry.robotId, {
+      kind: 'nav_failed',
+      commandId: entry.commandId,
+      command: entry.command,
+      outcome: kind,
+      message: message || null,
+      issuedBy: entry.clientName,
+    });
+  }
+}
+
+/**
+ * Send a validated command to a robot, record it in the audit log and,
+ * unless the kind is untracked, wait for its command_result. `actor` is
+ * the client (or mission owner) the command is attributed to. Returns
+ * false if the robot isn't connected.
+ */
+function forwardCommand(robotId, robotCommand, { commandId, kind, actor, requested, onOutcome }) {
+  const robot = robots.get(robotId);
+  if (!robot || robot.ws.readyState !== robot.ws.OPEN) return false;
+  // Callers check first and say why; this is the backstop
+  if (MOTION_COMMANDS.includes(kind) && estops.isLatched(robotId)) return false;
+  
+  const tracked = !CONFIG.untrackedCommands.includes(kind);
+  if (tracked) {
+    robotCommand.command_id = commandId;
+  }
+  robot.ws.send(JSON.stringify(robotCommand));
+  metric.commands.inc({ robotId, kind, result: 'forwarded' });
+  
+  // Keep what was asked for next to what was actually sent (clamping)
+  const { type: _type, ...forwarded } = robotCommand;
+  auditLog.record(robotId, 'command', actor, {
+    commandId: tracked ? commandId : null,
+    command: kind,
+    requested,
+    forwarded,
+  });
+  
+  if (tracked) {
+    commandTracker.track(robotId, {
+      commandId,
+      command: kind,
+      robotCommand: robotCommand.command,
+      clientId: actor?.clientId || null,
+      clientName: actor?.clientName || null,
+      onOutcome
+    });
+  }
+  return true;
+}
+
+/**
+ * Check a UI client's command against the robot's rules (role, control
+ * lock, battery, valid modes, known POIs) and build what the robot gets.
+ * Returns { robotCommand }, or { error } with the code and message to
+ * send back. The robot must be connected.
+ */
+function prepareCommand(client, robotId, payload) {
+  const robot = robots.get(robotId);
+  const { kind } = payload;
+  
+  // === ROLE CHECK ===
+  const permission = COMMAND_PERMISSIONS[kind];
+  const role = roles.roleFor(client.userId, robotId);
+  if (permission && !hasRole(role, permission.role)) {
+    return { error: { code: 'FORBIDDEN', message: `Command "${kind}" requires ${permission.role} role (you are ${role})` } };
+  }
+  
+  // === E-STOP CHECK (nothing moves until an admin resets it) ===
+  if (MOTION_COMMANDS.includes(kind) && estops.isLatched(robotId)) {
+    return { error: { code: 'ESTOPPED', message: `Robot ${robotId} is e-stopped; an admin must reset it before it can move` } };
+  }
+  
+  // === CONTROL LOCK CHECK (motion and state-changing commands) ===
+  if (permission?.requiresControl && robot.control.ownerClientId !== client.clientId) {
+    return { error: { code: 'NO_CONTROL', message: `You must acquire control before sending ${kind} commands` } };
+  }
+  
+  // === BATTERY CHECK (no new goals on a low battery; dock is fine) ===
+  if ((kind === 'goto_poi' || kind === 'navigate') && isBatteryBlocked(robotId)) {
+    return {
+      error: {
+        code: 'BATTERY_LOW',
+        message: `Battery too low for new goals (${robot.telemetry.battery?.percent}%); dock the robot or ask an admin to override`
+      }
+    };
+  }
+  
+  // === VALIDATE & SANITIZE COMMANDS ===
+  switch (kind) {
+    case 'teleop': {
+      // Clamp to profile/zone limits and rate-limit acceleration
+      const { linear_x, angular_z } = motionLimiter.apply(robotId, {
+        linear_x: Number(payload.linear_x) || 0,
+        angular_z: Number(payload.angular_z) || 0
+      }, getSpeedLimits(robotId));
+      return { robotCommand: { type: 'command', command: 'teleop', linear_x, angular_z } };
+    }
+      
+    case 'stop':
+      return { robotCommand: { type: 'command', command: 'stop' } };
+      
+    case 'set_mode': {
+      const mode = payload.mode;
+      const { validModes } = registry.get(robotId);
+      if (!validModes.includes(mode)) {
+        return { error: { code: 'INVALID_MODE', message: `Invalid mode: ${mode}. Valid: ${validModes.join(', ')}` } };
+      }
+      return { robotCommand: { type: 'command', command: 'set_mode', mode } };
+    }
+      
+    case 'load_map':
+      return { robotCommand: { type: 'command', command: 'load_map', map_name: payload.mapName } };
+      
+    case 'save_map':
+      return { robotCommand: { type: 'command', command: 'stop_slam', map_name: payload.mapName } };
+      
+    case 'goto_poi': {
+      const poiId = payload.poiId;
+      // Optionally validate POI exists
+      const knownPois = knownPoisFor(robotId);
+      if (knownPois.length > 0 && !poiExists(knownPois, poiId)) {
+        return {
+          error: {
+            code: 'UNKNOWN_POI',
+            message: `POI "${poiId}" not found`,
+            availablePois: knownPois.map(p => p.id || p.name)
+          }
+        };
+      }
+      return { robotCommand: { type: 'command', command: 'go_to_poi', poi_id: poiId } };
+    }
+      
+    case 'dock': {
+      const dockPoiId = payload.poiId || registry.get(robotId).dockPoiId;
+      const dockPois = knownPoisFor(robotId);
+      if (dockPois.length > 0 && !poiExists(dockPois, dockPoiId)) {
+        return {
+          error: {
+            code: 'UNKNOWN_POI',
+            message: `Dock POI "${dockPoiId}" not found`,
+            availablePois: dockPois.map(p => p.id || p.name)
+          }
+        };
+      }
+      return { robotCommand: { type: 'command', command: 'dock', poi_id: dockPoiId } };
+    }
+      
+    case 'cancel_nav':
+      return { robotCommand: { type: 'command', command: 'cancel_nav' } };
+      
+    case 'start_slam':
+      return { robotCommand: { type: 'command', command: 'start_slam' } };
+      
+    case 'restart':
+      return { robotCommand: { type: 'command', command: 'restart' } };
+  }
+}
+
+/**
+ * Send a command prepareCommand() accepted: it counts as activity on the
+ * lock, takes over from a running mission where it should, and feeds the
+ * deadman. Returns false if the robot isn't connected.
+ */
+function dispatchCommand(client, robotId, robotCommand, { commandId, payload, onOutcome }) {
+  const { kind } = payload;
+  const robot = robots.get(robotId);
+  if (COMMAND_PERMISSIONS[kind]?.requiresControl && robot) {
+    robot.control.lastCommandAt = Date.now();
+  }
+  
+  // Manual driving, stop or cancel takes over from a running mission
+  if (missions.isActive(robotId) && ['teleop', 'goto_poi', 'dock', 'navigate', 'stop', 'cancel_nav'].includes(kind)) {
+    missions.pause(robotId, kind === 'stop' || kind === 'cancel_nav' ? kind : 'manual_override');
+  }
+  
+  const sent = forwardCommand(robotId, robotCommand, {
+    commandId,
+    kind,
+    actor: auditActor(client, robotId),
+    requested: payload,
+    onOutcome
+  });
+  if (!sent) return false;
+  
+  // Nonzero teleop (re)arms the deadman; zero velocity or stop disarms it
+  if (kind === 'teleop') {
+    deadman.feed(robotId, robotCommand.linear_x !== 0 || robotCommand.angular_z !== 0);
+  } else if (kind === 'stop') {
+    deadman.disarm(robotId);
+    motionLimiter.reset(robotId);
+  }
+  return true;
+}
+
+/**
+ * Give the control lock to `owner` (an actor: clientId, clientName, role),
+ * or free it with null. The previous holder's time goes into metrics.
+ * This instance decides for its own robots; the cluster backend gets a
+ * leased copy so the lock survives the robot moving to another instance.
+ * Handover requests were addressed to the old owner, so they're dropped.
+ *
+ * This overrides whatever the backend has (force, handover, release);
+ * taking a free lock goes through acquireControl() so the backend can say
+ * no first. `synced` means the backend already has `owner`.
+ */
+function setControl(robotId, owner, { synced = false } = {}) {
+  const robot = robots.get(robotId);
+  const previousClientId = robot.control.ownerClientId;
+  if (previousClientId !== (owner?.clientId ?? null)) {
+    controlQueue.cancelHandovers({ robotId }).forEach(request => notifyHandoverClosed(request, 'owner_changed', previousClientId));
+  }
+  if (owner && controlQueue.leave(robotId, owner.clientId)) {
+    broadcastControlQueue(robotId);
+  }
+  if (robot.control.since) {
+    metric.controlHoldDuration.observe({ robotId, ownerRole: robot.control.ownerRole }, (Date.now() - robot.control.since) / 1000);
+  }
+  robot.control = owner
+    ? { ownerClientId: owner.clientId, ownerName: owner.clientName, ownerRole: owner.role, since: Date.now(), lastCommandAt: Date.now() }
+    : { ownerClientId: null, ownerName: null, ownerRole: null, since: null, lastCommandAt: null };
+
+  if (!owner) {
+    if (previousClientId) cluster.releaseControl(robotId, previousClientId).catch(logClusterError('Control release'));
+  } else if (!synced) {
+    cluster.forceControl(robotId, controlHolder(robot.control), CONFIG.controlLeaseMs).catch(logClusterError('Control update'));
+  }
+}
+
+/**
+ * Take the free lock on `robotId` for `owner` once the backend agrees.
+ * It won't if the robot's previous home still holds a lease on it; that
+ * holder is adopted instead. Resolves true if `owner` got the lock, false
+ * if someone else has it or the backend couldn't be asked.
+ */
+async function acquireControl(robotId, owner) {
+  const robot = robots.get(robotId);
+  const since = Date.now();
+  const holder = { clientId: owner.clientId, clientName: owner.clientName, role: owner.role, since };
+  let result;
+  try {
+    result = await cluster.acquireControl(robotId, holder, CONFIG.controlLeaseMs);
+  } catch (error) {
+    logClusterError('Control acquire')(error);
+    return false;
+  }
+  
+  // Lost a race here (another request, a force) or the robot went away meanwhile
+  if (robots.get(robotId) !== robot || robot.control.ownerClientId) {
+    if (result.acquired && !result.renewed && robot.control.ownerClientId !== owner.clientId) {
+      cluster.releaseControl(robotId, owner.clientId).catch(logClusterError('Control release'));
+    }
+    return robot.control.ownerClientId === owner.clientId;
+  }
+  if (!result.acquired) {
+    adoptControl(robotId, result.holder);
+    return false;
+  }
+  setControl(robotId, owner, { synced: true });
+  return true;
+}
+
+/**
+ * Control is changing hands (or going away) without the owner's say-so
+ * in some cases: stop any teleop motion and hold the mission.
+ */
+function handleControlLoss(robotId, reason) {
+  deadman.trip(robotId, reason);
+  missions.pause(robotId, reason);
+}
+
+/**
+ * Hand the free lock to a UI client and tell subscribers. `extra` goes
+ * into the event and audit entry. Resolves false if the backend gave it
+ * to someone else (see acquireControl).
+ */
+async function grantControl(robotId, client, extra = {}) {
+  const actor = auditActor(client, robotId);
+  if (!(await acquireControl(robotId, actor))) return false;
+  announceControl(robotId, actor, extra);
+  return true;
+}
+
+/** Log, audit and broadcast `actor` taking the lock. */
+function announceControl(robotId, actor, extra = {}) {
+  console.log(`[CONTROL] ${actor.clientName} acquired control of ${robotId}${extra.fromQueue ? ' (next in queue)' : ''}`);
+  auditLog.record(robotId, 'control_acquired', actor, extra);
+  
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: {
+      kind: 'control_acquired',
+      ownerClientId: actor.clientId,
+      ownerName: actor.clientName,
+      ownerRole: actor.role,
+      ...extra
+    }
+  });
+}
+
+/**
+ * The lock just came free: give it to the first client in line who's
+ * still allowed to drive. Clients that are away (session held for
+ * resumption) keep their place but are passed over.
+ */
+function passControlOn(robotId) {
+  const robot = robots.get(robotId);
+  if (!robot || robot.control.ownerClientId) return;
+  const entry = controlQueue.next(robotId, ({ clientId }) => {
+    const client = uiClients.get(clientId);
+    return client && !client.session?.detachedAt && hasRole(roles.roleFor(client.userId, robotId), CONTROL_PERMISSIONS.request);
+  });
+  if (!entry) return;
+  grantControl(robotId, uiClients.get(entry.clientId), { fromQueue: true })
+    .then(() => broadcastControlQueue(robotId));
+}
+
+/**
+ * Someone else has the lock: queue the client, or refuse if it won't
+ * wait (`queue: false`).
+ */
+function waitForControl(client, robotId, queue) {
+  const robot = robots.get(robotId);
+  if (queue === false) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'CONTROL_DENIED',
+      message: `Control held by ${robot.control.ownerName}`,
+      holder: robot.control.ownerName
+    }));
+    return;
+  }
+  const position = controlQueue.join(robotId, auditActor(client, robotId));
+  console.log(`[CONTROL] ${client.clientName} queued for ${robotId} at #${position}`);
+  client.ws.send(JSON.stringify({
+    type: 'event',
+    robotId,
+    payload: { kind: 'control_queued', position, holder: robot.control.ownerName }
+  }));
+  broadcastControlQueue(robotId);
+}
+
+/** Everyone waiting for the lock, in order; subscribers read their position from it. */
+function broadcastControlQueue(robotId) {
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'control_queue', queue: controlQueue.list(robotId) }
+  });
+}
+
+/**
+ * A handover request ended without the lock changing hands: tell the
+ * requester it's off and the owner to dismiss it.
+ */
+function notifyHandoverClosed(request, reason, ownerClientId) {
+  const { requestId, robotId } = request;
+  sendToClient(request.from.clientId, { type: 'event', robotId, payload: { kind: 'handover_declined', requestId, reason } });
+  if (ownerClientId) {
+    sendToClient(ownerClientId, { type: 'event', robotId, payload: { kind: 'handover_cancelled', requestId, reason } });
+  }
+}
+
+function failPendingCommands(robotId, reason) {
+  commandTracker.drain(robotId).forEach((entry) => {
+    auditLog.record(robotId, 'command_timeout', null, { commandId: entry.commandId, command: entry.command, reason });
+    publishCommandOutcome(entry, { kind: 'command_timeout', success: false, message: reason });
+  });
+}
+
+/** Pass a viewer's signaling message on to the robot. */
+function signalRobot(robotId, session, payload) {
+  robots.get(robotId)?.ws.send(JSON.stringify({
+    type: 'webrtc',
+    peerId: session.clientId,
+    peerName: session.clientName,
+    payload
+  }));
+}
+
+/** The robot went away (or reconnected): hang up on all its viewers. */
+function endVideoSessions(robotId, reason) {
+  videoSessions.closeRobot(robotId).forEach((session) => {
+    sendToClient(session.clientId, { type: 'webrtc', robotId, payload: { action: 'hangup', reason } });
+  });
+}
+
+/** A viewer stopped watching (hung up, unsubscribed or left): tell the robot. */
+function leaveVideo(robotId, clientId, reason) {
+  const session = videoSessions.close(robotId, clientId);
+  if (session) signalRobot(robotId, session, { action: 'hangup', reason });
+}
+
+/**
+ * Deadman tripped: the operator's teleop stream stalled or they lost
+ * control mid-drive. Stop the robot and tell everyone why.
+ */
+function sendDeadmanStop(robotId, reason) {
+  const robot = robots.get(robotId);
+  if (!robot) return;
+  
+  if (robot.ws.readyState === robot.ws.OPEN) {
+    robot.ws.send(JSON.stringify({ type: 'command', command: 'stop' }));
+  }
+  motionLimiter.reset(robotId);
+  console.log(`[DEADMAN] Stopping ${robotId} (${reason})`);
+  auditLog.record(robotId, 'deadman_stop', null, { reason, controlOwner: robot.control.ownerName });
+  
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'deadman_stop', reason, timestamp: new Date().toISOString() }
+  });
+}
+
+/** An e-stop latch as UIs see it (state `estop`, events), or null. */
+function describeEstop(latch) {
+  if (!latch) return null;
+  const { triggeredBy, reason, since, commandId, attempts, acknowledged } = latch;
+  return { triggeredBy: triggeredBy.clientName, reason, since, commandId, attempts, acknowledged };
+}
+
+/**
+ * Send a latched robot its stop (see lib/estop.js). It goes out ahead of
+ * anything else the relay would do: teleop in progress is dropped and a
+ * running mission paused before subscribers hear about it. Returns false
+ * if the robot isn't connected here.
+ */
+function sendEstop(robotId, robotCommand, latch) {
+  const robot = robots.get(robotId);
+  if (!robot || robot.ws.readyState !== robot.ws.OPEN) return false;
+  
+  robot.ws.send(JSON.stringify(robotCommand));
+  metric.commands.inc({ robotId, kind: 'estop', result: 'forwarded' });
+  deadman.disarm(robotId);
+  motionLimiter.reset(robotId);
+  if (missions.isActive(robotId)) missions.pause(robotId, 'estop');
+  
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'estop_sent', commandId: robotCommand.command_id, attempt: latch.attempts + 1 }
+  });
+  stateStreamer.notify(robotId);
+  return true;
+}
+
+/**
+ * Latch a robot in e-stop and start sending the stop. Works whether or
+ * not the robot is connected; an offline robot gets it when it's back.
+ */
+function triggerEstop(robotId, actor, reason) {
+  const again = estops.isLatched(robotId);
+  console.log(`[ESTOP] ${robotId} ${again ? 're-' : ''}triggered by ${actor.clientName}${reason ? ` (${reason})` : ''}`);
+  auditLog.record(robotId, 'estop_triggered', actor, { reason, again });
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'estop_triggered', triggeredBy: actor.clientName, reason, again, online: robots.has(robotId) }
+  });
+  const { latch } = estops.trigger(robotId, { by: actor, reason });
+  if (!again) shareEstop(robotId, { triggeredBy: latch.triggeredBy, reason: latch.reason, since: latch.since });
+  stateStreamer.notify(robotId);
+}
+
+/**
+ * Store a latch in the cluster backend (null: reset) and tell the other
+ * instances, so it stands wherever the robot connects next.
+ */
+function shareEstop(robotId, latch) {
+  (latch ? cluster.setEstop(robotId, latch) : cluster.clearEstop(robotId)).catch(logClusterError('E-stop'));
+  cluster.publish('broadcast', { type: 'estop', robotId, instanceId: CONFIG.instanceId, latch }).catch(logClusterError('E-stop'));
+}
+
+/** Take on a latch set or reset by another instance. */
+function mirrorEstop(robotId, latch) {
+  if (latch) {
+    if (estops.isLatched(robotId)) return;
+    console.log(`[ESTOP] ${robotId} latched elsewhere by ${latch.triggeredBy.clientName}`);
+    estops.trigger(robotId, { by: latch.triggeredBy, reason: latch.reason, since: latch.since });
+  } else if (!estops.reset(robotId)) {
+    return;
+  }
+  stateStreamer.notify(robotId);
+}
+
+/** The robot answered its e-stop. Repeat answers are dropped. */
+function acknowledgeEstop(robotId, result) {
+  const latch = estops.acknowledge(robotId, { success: result.success, message: result.message });
+  if (!latch) return;
+  
+  const latencyMs = Date.now() - latch.sentAt;
+  const { success, message } = latch.acknowledged;
+  console.log(`[ESTOP] ${robotId} acknowledged after ${latch.attempts} attempt(s): ${success ? 'OK' : `FAIL (${message})`}`);
+  metric.commandLatency.observe({ robotId, kind: 'estop' }, latencyMs / 1000);
+  auditLog.record(robotId, 'estop_acknowledged', null, { commandId: latch.commandId, success, message, attempts: latch.attempts, latencyMs });
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'estop_acknowledged', commandId: latch.commandId, success, message, attempts: latch.attempts, latencyMs }
+  });
+  stateStreamer.notify(robotId);
+}
+
+/** Unlatch a robot's e-stop. False if it wasn't e-stopped here. */
+function resetEstop(robotId, actor) {
+  const latch = estops.reset(robotId);
+  if (!latch) return false;
+  announceEstopReset(robotId, actor, latch);
+  return true;
+}
+
+/**
+ * Clear a reset latch in the backend and tell subscribers. Also used on
+ * its own for a latch only the backend holds (set before this instance
+ * started), so nothing is triggered here just to be reset.
+ */
+function announceEstopReset(robotId, actor, latch) {
+  shareEstop(robotId, null);
+  console.log(`[ESTOP] ${robotId} reset by ${actor.clientName}`);
+  auditLog.record(robotId, 'estop_reset', actor, { triggeredBy: latch.triggeredBy.clientName, since: latch.since, acknowledged: !!latch.acknowledged });
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'estop_reset', resetBy: actor.clientName, estop: describeEstop(latch) }
+  });
+  stateStreamer.notify(robotId);
+}
+
+/**
+ * Send to every UI client in the cluster: locally, and through the
+ * backend to the other instances' clients (unless `local`).
+ */
+function broadcastToAll(message, { local = false } = {}) {
+  notifyWebhooks(message);
+  recordEvent(message);
+  const payload = JSON.stringify(message);
+  const sent = sendToLocalClients(payload);
+  metric.broadcasts.inc({ robotId: message.robotId });
+  metric.broadcastRecipients.inc({ robotId: message.robotId }, sent);
+  if (!local) {
+    cluster.publish('broadcast', { type: 'broadcast', from: CONFIG.instanceId, data: payload }).catch(logClusterError('Broadcast'));
+  }
+}
+
+// Relayed clients are skipped: their own instance delivers to them
+function sendToLocalClients(payload) {
+  let sent = 0;
+  uiClients.forEach((client) => {
+    if (!client.relayedFrom && client.ws.readyState === client.ws.OPEN) {
+      client.ws.send(payload);
+      sent++;
+    }
+  });
+  return sent;
+}
+
+function broadcastSubscriberList(robotId) {
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'subscribers', subscribers: getSubscribers(robotId) }
+  });
+}
+
+function localUiClientCount() {
+  return Array.from(uiClients.values()).filter(client => !client.relayedFrom && !client.session?.detachedAt).length;
+}
+
+// Counts are per instance, so this one stays local
+function broadcastUiCountUpdate() {
+  broadcastToAll({
+    type: 'event',
+    event: 'ui_count',
+    uiClientCount: localUiClientCount(),
+    timestamp: new Date().toISOString()
+  }, { local: true });
+}
+
+/**
+ * Store an uploaded grid and tell subscribers. Re-uploads of the same map
+ * (e.g. during SLAM) carry only the tiles that changed; a new map or a
+ * change in size/origin asks clients to reload it.
+ */
+function handleMapUpload(robotId, { mapName, width, height, resolution, origin, encoding, data }) {
+  if (typeof mapName !== 'string' || !mapName) {
+    throw new Error('mapName required');
+  }
+  if (!(typeof resolution === 'number' && resolution > 0)) {
+    throw new Error('resolution (m/cell) must be a positive number');
+  }
+  const grid = decodeGrid({ width, height, encoding, data }, { maxCells: CONFIG.maxMapCells });
+  const { entry, changed } = mapStore.put(robotId, { mapName, width, height, resolution, origin }, grid);
+  console.log(`[MAP] ${robotId}/${mapName} v${entry.version}: ${width}x${height}, ${changed ? `${changed.length} tile(s) changed` : 'new geometry'}`);
+  
+  if (changed && changed.length === 0) return entry;
+  const inline = changed && changed.length <= CONFIG.maxInlineMapTiles;
+  broadcastToRobotSubscribers(robotId, {
+    type: 'map_update',
+    robotId,
+    map: mapStore.describe(entry),
+    reload: !inline,
+    tiles: inline
+      ? changed.map(({ tx, ty }) => ({ tx, ty, png: mapStore.tilePng(entry, tx, ty).toString('base64') }))
+      : undefined
+  });
+  return entry;
+}
+
+// =============================================================================
+// SCHEDULED TASKS
+// =============================================================================
+
+/**
+ * Robot command for one schedule action, or { error } if it can't be sent.
+ */
+function scheduledRobotCommand(robotId, action) {
+  switch (action.kind) {
+    case 'goto_poi':
+    case 'dock': {
+      const docking = action.kind === 'dock';
+      const poiId = action.poiId || (docking ? registry.get(robotId).dockPoiId : null);
+      const knownPois = knownPoisFor(robotId);
+      if (knownPois.length > 0 && !poiExists(knownPois, poiId)) {
+        return { error: `POI "${poiId}" not found` };
+      }
+      if (!docking && isBatteryBlocked(robotId)) {
+        return { error: `Battery low (${batteryMonitor.levelOf(robotId)})` };
+      }
+      return { robotCommand: { type: 'command', command: docking ? 'dock' : 'go_to_poi', poi_id: poiId } };
+    }
+    case 'set_mode': {
+      const { validModes } = registry.get(robotId);
+      if (!validModes.includes(action.mode)) {
+        return { error: `Invalid mode: ${action.mode}. Valid: ${validModes.join(', ')}` };
+      }
+      return { robotCommand: { type: 'command', command: 'set_mode', mode: action.mode } };
+    }
+    case 'load_map':
+      return { robotCommand: { type: 'command', command: 'load_map', map_name: action.mapName } };
+    default:
+      return { error: `Unknown command kind: ${action.kind}` };
+  }
+}
+
+/**
+ * Execute a schedule's actions in order, each waiting for its
+ * command_result before the next is sent. The scheduler takes the control
+ * lock for the duration and gives it back at the end; if the lock is held
+ * (or a mission is running) the run is reported busy instead.
+ */
+async function runSchedule(schedule) {
+  const { robotId } = schedule;
+  const robot = robots.get(robotId);
+  if (!robot) {
+    return { status: 'offline', reason: 'Robot not connected' };
+  }
+  if (robot.control.ownerClientId) {
+    return { status: 'busy', reason: `Control held by ${robot.control.ownerName}` };
+  }
+  if (missions.isActive(robotId)) {
+    return { status: 'busy', reason: 'Mission running' };
+  }
+  if (estops.isLatched(robotId)) {
+    return { status: 'busy', reason: 'Robot is e-stopped' };
+  }
+  
+  if (!(await acquireControl(robotId, SCHEDULER_ACTOR))) {
+    return { status: 'busy', reason: `Control held by ${robot.control.ownerName || 'another instance'}` };
+  }
+  auditLog.record(robotId, 'control_acquired', SCHEDULER_ACTOR, { scheduleId: schedule.id });
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'control_acquired', ownerClientId: SCHEDULER_ACTOR.clientId, ownerName: SCHEDULER_ACTOR.clientName, ownerRole: SCHEDULER_ACTOR.role, scheduleId: schedule.id }
+  });
+  
+  const results = [];
+  try {
+    for (const action of schedule.actions) {
+      const current = robots.get(robotId);
+      if (current !== robot) {
+        return { status: 'failed', reason: 'Robot disconnected', actions: results };
+      }
+      if (robot.control.ownerClientId !== SCHEDULER_ACTOR.clientId) {
+        return { status: 'failed', reason: `Control taken by ${robot.control.ownerName || 'nobody'}`, actions: results };
+      }
+      
+      const { robotCommand, error } = scheduledRobotCommand(robotId, action);
+      if (error) {
+        results.push({ kind: action.kind, success: false, message: error });
+        return { status: 'failed', reason: error, actions: results };
+      }
+      
+      robot.control.lastCommandAt = Date.now();
+      const commandId = randomUUID();
+      const outcome = await new Promise((resolve) => {
+        const sent = forwardCommand(robotId, robotCommand, {
+          commandId,
+          kind: action.kind,
+          actor: SCHEDULER_ACTOR,
+          requested: { ...action, scheduleId: schedule.id },
+          onOutcome: resolve
+        });
+        if (!sent) resolve({ kind: 'command_result', success: false, message: 'Robot not connected' });
+      });
+      results.push({ kind: action.kind, commandId, success: outcome.success, message: outcome.message || null });
+      if (!outcome.success) {
+        return { status: 'failed', reason: outcome.message || outcome.kind, actions: results };
+      }
+    }
+    return { status: 'succeeded', actions: results };
+  } finally {
+    if (robots.get(robotId) === robot && robot.control.ownerClientId === SCHEDULER_ACTOR.clientId) {
+      setControl(robotId, null);
+      auditLog.record(robotId, 'control_released', SCHEDULER_ACTOR, { reason: 'schedule_finished', scheduleId: schedule.id });
+      broadcastToRobotSubscribers(robotId, {
+        type: 'event',
+        robotId,
+        payload: { kind: 'control_released', reason: 'schedule_finished' }
+      });
+      passControlOn(robotId);
+    }
+  }
+}
+
+// =============================================================================
+// BATTERY POLICIES
+// =============================================================================
+
+function batteryOverrideActive(robotId) {
+  const override = batteryOverrides.get(robotId);
+  if (override && override.until <= Date.now()) {
+    batteryOverrides.delete(robotId);
+    return false;
+  }
+  return !!override;
+}
+
+/** New goals (goto_poi, navigate, missions) are refused at block level and below. */
+function isBatteryBlocked(robotId) {
+  const level = batteryMonitor.levelOf(robotId);
+  return (level === 'block' || level === 'critical') && !batteryOverrideActive(robotId);
+}
+
+function getBatteryStatus(robotId) {
+  return {
+    level: batteryMonitor.levelOf(robotId),
+    overrideUntil: batteryOverrideActive(robotId) ? batteryOverrides.get(robotId).until : null,
+  };
+}
+
+function emitBatteryEvent(robotId, kind, details) {
+  auditLog.record(robotId, kind, null, details);
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind, ...details, timestamp: new Date().toISOString() }
+  });
+}
+
+function handleBatteryLevel(robotId, level, previousLevel, percent) {
+  console.log(`[BATTERY] ${robotId}: ${previousLevel} -> ${level} at ${percent}%`);
+  if (level === 'ok') batteryOverrides.delete(robotId);
+  emitBatteryEvent(robotId, 'battery_level', {
+    level,
+    previousLevel,
+    percent,
+    policy: registry.get(robotId).batteryPolicy,
+    override: batteryOverrideActive(robotId)
+  });
+  if (level === 'critical') startAutoDock(robotId, percent);
+}
+
+/**
+ * Critical battery: take control as the Battery system client (displacing
+ * whoever had it, which also pauses any mission) and send the robot to its
+ * dock POI. Control is handed back once the dock command finishes.
+ */
+function startAutoDock(robotId, percent) {
+  const robot = robots.get(robotId);
+  if (!robot) return;
+  const dockPoiId = registry.get(robotId).dockPoiId;
+  
+  if (batteryOverrideActive(robotId)) {
+    emitBatteryEvent(robotId, 'battery_auto_dock', { status: 'skipped', reason: 'admin_override', percent });
+    return;
+  }
+  if (robot.telemetry.battery?.charging) {
+    emitBatteryEvent(robotId, 'battery_auto_dock', { status: 'skipped', reason: 'charging', percent });
+    return;
+  }
+  if (estops.isLatched(robotId)) {
+    emitBatteryEvent(robotId, 'battery_auto_dock', { status: 'skipped', reason: 'estop', percent });
+    return;
+  }
+  
+  const previousOwner = robot.control.ownerName;
+  if (robot.control.ownerClientId !== BATTERY_ACTOR.clientId) {
+    handleControlLoss(robotId, 'battery_auto_dock');
+    setControl(robotId, BATTERY_ACTOR);
+    auditLog.record(robotId, 'control_forced', BATTERY_ACTOR, { previousOwner, reason: 'battery_auto_dock' });
+    broadcastToRobotSubscribers(robotId, {
+      type: 'event',
+      robotId,
+      payload: {
+        kind: 'control_forced',
+        ownerClientId: BATTERY_ACTOR.clientId,
+        ownerName: BATTERY_ACTOR.clientName,
+        ownerRole: BATTERY_ACTOR.role,
+        previousOwner,
+        reason: 'battery_auto_dock'
+      }
+    });
+  }
+  
+  const sent = forwardCommand(robotId, { type: 'command', command: 'dock', poi_id: dockPoiId }, {
+    commandId: randomUUID(),
+    kind: 'dock',
+    actor: BATTERY_ACTOR,
+    requested: { kind: 'dock', poiId: dockPoiId, reason: 'battery_auto_dock', percent },
+    onOutcome: (outcome) => {
+      emitBatteryEvent(robotId, 'battery_auto_dock', {
+        status: outcome.success ? 'succeeded' : 'failed',
+        reason: outcome.success ? null : outcome.message || outcome.kind,
+        dockPoiId
+      });
+      const current = robots.get(robotId);
+      if (current && current.control.ownerClientId === BATTERY_ACTOR.clientId) {
+        setControl(robotId, null);
+        auditLog.record(robotId, 'control_released', BATTERY_ACTOR, { reason: 'auto_dock_finished' });
+        broadcastToRobotSubscribers(robotId, {
+          type: 'event',
+          robotId,
+          payload: { kind: 'control_released', reason: 'auto_dock_finished' }
+        });
+        passControlOn(robotId);
+      }
+    }
+  });
+  emitBatteryEvent(robotId, 'battery_auto_dock', { status: sent ? 'started' : 'failed', reason: sent ? null : 'Robot not connected', dockPoiId, percent, previousOwner });
+}
+
+// =============================================================================
+// REPLAYS
+// =============================================================================
+
+function sendToReplaySubscribers(replayId, payload) {
+  sendToSubscribers(replayId, JSON.stringify({ type: 'event', robotId: replayId, payload }));
+}
+
+/**
+ * Play a recording back as a new virtual robot. Its events go to its
+ * subscribers only: no webhooks, metrics or recording of the replay.
+ */
+function startReplay(sourceRobotId, recording, options, userId) {
+  const replayId = `replay-${randomUUID().slice(0, 8)}`;
+  const replay = createReplay(recording, {
+    ...options,
+    onState: () => stateStreamer.notify(replayId),
+    onEvent: payload => sendToReplaySubscribers(replayId, payload),
+    onEnd: () => sendToReplaySubscribers(replayId, { kind: 'replay_ended', recordingId: recording.header.recordingId }),
+  });
+  const now = Date.now();
+  replays.set(replayId, { replay, sourceRobotId, createdBy: userId, createdAt: now, watchedAt: now });
+  console.log(`[REPLAY] ${replayId}: ${sourceRobotId}/${recording.header.recordingId} for ${userId || 'anonymous'}`);
+  return replayId;
+}
+
+/** Stop a replay; its subscribers see it go offline. */
+function stopReplay(replayId, reason) {
+  const entry = replays.get(replayId);
+  if (!entry) return;
+  entry.replay.stop();
+  replays.delete(replayId);
+  console.log(`[REPLAY] ${replayId} stopped: ${reason}`);
+  sendToReplaySubscribers(replayId, { kind: 'robot_offline', reason });
+  stateStreamer.notify(replayId);
+}
+
+function describeReplay(replayId) {
+  const { replay, sourceRobotId, createdBy, createdAt } = replays.get(replayId);
+  return {
+    replayId,
+    sourceRobotId,
+    ...replay.status(),
+    createdBy,
+    createdAt,
+    subscribers: getSubscribers(replayId).length,
+  };
+}
+
+// =============================================================================
+// CLUSTER
+// =============================================================================
+
+/**
+ * With several instances, a robot's home is the instance holding its
+ * socket. A UI message about a robot that lives elsewhere is routed to
+ * that instance, which runs it through the normal /ui handler on a relay
+ * socket and sends everything that socket receives back. So control,
+ * commands, missions and state streams all run where the robot is, and
+ * the subscriber list there includes every watcher in the cluster.
+ */
+
+/** Robots connected to other instances: robotId -> instanceId */
+const remoteRobots = new Map();
+
+/** Relay sockets for UI clients on other instances: clientId -> { ws, from } */
+const relayedClients = new Map();
+
+/** Group commands waiting on other instances' shares: `${clientId}:${commandId}` -> { run, timer } */
+const remoteGroupCommands = new Map();
+
+function logClusterError(what) {
+  return (error) => console.error(`[CLUSTER] ${what} failed: ${error.message}`);
+}
+
+function controlHolder(control) {
+  return { clientId: control.ownerClientId, clientName: control.ownerName, role: control.ownerRole, since: control.since };
+}
+
+function publishToInstance(instanceId, message) {
+  cluster.publish(`instance:${instanceId}`, message).catch(logClusterError(`Publish to ${instanceId}`));
+}
+
+function publishPresence(robotId, online) {
+  cluster.publish('broadcast', { type: 'presence', robotId, instanceId: CONFIG.instanceId, online }).catch(logClusterError('Presence'));
+}
+
+/** Take over a lock the backend still has from the robot's previous home. */
+function adoptControl(robotId, holder) {
+  const robot = robots.get(robotId);
+  if (!robot || robot.control.ownerClientId === holder.clientId) return;
+  console.log(`[CLUSTER] ${robotId}: keeping control with ${holder.clientName} from its previous connection`);
+  robot.control = { ownerClientId: holder.clientId, ownerName: holder.clientName, ownerRole: holder.role, since: holder.since, lastCommandAt: Date.now() };
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'control_acquired', ownerClientId: holder.clientId, ownerName: holder.clientName, ownerRole: holder.role }
+  });
+  stateStreamer.notify(robotId);
+}
+
+/**
+ * A robot connected here. If it replaced a connection on this instance,
+ * that connection's lock went with it, as it always has; otherwise a lock
+ * left by another instance stands until its lease runs out. System
+ * holders (scheduler, auto-dock) don't carry over: their run was on the
+ * old instance. An e-stop latched anywhere in the cluster is taken on and
+ * sent.
+ */
+function claimRobot(robotId, replaced) {
+  remoteRobots.delete(robotId);
+  cluster.setPresence(robotId, CONFIG.presenceTtlMs).catch(logClusterError('Presence'));
+  publishPresence(robotId, true);
+  // Asked before the lock, so a latch is in place before anyone can drive
+  cluster.getEstop(robotId)
+    .then((latch) => {
+      if (latch && robots.has(robotId)) mirrorEstop(robotId, latch);
+    })
+    .catch(logClusterError('E-stop lookup'));
+  if (replaced?.control.ownerClientId) {
+    cluster.releaseControl(robotId, replaced.control.ownerClientId).catch(logClusterError('Control release'));
+    return;
+  }
+  cluster.getControl(robotId)
+    .then((holder) => {
+      if (!holder || robots.get(robotId)?.control.ownerClientId) return;
+      if (holder.role === 'system') {
+        cluster.releaseControl(robotId, holder.clientId).catch(logClusterError('Control release'));
+      } else {
+        adoptControl(robotId, holder);
+      }
+    })
+    .catch(logClusterError('Control lookup'));
+}
+
+/** A robot disconnected from here (or timed out); its lock and queue go with it. */
+function releaseRobot(robotId, robot) {
+  controlQueue.clear(robotId);
+  if (robot.control.ownerClientId) {
+    cluster.releaseControl(robotId, robot.control.ownerClientId).catch(logClusterError('Control release'));
+  }
+  cluster.clearPresence(robotId).catch(logClusterError('Presence'));
+  publishPresence(robotId, false);
+}
+
+/**
+ * Route a UI message to the robot's home instance if that isn't us.
+ * Returns true if it was routed.
+ */
+function routeToHome(client, message) {
+  if (client.relayedFrom || !message.robotId || robots.has(message.robotId)) return false;
+  const home = remoteRobots.get(message.robotId);
+  if (!home) return false;
+
+  openRelay(client, home);
+  // Already upgraded and validated; the home instance reads it as the current version
+  publishToInstance(home, { type: 'ui_message', clientId: client.clientId, data: JSON.stringify(message) });
+  return true;
+}
+
+/** Have `home` open a relay socket for the client, once. */
+function openRelay(client, home) {
+  if (client.relayedTo.has(home)) return;
+  client.relayedTo.add(home);
+  publishToInstance(home, {
+    type: 'ui_open',
+    from: CONFIG.instanceId,
+    clientId: client.clientId,
+    identity: { userId: client.userId, name: client.clientName },
+  });
+}
+
+function handleInstanceMessage(message) {
+  const { clientId } = message;
+  if (message.type === 'ui_open') {
+    if (relayedClients.has(clientId)) return;
+    const ws = createRelaySocket((data) => publishToInstance(message.from, { type: 'ui_send', clientId, data }));
+    relayedClients.set(clientId, { ws, from: message.from });
+    ws.on('close', () => relayedClients.delete(clientId));
+    uiWss.emit('connection', ws, null, { ...message.identity, clientId, relayedFrom: message.from });
+
+  } else if (message.type === 'ui_message') {
+    relayedClients.get(clientId)?.ws.emit('message', Buffer.from(message.data));
+
+  } else if (message.type === 'ui_close') {
+    relayedClients.get(clientId)?.ws.close();
+
+  } else if (message.type === 'group_command') {
+    runGroupShare(message);
+
+  } else if (message.type === 'group_command_result') {
+    remoteGroupCommands.get(`${clientId}:${message.commandId}`)?.run.report(message.results);
+
+  } else if (message.type === 'ui_send') {
+    const client = uiClients.get(clientId);
+    // The relay socket's welcome is for a connection the browser never made
+    if (client && !client.relayedFrom && SENT_TYPE.exec(message.data)?.[1] !== 'welcome') {
+      client.ws.send(message.data);
+    }
+  }
+}
+
+function handleBroadcastMessage(message) {
+  if (message.type === 'presence') {
+    if (message.instanceId === CONFIG.instanceId) return;
+    if (message.online) {
+      remoteRobots.set(message.robotId, message.instanceId);
+    } else if (remoteRobots.get(message.robotId) === message.instanceId) {
+      remoteRobots.delete(message.robotId);
+    }
+  } else if (message.type === 'estop') {
+    if (message.instanceId !== CONFIG.instanceId) mirrorEstop(message.robotId, message.latch);
+  } else if (message.type === 'broadcast' && message.from !== CONFIG.instanceId) {
+    sendToLocalClients(message.data);
+  }
+}
+
+/**
+ * Periodic: keep this instance's presence and locks alive, resync the
+ * robot directory, and drop relay sockets whose instance is gone.
+ */
+async function refreshCluster() {
+  await cluster.heartbeat(CONFIG.presenceTtlMs);
+  await Promise.all(Array.from(robots, async ([robotId, robot]) => {
+    await cluster.setPresence(robotId, CONFIG.presenceTtlMs);
+    const { ownerClientId } = robot.control;
+    if (ownerClientId && !(await cluster.renewControl(robotId, ownerClientId, CONFIG.controlLeaseMs))) {
+      // Lease lapsed (e.g. backend outage); this instance is still the authority
+      await cluster.forceControl(robotId, controlHolder(robot.control), CONFIG.controlLeaseMs);
+    }
+  }));
+
+  const presence = await cluster.listPresence();
+  remoteRobots.clear();
+  presence.forEach((instanceId, robotId) => {
+    if (instanceId !== CONFIG.instanceId && !robots.has(robotId)) remoteRobots.set(robotId, instanceId);
+  });
+
+  const live = new Set(await cluster.listInstances());
+  relayedClients.forEach(({ ws, from }) => {
+    if (!live.has(from)) ws.close();
+  });
+}
+
+// =============================================================================
+// REST API ENDPOINTS
+// =============================================================================
+
+// Health check
+app.get('/', (req, res) => {
+  const robotList = Array.from(robots.entries()).map(([id, robot]) => ({
+    robotId: id,
+    online: true,
+    lastSeen: robot.lastSeen,
+    mode: robot.telemetry?.mode || 'unknown',
+    hasControl: !!robot.control?.ownerClientId,
+  }));
+  
+  res.json({
+    status: 'ok',
+    service: 'fordward-cloud-backend',
+    robots: robotList,
+    uiClients: localUiClientCount(),
+    instanceId: CONFIG.instanceId,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy' });
+});
+
+// Message contracts for both WebSocket endpoints (JSON Schema), public like /health
+app.get('/protocol', (req, res) => {
+  res.json(PROTOCOL_SCHEMA);
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  if (CONFIG.metricsToken && extractToken(req) !== CONFIG.metricsToken) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Map upload from a robot (alternative to the `map` message on /robot)
+// PUT /robot/:robotId/maps/:mapName?width=&height=&resolution=&originX=&originY=&originTheta=&encoding=
+app.put('/robot/:robotId/maps/:mapName', auth.requireRobot, express.raw({ type: 'application/octet-stream', limit: CONFIG.maxMapCells }), (req, res) => {
+  const { robotId, mapName } = req.params;
+  const q = req.query;
+  try {
+    const entry = handleMapUpload(robotId, {
+      mapName,
+      width: Number(q.width),
+      height: Number(q.height),
+      resolution: Number(q.resolution),
+      origin: { x: Number(q.originX) || 0, y: Number(q.originY) || 0, theta: Number(q.originTheta) || 0 },
+      encoding: q.encoding || 'zlib',
+      data: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+    });
+    res.json({ mapName, version: entry.version });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Robot state requires the same operator token as the /ui socket
+app.use('/robots', auth.requireOperator);
+
+// Get all robots with full state
+app.get('/robots', (req, res) => {
+  const robotList = Array.from(robots.keys()).map(id => getRobotState(id));
+  res.json({ robots: robotList, timestamp: new Date().toISOString() });
+});
+
+// Get specific robot state
+app.get('/robots/:robotId', (req, res) => {
+  const state = getRobotState(req.params.robotId);
+  if (!state) {
+    return res.status(404).json({ error: 'Robot not found' });
+  }
+  res.json(state);
+});
+
+// Fleet summaries by group (see lib/fleet.js), for dashboards that don't
+// want a socket. GET /fleet?group=site:lab (default: every robot)
+app.use('/fleet', auth.requireOperator);
+
+app.get('/fleet', (req, res) => {
+  const group = req.query.group || '*';
+  if (!parseGroup(group)) {
+    return res.status(400).json({ error: 'group must be "*", "site:<site>" or "tag:<tag>"' });
+  }
+  res.json({ group, robots: getFleetSummary(group), timestamp: new Date().toISOString() });
+});
+
+// Sites and tags in use, with their robots
+app.get('/fleet/groups', (req, res) => {
+  const sites = {};
+  const tags = {};
+  fleetMembers('*').forEach((robotId) => {
+    const settings = registry.get(robotId);
+    if (settings.site) (sites[settings.site] ||= []).push(robotId);
+    settings.tags.forEach(tag => (tags[tag] ||= []).push(robotId));
+  });
+  res.json({ sites, tags });
+});
+
+// Get a robot's effective config (works for offline robots too)
+app.get('/robots/:robotId/config', (req, res) => {
+  const { robotId } = req.params;
+  res.json({
+    robotId,
+    config: registry.get(robotId),
+    overrides: registry.getOverrides(robotId),
+    speedLimits: getSpeedLimits(robotId),
+  });
+});
+
+// Replace a robot's overrides; an empty object resets it to defaults
+app.put('/robots/:robotId/config', (req, res) => {
+  const { robotId } = req.params;
+  const role = roles.roleFor(req.user.userId, robotId);
+  if (!hasRole(role, 'admin')) {
+    return res.status(403).json({ error: 'Changing robot config requires admin role' });
+  }
+  
+  const previous = registry.getOverrides(robotId);
+  const result = registry.update(robotId, req.body);
+  if (!result.ok) {
+    return res.status(400).json({ error: 'Invalid config', details: result.errors });
+  }
+  
+  console.log(`[CONFIG] ${req.user.name || 'anonymous'} updated config for ${robotId}`);
+  auditLog.record(robotId, 'config_updated', {
+    userId: req.user.userId,
+    clientName: req.user.name,
+    role,
+  }, { previous, overrides: registry.getOverrides(robotId) });
+  
+  // Push the new settings to the robot, and let UIs know limits changed
+  const robot = robots.get(robotId);
+  if (robot && robot.ws.readyState === robot.ws.OPEN) {
+    robot.ws.send(JSON.stringify({
+      type: 'config_update',
+      robotId,
+      config: getRobotConfig(robotId)
+    }));
+  }
+  broadcastToRobotSubscribers(robotId, {
+    type: 'event',
+    robotId,
+    payload: { kind: 'config_updated', config: result.config, speedLimits: getSpeedLimits(robotId) }
+  });
+  
+  res.json({ robotId, config: result.config, overrides: registry.getOverrides(robotId) });
+});
+
+// Mission definitions
+app.get('/robots/:robotId/missions', (req, res) => {
+  res.json({ robotId: req.params.robotId, missions: missionStore.list(req.params.robotId), active: missions.get(req.params.robotId) });
+});
+
+app.get('/robots/:robotId/missions/:missionId', (req, res) => {
+  const mission = missionStore.get(req.params.robotId, req.params.missionId);
+  if (!mission) {
+    return res.status(404).json({ error: 'Mission not found' });
+  }
+  res.json(mission);
+});
+
+function requireMissionEditor(req, res, next) {
+  const role = roles.roleFor(req.user.userId, req.params.robotId);
+  if (!hasRole(role, 'operator')) {
+    return res.status(403).json({ error: 'Editing missions requires operator role' });
+  }
+  const errors = req.method === 'DELETE' ? [] : validateMission(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid mission', details: errors });
+  }
+  next();
+}
+
+app.post('/robots/:robotId/missions', requireMissionEditor, (req, res) => {
+  const now = Date.now();
+  const mission = missionStore.put(req.params.robotId, {
+    id: randomUUID(),
+    name: req.body.name.trim(),
+    steps: normalizeSteps(req.body.steps),
+    createdBy: req.user.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  res.status(201).json(mission);
+});
+
+app.put('/robots/:robotId/missions/:missionId', requireMissionEditor, (req, res) => {
+  const existing = missionStore.get(req.params.robotId, req.params.missionId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Mission not found' });
+  }
+  // A running copy keeps its own steps; edits apply to the next start
+  const mission = missionStore.put(req.params.robotId, {
+    ...existing,
+    name: req.body.name.trim(),
+    steps: normalizeSteps(req.body.steps),
+    updatedAt: Date.now(),
+  });
+  res.json(mission);
+});
+
+app.delete('/robots/:robotId/missions/:missionId', requireMissionEditor, (req, res) => {
+  if (!missionStore.remove(req.params.robotId, req.params.missionId)) {
+    return res.status(404).json({ error: 'Mission not found' });
+  }
+  res.status(204).end();
+});
+
+// Scheduled tasks
+function withNextRun(schedule) {
+  return { ...schedule, nextRunAt: nextRunAt(schedule) };
+}
+
+function requireScheduleEditor(req, res, next) {
+  const role = roles.roleFor(req.user.userId, req.params.robotId);
+  if (!hasRole(role, 'admin')) {
+    return res.status(403).json({ error: 'Managing schedules requires admin role' });
+  }
+  // Only create and update carry a schedule body
+  const hasBody = req.method === 'PUT' || (req.method === 'POST' && !req.params.scheduleId);
+  const errors = hasBody ? validateSchedule(req.body) : [];
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid schedule', details: errors });
+  }
+  req.actor = { userId: req.user.userId, clientName: req.user.name, role };
+  next();
+}
+
+function scheduleFields(body) {
+  return {
+    name: body.name.trim(),
+    enabled: body.enabled !== false,
+    cron: body.cron || null,
+    timezone: body.cron ? body.timezone || null : null,
+    intervalMs: body.intervalMs || null,
+    startAt: body.intervalMs && Number.isFinite(body.startAt) ? body.startAt : null,
+    actions: body.actions.map(({ kind, poiId, mode, mapName }) => ({ kind, poiId, mode, mapName })),
+    whenOffline: body.whenOffline || 'skip',
+  };
+}
+
+app.get('/robots/:robotId/schedules', (req, res) => {
+  res.json({ robotId: req.params.robotId, schedules: scheduleStore.list(req.params.robotId).map(withNextRun) });
+});
+
+app.get('/robots/:robotId/schedules/:scheduleId', (req, res) => {
+  const schedule = scheduleStore.get(req.params.robotId, req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(withNextRun(schedule));
+});
+
+app.post('/robots/:robotId/schedules', requireScheduleEditor, (req, res) => {
+  const now = Date.now();
+  const schedule = scheduleStore.put({
+    id: randomUUID(),
+    robotId: req.params.robotId,
+    ...scheduleFields(req.body),
+    createdBy: req.user.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  auditLog.record(req.params.robotId, 'schedule_created', req.actor, { scheduleId: schedule.id });
+  res.status(201).json(withNextRun(schedule));
+});
 
-/**
- * Robot state structure:
- * {
- *   ws: WebSocket,
- *   clientId: string,
- *   lastSeen: number,
- *   version: string,
- *   capabilities: string[],
- *   telemetry: { mode, pose, battery, nav, maps, pois },
- *   control: { ownerClientId, ownerName, since, lastCommandAt }
- * }
- */
-const robots = new Map();
+app.put('/robots/:robotId/schedules/:scheduleId', requireScheduleEditor, (req, res) => {
+  const existing = scheduleStore.get(req.params.robotId, req.params.scheduleId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  const schedule = scheduleStore.put({ ...existing, ...scheduleFields(req.body), updatedAt: Date.now() });
+  auditLog.record(req.params.robotId, 'schedule_updated', req.actor, { scheduleId: schedule.id });
+  res.json(withNextRun(schedule));
+});
 
-/**
- * UI Client structure:
- * {
- *   ws: WebSocket,
- *   clientId: string,
- *   clientName: string,
- *   subscribedRobots: Set<string>,
- *   connectedAt: number
- * }
- */
-const uiClients = new Map(); // clientId -> client object
+app.delete('/robots/:robotId/schedules/:scheduleId', requireScheduleEditor, (req, res) => {
+  if (!scheduleStore.remove(req.params.robotId, req.params.scheduleId)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  auditLog.record(req.params.robotId, 'schedule_deleted', req.actor, { scheduleId: req.params.scheduleId });
+  res.status(204).end();
+});
 
-// =============================================================================
-// UTILITY FUNCTIONS
-// =============================================================================
+// Run a schedule now, regardless of its timing (still respects the control lock)
+app.post('/robots/:robotId/schedules/:scheduleId/run', requireScheduleEditor, (req, res) => {
+  const schedule = scheduleStore.get(req.params.robotId, req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (scheduler.isRunning(schedule.id)) {
+    return res.status(409).json({ error: 'Schedule is already running' });
+  }
+  scheduler.runNow(schedule);
+  res.status(202).json({ scheduleId: schedule.id, started: true });
+});
 
-function generateClientId() {
-  return randomUUID().slice(0, 8);
+// Run history, newest first
+app.get('/robots/:robotId/schedules/:scheduleId/runs', (req, res) => {
+  const { robotId, scheduleId } = req.params;
+  if (!scheduleStore.get(robotId, scheduleId)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  const limit = clamp(parseInt(req.query.limit, 10) || 50, 1, 500);
+  res.json({ robotId, scheduleId, runs: scheduleStore.runs(robotId, scheduleId, limit) });
+});
+
+// Cached occupancy grids
+app.get('/robots/:robotId/maps', (req, res) => {
+  res.json({ robotId: req.params.robotId, maps: mapStore.list(req.params.robotId) });
+});
+
+// Metadata, or the whole map with ?format=png
+app.get('/robots/:robotId/maps/:mapName', (req, res) => {
+  const entry = mapStore.get(req.params.robotId, req.params.mapName);
+  if (!entry) {
+    return res.status(404).json({ error: 'Map not found' });
+  }
+  if (req.query.format === 'png') {
+    return res.type('png').send(mapStore.fullPng(entry));
+  }
+  res.json(mapStore.describe(entry));
+});
+
+app.get('/robots/:robotId/maps/:mapName/tiles/:tx/:ty', (req, res) => {
+  const entry = mapStore.get(req.params.robotId, req.params.mapName);
+  if (!entry) {
+    return res.status(404).json({ error: 'Map not found' });
+  }
+  const png = mapStore.tilePng(entry, Number(req.params.tx), Number(req.params.ty));
+  if (!png) {
+    return res.status(404).json({ error: `Tile out of range (${entry.tilesX}x${entry.tilesY} tiles)` });
+  }
+  res.type('png').send(png);
+});
+
+// Relay-managed POIs per map, pushed to the robot with poi_upsert / poi_delete
+function requirePoiEditor(req, res, next) {
+  const role = roles.roleFor(req.user.userId, req.params.robotId);
+  if (!hasRole(role, 'operator')) {
+    return res.status(403).json({ error: 'Editing POIs requires operator role' });
+  }
+  req.actor = { userId: req.user.userId, clientName: req.user.name, role };
+  next();
 }
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
+function savePoi(req, res, poi, status) {
+  const { robotId, mapName } = req.params;
+  poiStore.put(robotId, mapName, poi);
+  const pushed = poiSync.pushUpsert(robotId, mapName, poi.id);
+  auditLog.record(robotId, status === 201 ? 'poi_created' : 'poi_updated', req.actor, { mapName, poi });
+  broadcastToRobotSubscribers(robotId, { type: 'event', robotId, payload: { kind: 'poi_updated', mapName, poi } });
+  res.status(status).json({ ...poi, pushed });
 }
 
-function getRobotState(robotId) {
-  const robot = robots.get(robotId);
-  if (!robot) return null;
-  
+function newPoi(req, fields) {
   return {
-    robotId,
-    online: true,
-    lastSeen: robot.lastSeen,
-    version: robot.version,
-    capabilities: robot.capabilities,
-    ...robot.telemetry,
-    control: {
-      ownerClientId: robot.control?.ownerClientId || null,
-      ownerName: robot.control?.ownerName || null,
-      since: robot.control?.since || null,
-    }
+    id: poiIdFor(fields),
+    name: fields.name.trim(),
+    x: fields.x,
+    y: fields.y,
+    theta: fields.theta ?? 0,
+    source: 'relay',
+    sync: 'pending',
+    syncError: null,
+    updatedBy: req.user.userId,
+    updatedAt: Date.now(),
   };
 }
 
-function broadcastToRobotSubscribers(robotId, message) {
-  const payload = JSON.stringify(message);
-  let sent = 0;
+app.get('/robots/:robotId/maps/:mapName/pois', (req, res) => {
+  const { robotId, mapName } = req.params;
+  res.json({ robotId, mapName, pois: poiStore.list(robotId, mapName), pendingDeletes: poiStore.tombstones(robotId, mapName) });
+});
+
+app.get('/robots/:robotId/maps/:mapName/pois/:poiId', (req, res) => {
+  const poi = poiStore.get(req.params.robotId, req.params.mapName, req.params.poiId);
+  if (!poi) {
+    return res.status(404).json({ error: 'POI not found' });
+  }
+  res.json(poi);
+});
+
+app.post('/robots/:robotId/maps/:mapName/pois', requirePoiEditor, (req, res) => {
+  const errors = validatePoi(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid POI', details: errors });
+  }
+  const poi = newPoi(req, req.body);
+  if (poiStore.get(req.params.robotId, req.params.mapName, poi.id)) {
+    return res.status(409).json({ error: `POI "${poi.id}" already exists` });
+  }
+  savePoi(req, res, poi, 201);
+});
+
+// Save the robot's current pose as a POI (robot must be on this map)
+app.post('/robots/:robotId/maps/:mapName/pois/from-pose', requirePoiEditor, (req, res) => {
+  const { robotId, mapName } = req.params;
+  const telemetry = robots.get(robotId)?.telemetry;
+  if (!telemetry) {
+    return res.status(409).json({ error: `Robot ${robotId} is not connected` });
+  }
+  if (telemetry.maps?.active !== mapName) {
+    return res.status(409).json({ error: `Robot is on map "${telemetry.maps?.active ?? 'none'}", not "${mapName}"` });
+  }
+  const { x, y, theta = 0 } = telemetry.pose || {};
+  const errors = validatePoi({ ...req.body, x, y, theta });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid POI', details: errors });
+  }
+  const poi = newPoi(req, { ...req.body, x, y, theta });
+  const existing = poiStore.get(robotId, mapName, poi.id);
+  if (existing && !req.body.id) {
+    return res.status(409).json({ error: `POI "${poi.id}" already exists; pass its id to move it here` });
+  }
+  savePoi(req, res, existing ? { ...poi, source: existing.source } : poi, existing ? 200 : 201);
+});
+
+app.put('/robots/:robotId/maps/:mapName/pois/:poiId', requirePoiEditor, (req, res) => {
+  const existing = poiStore.get(req.params.robotId, req.params.mapName, req.params.poiId);
+  if (!existing) {
+    return res.status(404).json({ error: 'POI not found' });
+  }
+  const errors = validatePoi({ ...req.body, id: existing.id });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid POI', details: errors });
+  }
+  savePoi(req, res, { ...newPoi(req, { ...req.body, id: existing.id }), source: existing.source }, 200);
+});
+
+app.delete('/robots/:robotId/maps/:mapName/pois/:poiId', requirePoiEditor, (req, res) => {
+  const { robotId, mapName, poiId } = req.params;
+  if (!poiStore.remove(robotId, mapName, poiId)) {
+    return res.status(404).json({ error: 'POI not found' });
+  }
+  poiSync.pushDelete(robotId, mapName, poiId);
+  auditLog.record(robotId, 'poi_deleted', req.actor, { mapName, poiId });
+  broadcastToRobotSubscribers(robotId, { type: 'event', robotId, payload: { kind: 'poi_deleted', mapName, poiId } });
+  res.status(204).end();
+});
+
+// Telemetry history
+// GET /robots/:robotId/telemetry?from=&to=&fields=pose,battery&downsample=60000
+app.get('/robots/:robotId/telemetry', (req, res) => {
+  const { robotId } = req.params;
+  const { query, error } = parseHistoryQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const samples = telemetryHistory.query(robotId, query);
+  res.json({ robotId, count: samples.length, samples });
+});
+
+// Query the audit log
+// GET /robots/:robotId/audit?from=&to=&clientId=&userId=&kind=command,control_forced&limit=&offset=
+app.get('/robots/:robotId/audit', async (req, res) => {
+  const { robotId } = req.params;
+  const role = roles.roleFor(req.user.userId, robotId);
+  if (!hasRole(role, 'operator')) {
+    return res.status(403).json({ error: 'Audit log requires operator role' });
+  }
   
-  uiClients.forEach((client) => {
-    if (client.ws.readyState === client.ws.OPEN && 
-        client.subscribedRobots.has(robotId)) {
-      client.ws.send(payload);
-      sent++;
-    }
-  });
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from/to must be ISO timestamps or epoch milliseconds' });
+  }
   
-  if (sent > 0) {
-    console.log(`[BROADCAST] ${robotId}: sent to ${sent} subscribers`);
+  const limit = clamp(parseInt(req.query.limit, 10) || 100, 1, 1000);
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const kinds = req.query.kind ? String(req.query.kind).split(',').filter(Boolean) : undefined;
+  
+  try {
+    const result = await auditLog.query(robotId, {
+      from, to, kinds, limit, offset,
+      clientId: req.query.clientId,
+      userId: req.query.userId,
+    });
+    res.json({ robotId, ...result });
+  } catch (error) {
+    console.error('[AUDIT] Query failed:', error);
+    res.status(500).json({ error: 'Audit query failed' });
+  }
+});
+
+// Session recordings, newest first, and downloads (gzipped JSON Lines, see
+// lib/recordings.js). Like the audit log, these need operator role.
+function requireRecordingAccess(req, res, next) {
+  const role = roles.roleFor(req.user.userId, req.params.robotId);
+  if (!hasRole(role, 'operator')) {
+    return res.status(403).json({ error: 'Recordings require operator role' });
   }
+  next();
 }
 
-function broadcastToAll(message) {
-  const payload = JSON.stringify(message);
-  uiClients.forEach((client) => {
-    if (client.ws.readyState === client.ws.OPEN) {
-      client.ws.send(payload);
-    }
-  });
+function parseReplayOptions({ speed, positionMs, paused }) {
+  if (speed !== undefined && !(typeof speed === 'number' && speed >= 0.1 && speed <= 100)) {
+    return { error: 'speed must be a number from 0.1 to 100' };
+  }
+  if (positionMs !== undefined && !(Number.isFinite(positionMs) && positionMs >= 0)) {
+    return { error: 'positionMs must be a number of milliseconds from the start' };
+  }
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    return { error: 'paused must be true or false' };
+  }
+  return { options: { speed, positionMs, paused } };
 }
 
-function broadcastUiCountUpdate() {
-  broadcastToAll({
-    type: 'event',
-    event: 'ui_count',
-    uiClientCount: uiClients.size,
-    timestamp: new Date().toISOString()
-  });
+app.get('/robots/:robotId/recordings', requireRecordingAccess, (req, res) => {
+  const { robotId } = req.params;
+  res.json({ robotId, recordings: recorder.list(robotId) });
+});
+
+app.get('/robots/:robotId/recordings/:recordingId', requireRecordingAccess, (req, res) => {
+  const { robotId, recordingId } = req.params;
+  const data = recorder.read(robotId, recordingId);
+  if (!data) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.attachment(`${robotId}-${recordingId}.jsonl.gz`);
+  res.type('application/gzip').send(data);
+});
+
+// Replay a recording as a virtual robot
+// POST /robots/:robotId/recordings/:recordingId/replay { speed, positionMs, paused }
+app.post('/robots/:robotId/recordings/:recordingId/replay', requireRecordingAccess, (req, res) => {
+  const { robotId, recordingId } = req.params;
+  const { options, error } = parseReplayOptions(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (replays.size >= CONFIG.maxReplays) {
+    return res.status(503).json({ error: `At most ${CONFIG.maxReplays} replays can run at once` });
+  }
+  const recording = recorder.load(robotId, recordingId);
+  if (!recording) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  const replayId = startReplay(robotId, recording, options, req.user.userId);
+  res.status(201).json(describeReplay(replayId));
+});
+
+// Running replays. Each belongs to the robot it was recorded from, and
+// needs operator role there; playback is steered with PATCH.
+app.use('/replays', auth.requireOperator);
+
+function managedReplay(req, res) {
+  const entry = replays.get(req.params.replayId);
+  if (!entry || !hasRole(roles.roleFor(req.user.userId, entry.sourceRobotId), 'operator')) {
+    res.status(404).json({ error: 'Replay not found' });
+    return null;
+  }
+  return entry;
 }
 
-// =============================================================================
-// REST API ENDPOINTS
-// =============================================================================
+app.get('/replays', (req, res) => {
+  const list = Array.from(replays.keys())
+    .filter(replayId => hasRole(roles.roleFor(req.user.userId, replays.get(replayId).sourceRobotId), 'operator'))
+    .map(describeReplay);
+  res.json({ replays: list });
+});
 
-// Health check
-app.get('/', (req, res) => {
-  const robotList = Array.from(robots.entries()).map(([id, robot]) => ({
-    robotId: id,
-    online: true,
-    lastSeen: robot.lastSeen,
-    mode: robot.telemetry?.mode || 'unknown',
-    hasControl: !!robot.control?.ownerClientId,
-  }));
-  
-  res.json({
-    status: 'ok',
-    service: 'fordward-cloud-backend',
-    robots: robotList,
-    uiClients: uiClients.size,
-    timestamp: new Date().toISOString()
+app.get('/replays/:replayId', (req, res) => {
+  if (!managedReplay(req, res)) return;
+  res.json(describeReplay(req.params.replayId));
+});
+
+// PATCH /replays/:replayId { speed, positionMs, paused }
+app.patch('/replays/:replayId', (req, res) => {
+  const entry = managedReplay(req, res);
+  if (!entry) return;
+  const { options, error } = parseReplayOptions(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { replay } = entry;
+  if (options.speed !== undefined) replay.setSpeed(options.speed);
+  if (options.positionMs !== undefined) replay.seek(options.positionMs);
+  if (options.paused === true) replay.pause();
+  if (options.paused === false) replay.play();
+  res.json(describeReplay(req.params.replayId));
+});
+
+app.delete('/replays/:replayId', (req, res) => {
+  if (!managedReplay(req, res)) return;
+  stopReplay(req.params.replayId, 'replay_stopped');
+  res.status(204).end();
+});
+
+// Outbound webhooks. A rule covers event kinds on some robots ("*" = all);
+// managing one needs admin on every robot it covers, and "*" needs a
+// fleet-wide admin (a "*" entry in the roles file).
+app.use('/webhooks', auth.requireOperator);
+
+function canManageWebhook(userId, robotIds) {
+  return robotIds.every(robotId => hasRole(roles.roleFor(userId, robotId), 'admin'));
+}
+
+/** Webhooks as served over REST; the secret is only shown on create. */
+function describeWebhook(webhook) {
+  const { secret: _secret, ...rest } = webhook;
+  return rest;
+}
+
+function webhookFields(body) {
+  return {
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    url: body.url,
+    events: [...new Set(body.events)],
+    robots: body.robots ? [...new Set(body.robots)] : ['*'],
+    enabled: body.enabled !== false,
+  };
+}
+
+function managedWebhook(req, res) {
+  const webhook = webhookStore.get(req.params.webhookId);
+  if (!webhook || !canManageWebhook(req.user.userId, webhook.robots)) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+app.get('/webhooks', (req, res) => {
+  const list = webhookStore.all().filter(w => canManageWebhook(req.user.userId, w.robots));
+  res.json({ webhooks: list.map(describeWebhook) });
+});
+
+// Dead letters across the caller's webhooks, newest first
+app.get('/webhooks/dead-letters', (req, res) => {
+  const webhookIds = webhookStore.all().filter(w => canManageWebhook(req.user.userId, w.robots)).map(w => w.id);
+  const limit = clamp(parseInt(req.query.limit, 10) || 50, 1, 500);
+  res.json({ deadLetters: webhookStore.deadLetters({ webhookIds, limit }) });
+});
+
+app.post('/webhooks/dead-letters/:deliveryId/redeliver', async (req, res) => {
+  const entry = webhookStore.getDeadLetter(req.params.deliveryId);
+  const webhook = entry && webhookStore.get(entry.webhookId);
+  if (!webhook || !canManageWebhook(req.user.userId, webhook.robots)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  if (!webhook.enabled) {
+    return res.status(409).json({ error: 'Webhook is disabled' });
+  }
+  try {
+    res.json(await webhooks.redeliver(entry));
+  } catch (error) {
+    console.error('[WEBHOOK] Redelivery failed:', error);
+    res.status(500).json({ error: 'Redelivery failed' });
+  }
+});
+
+app.post('/webhooks', (req, res) => {
+  const errors = validateWebhook(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook', details: errors });
+  }
+  const fields = webhookFields(req.body);
+  if (!canManageWebhook(req.user.userId, fields.robots)) {
+    return res.status(403).json({ error: 'Webhooks require admin role on every robot they cover' });
+  }
+  const now = Date.now();
+  const webhook = webhookStore.put({
+    id: randomUUID(),
+    ...fields,
+    secret: req.body.secret || generateWebhookSecret(),
+    createdBy: req.user.userId,
+    createdAt: now,
+    updatedAt: now,
   });
+  console.log(`[WEBHOOK] ${webhook.id} created by ${req.user.userId}: ${webhook.events.join(',')} -> ${webhook.url}`);
+  res.status(201).json(webhook);
 });
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy' });
+app.get('/webhooks/:webhookId', (req, res) => {
+  const webhook = managedWebhook(req, res);
+  if (webhook) res.json(describeWebhook(webhook));
 });
 
-// Get all robots with full state
-app.get('/robots', (req, res) => {
-  const robotList = Array.from(robots.keys()).map(id => getRobotState(id));
-  res.json({ robots: robotList, timestamp: new Date().toISOString() });
+// Replace a webhook's rule; the secret is kept unless a new one is given
+app.put('/webhooks/:webhookId', (req, res) => {
+  const existing = managedWebhook(req, res);
+  if (!existing) return;
+  const errors = validateWebhook(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook', details: errors });
+  }
+  const fields = webhookFields(req.body);
+  if (!canManageWebhook(req.user.userId, fields.robots)) {
+    return res.status(403).json({ error: 'Webhooks require admin role on every robot they cover' });
+  }
+  const webhook = webhookStore.put({
+    ...existing,
+    ...fields,
+    secret: req.body.secret || existing.secret,
+    updatedAt: Date.now(),
+  });
+  res.json(describeWebhook(webhook));
 });
 
-// Get specific robot state
-app.get('/robots/:robotId', (req, res) => {
-  const state = getRobotState(req.params.robotId);
-  if (!state) {
-    return res.status(404).json({ error: 'Robot not found' });
+app.delete('/webhooks/:webhookId', (req, res) => {
+  if (!managedWebhook(req, res)) return;
+  webhookStore.remove(req.params.webhookId);
+  res.status(204).end();
+});
+
+// Send a `ping` and report how the first attempt went
+app.post('/webhooks/:webhookId/test', async (req, res) => {
+  const webhook = managedWebhook(req, res);
+  if (!webhook) return;
+  if (!webhook.enabled) {
+    return res.status(409).json({ error: 'Webhook is disabled' });
   }
-  res.json(state);
+  try {
+    res.json(await webhooks.ping(webhook));
+  } catch (error) {
+    console.error('[WEBHOOK] Test delivery failed:', error);
+    res.status(500).json({ error: 'Test delivery failed' });
+  }
+});
+
+// Delivery attempts, newest first
+app.get('/webhooks/:webhookId/deliveries', (req, res) => {
+  const webhook = managedWebhook(req, res);
+  if (!webhook) return;
+  const limit = clamp(parseInt(req.query.limit, 10) || 50, 1, 500);
+  res.json({ webhookId: webhook.id, deliveries: webhookStore.attempts(webhook.id, limit) });
 });
 
 const server = createServer(app);
@@ -185,8 +2847,16 @@ server.on('upgrade', (request, socket, head) => {
       robotWss.emit('connection', ws, request);
     });
   } else if (pathname === '/ui') {
+    // Browsers can't read HTTP status on a failed upgrade, so accept the
+    // socket and close it with an explicit code instead.
+    const identity = auth.authenticateOperator(extractToken(request));
     uiWss.handleUpgrade(request, socket, head, (ws) => {
-      uiWss.emit('connection', ws, request);
+      if (!identity) {
+        console.log('[UI] Rejected connection: invalid or missing token');
+        ws.close(CLOSE_CODES.UNAUTHORIZED, 'Unauthorized');
+        return;
+      }
+      uiWss.emit('connection', ws, request, identity);
     });
   } else {
     socket.destroy();
@@ -201,21 +2871,66 @@ robotWss.on('connection', (ws) => {
   console.log('[ROBOT] New robot connection');
   
   let robotId = null;
+  let protocolVersion = null; // Negotiated in hello
+  countOutgoing(ws, 'robot', () => robotId);
+  recordOutgoing(ws, () => robotId);
+
+  // Unauthenticated sockets don't get to sit around
+  const helloTimer = setTimeout(() => {
+    if (!robotId) {
+      console.log('[ROBOT] Closing connection: no hello received');
+      ws.close(CLOSE_CODES.HELLO_TIMEOUT, 'Hello timeout');
+    }
+  }, CONFIG.helloTimeoutMs);
 
   ws.on('message', (data) => {
     try {
-      const message = JSON.parse(data.toString());
+      // Legacy aliases ("register", robot_id, flat telemetry) are upgraded here
+      const parsed = parseMessage('robot', data.toString(), protocolVersion);
+      const { message } = parsed;
+      // Unauthenticated peers don't get to mint label values
+      metric.messagesReceived.inc({ endpoint: 'robot', robotId: robotId || '', type: robotId ? (message?.type || 'invalid') : 'unauthenticated' });
+      
+      if (parsed.errors) {
+        console.log(`[ROBOT] Invalid message from ${robotId || 'unauthenticated robot'}: ${parsed.errors[0].path} ${parsed.errors[0].message}`);
+        ws.send(JSON.stringify(invalidMessageError(parsed)));
+        return;
+      }
       
-      // Handle "hello" (new protocol) or "register" (legacy)
-      if (message.type === 'hello' || message.type === 'register') {
-        robotId = message.robotId || message.robot_id || 'fordward';
+      if (message.type === 'hello') {
+        const requestedId = message.robotId;
+        
+        if (robotId && robotId !== requestedId) {
+          ws.close(CLOSE_CODES.FORBIDDEN, 'Robot ID cannot change on an open connection');
+          return;
+        }
+        
+        const negotiated = negotiateVersion(message.protocolVersion);
+        if (!negotiated) {
+          console.log(`[ROBOT] Rejected hello for ${requestedId}: protocol version ${message.protocolVersion} not supported`);
+          ws.close(CLOSE_CODES.UNSUPPORTED_PROTOCOL, `Protocol versions ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION} supported`);
+          return;
+        }
+        
+        const result = auth.authenticateRobot(requestedId, message);
+        if (!result.ok) {
+          console.log(`[ROBOT] Rejected hello for ${requestedId}: ${result.reason}`);
+          ws.close(result.code, result.reason);
+          return;
+        }
+        
+        robotId = requestedId;
+        protocolVersion = negotiated;
+        clearTimeout(helloTimer);
         
         // Check if robot already connected (reconnection)
-        if (robots.has(robotId)) {
-          const existing = robots.get(robotId);
+        const existing = robots.get(robotId);
+        if (existing && existing.ws !== ws) {
           // Close old connection
-          try { existing.ws.terminate(); } catch {}
+          try { existing.ws.close(CLOSE_CODES.REPLACED, 'Replaced by new connection'); } catch {}
           console.log(`[ROBOT] ${robotId} reconnected, closing old connection`);
+          failPendingCommands(robotId, 'Robot reconnected');
+          endVideoSessions(robotId, 'robot_reconnected');
         }
         
         robots.set(robotId, {
@@ -225,23 +2940,27 @@ robotWss.on('connection', (ws) => {
           version: message.version || '0.0.0',
           capabilities: message.capabilities || ['pose', 'battery', 'mode'],
           telemetry: {},
-          control: { ownerClientId: null, ownerName: null, since: null, lastCommandAt: null }
+          speedZone: null,
+          poiSignature: null,
+          control: { ownerClientId: null, ownerName: null, ownerRole: null, since: null, lastCommandAt: null }
         });
         
         console.log(`[ROBOT] Registered: ${robotId} (v${message.version || '?'})`);
+        claimRobot(robotId, existing);
         
         // Send acknowledgment
         ws.send(JSON.stringify({
           type: 'welcome',
           robotId,
+          protocolVersion,
           serverTime: new Date().toISOString(),
-          config: {
-            telemetryRateHz: 2,
-            maxLinearVelocity: CONFIG.maxLinearVelocity,
-            maxAngularVelocity: CONFIG.maxAngularVelocity,
-          }
+          config: getRobotConfig(robotId),
+          iceServers: CONFIG.iceServers
         }));
         
+        auditLog.record(robotId, 'robot_online', null, { version: message.version || null });
+        recorder.start(robotId, { version: message.version || null, capabilities: robots.get(robotId).capabilities });
+        
         // Notify all UI clients about robot coming online
         broadcastToAll({
           type: 'event',
@@ -249,59 +2968,128 @@ robotWss.on('connection', (ws) => {
           payload: { kind: 'robot_online', version: message.version }
         });
         
-      } else if (message.type === 'telemetry') {
-        robotId = message.robotId || message.robot_id || robotId;
+        // A latched e-stop stands across reconnects; the robot may have lost it
+        if (estops.resend(robotId)) {
+          console.log(`[ESTOP] Resending to ${robotId}`);
+        }
+        
+      } else if (!robotId) {
+        // Everything below requires a successful hello
+        ws.close(CLOSE_CODES.UNAUTHORIZED, 'Send hello first');
         
-        if (robotId && robots.has(robotId)) {
+      } else if (message.type === 'telemetry') {
+        // A robot may only report for itself; message.robotId is ignored
+        if (robots.get(robotId)?.ws === ws) {
           const robot = robots.get(robotId);
           robot.lastSeen = Date.now();
           
-          // Store telemetry (normalize structure)
-          robot.telemetry = message.payload || {
-            mode: message.mode || message.state || 'unknown',
-            pose: message.pose,
-            battery: message.battery ? {
-              percent: message.battery.percent ?? message.battery,
-              voltage: message.battery.voltage ?? message.battery_voltage
-            } : null,
-            nav: message.nav || { state: 'idle', currentGoalPoiId: null, lastResult: null },
-            maps: message.maps || { active: message.map, available: message.available_maps || [] },
-            pois: message.pois || []
-          };
+          robot.telemetry = message.payload;
+          recorder.record(robotId, 'telemetry', message.payload);
           
-          // Broadcast state update to subscribers
-          broadcastToRobotSubscribers(robotId, {
-            type: 'state',
-            robotId,
-            payload: {
-              ...robot.telemetry,
-              control: {
-                ownerClientId: robot.control?.ownerClientId || null,
-                ownerName: robot.control?.ownerName || null,
-              },
-              online: true
+          missions.onTelemetry(robotId, robot.telemetry);
+          telemetryHistory.record(robotId, robot.telemetry);
+          batteryMonitor.update(robotId, robot.telemetry.battery?.percent);
+          
+          // Reconcile POIs when the robot's list (or active map) changes
+          const activeMap = robot.telemetry.maps?.active;
+          if (activeMap && Array.isArray(robot.telemetry.pois)) {
+            const poiSignature = JSON.stringify([activeMap, robot.telemetry.pois]);
+            if (poiSignature !== robot.poiSignature) {
+              if (!robot.poiSignature) poiSync.retryFailed(robotId, activeMap);
+              robot.poiSignature = poiSignature;
+              const { pushed, imported } = poiSync.reconcile(robotId, activeMap, robot.telemetry.pois);
+              if (pushed || imported) {
+                console.log(`[POI] ${robotId}/${activeMap}: pushed ${pushed}, imported ${imported}`);
+              }
             }
-          });
+          }
+          
+          // Entering or leaving a speed zone changes the effective limits
+          const speedLimits = getSpeedLimits(robotId);
+          if (speedLimits.zone !== robot.speedZone) {
+            console.log(`[MOTION] ${robotId} speed zone: ${robot.speedZone || 'none'} -> ${speedLimits.zone || 'none'}`);
+            robot.speedZone = speedLimits.zone;
+          }
+          
+          // Deltas to subscribers, each at its own rate
+          stateStreamer.notify(robotId);
+        }
+        
+      } else if (message.type === 'map') {
+        // Occupancy grid upload; the robot gets a map_result either way
+        if (robots.get(robotId)?.ws === ws) {
+          try {
+            const entry = handleMapUpload(robotId, message);
+            ws.send(JSON.stringify({ type: 'map_result', mapName: message.mapName, success: true, version: entry.version }));
+          } catch (error) {
+            console.log(`[MAP] Rejected upload from ${robotId}: ${error.message}`);
+            ws.send(JSON.stringify({ type: 'map_result', mapName: message.mapName, success: false, message: error.message }));
+          }
         }
         
       } else if (message.type === 'command_result') {
-        // Forward command result to UI
-        const targetRobotId = message.robotId || message.robot_id || robotId;
-        broadcastToRobotSubscribers(targetRobotId, {
-          type: 'event',
-          robotId: targetRobotId,
-          payload: {
-            kind: 'command_result',
+        // Late answers on a connection the robot has since replaced are dropped
+        if (robots.get(robotId)?.ws === ws) {
+          const { type: _type, ...result } = message;
+          recorder.record(robotId, 'command_result', result);
+          if (estops.owns(robotId, message.command_id)) {
+            acknowledgeEstop(robotId, message);
+            return;
+          }
+          const entry = commandTracker.resolve(robotId, {
+            commandId: message.command_id,
+            command: message.command
+          });
+        
+          if (entry) {
+            metric.commandLatency.observe({ robotId: robotId, kind: entry.command }, (Date.now() - entry.sentAt) / 1000);
+            // Result goes to the issuer, summary to everyone else
+            publishCommandOutcome(entry, {
+              kind: 'command_result',
+              success: !!message.success,
+              message: message.message,
+              timestamp: message.timestamp
+            });
+          } else {
+            // Uncorrelated (unknown id, already timed out, or robot-initiated)
+            broadcastToRobotSubscribers(robotId, {
+              type: 'event',
+              robotId: robotId,
+              payload: {
+                kind: 'command_result',
+                commandId: message.command_id || null,
+                command: message.command,
+                success: message.success,
+                message: message.message,
+                timestamp: message.timestamp
+              }
+            });
+          }
+          console.log(`[ROBOT] Command result from ${robotId}: ${message.command} -> ${message.success ? 'OK' : 'FAIL'}`);
+          auditLog.record(robotId, 'command_result', null, {
+            commandId: entry?.commandId || message.command_id || null,
             command: message.command,
-            success: message.success,
-            message: message.message,
-            timestamp: message.timestamp
+            success: !!message.success,
+            message: message.message || null,
+            latencyMs: entry ? Date.now() - entry.sentAt : null,
+          });
+        }
+
+      } else if (message.type === 'webrtc') {
+        // Signaling for one of the robot's viewers, passed on as is
+        if (robots.get(robotId)?.ws === ws) {
+          const { peerId, payload } = message;
+          if (!videoSessions.get(robotId, peerId)) {
+            ws.send(JSON.stringify({ type: 'error', code: 'UNKNOWN_PEER', message: `No video session with ${peerId}` }));
+            return;
           }
-        });
-        console.log(`[ROBOT] Command result from ${targetRobotId}: ${message.command} -> ${message.success ? 'OK' : 'FAIL'}`);
-        
-      } else {
-        console.log(`[ROBOT] Unknown message type from ${robotId}:`, message.type);
+          if (payload.action === 'hangup') {
+            videoSessions.close(robotId, peerId);
+            console.log(`[VIDEO] ${robotId} hung up on ${peerId}`);
+          }
+          sendToClient(peerId, { type: 'webrtc', robotId, payload });
+        }
+
       }
     } catch (error) {
       console.error('[ROBOT] Error parsing message:', error);
@@ -309,9 +3097,22 @@ robotWss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
-    if (robotId && robots.has(robotId)) {
+    clearTimeout(helloTimer);
+    
+    // Only remove the entry if it still belongs to this socket (a reconnect
+    // may already have replaced it)
+    if (robotId && robots.get(robotId)?.ws === ws) {
+      releaseRobot(robotId, robots.get(robotId));
       robots.delete(robotId);
       console.log(`[ROBOT] Disconnected: ${robotId}`);
+      auditLog.record(robotId, 'robot_offline', null, { reason: 'disconnected' });
+      failPendingCommands(robotId, 'Robot disconnected');
+      endVideoSessions(robotId, 'robot_offline');
+      missions.pause(robotId, 'robot_offline');
+      deadman.disarm(robotId);
+      motionLimiter.reset(robotId);
+      batteryMonitor.reset(robotId);
+      stateStreamer.notify(robotId);
       
       // Notify UI clients
       broadcastToAll({
@@ -319,6 +3120,7 @@ robotWss.on('connection', (ws) => {
         robotId,
         payload: { kind: 'robot_offline', reason: 'disconnected' }
       });
+      recorder.finish(robotId);
     }
   });
 
@@ -340,73 +3142,214 @@ robotWss.on('connection', (ws) => {
 // UI WEBSOCKET HANDLER (Frontend connects here)
 // =============================================================================
 
-uiWss.on('connection', (ws) => {
-  const clientId = generateClientId();
-  console.log(`[UI] New client connected: ${clientId}`);
+/**
+ * A UI client is gone for good: give up its locks, stop its streams and
+ * relays, and tell everyone.
+ */
+function removeUiClient(client) {
+  const { clientId } = client;
   
-  const client = {
-    ws,
-    clientId,
-    clientName: `Client-${clientId}`,
-    subscribedRobots: new Set(),
-    connectedAt: Date.now()
-  };
+  // Out of every queue first, so the lock isn't passed back to them
+  const left = controlQueue.removeClient(clientId);
+  left.robotIds.forEach(robotId => broadcastControlQueue(robotId));
+  left.handovers.forEach((request) => {
+    sendToClient(robots.get(request.robotId)?.control.ownerClientId, {
+      type: 'event',
+      robotId: request.robotId,
+      payload: { kind: 'handover_cancelled', requestId: request.requestId, reason: 'requester_left' }
+    });
+  });
   
-  uiClients.set(clientId, client);
-
-  // Broadcast UI count update to all clients
+  // Auto-release control on any robot this client owned
+  robots.forEach((robot, robotId) => {
+    if (robot.control.ownerClientId === clientId) {
+      console.log(`[CONTROL] Auto-releasing ${robotId} (${client.clientName} disconnected)`);
+      handleControlLoss(robotId, 'owner_disconnected');
+      auditLog.record(robotId, 'control_released', auditActor(client, robotId), { reason: 'owner_disconnected' });
+      setControl(robotId, null);
+      
+      broadcastToRobotSubscribers(robotId, {
+        type: 'event',
+        robotId,
+        payload: { kind: 'control_released', reason: 'owner_disconnected' }
+      });
+      passControlOn(robotId);
+    }
+  });
+  
+  // Video sessions need a subscription, so this finds them all
+  client.subscribedRobots.forEach(robotId => leaveVideo(robotId, clientId, 'viewer_left'));
+  
+  if (client.session) sessions.end(client.session);
+  client.relayedTo.forEach(instanceId => publishToInstance(instanceId, { type: 'ui_close', clientId }));
+  uiClients.delete(clientId);
+  stateStreamer.closeAll(clientId);
+  fleetStreamer.closeAll(clientId);
+  console.log(`[UI] Client disconnected: ${client.clientName}`);
+  client.subscribedRobots.forEach(robotId => broadcastSubscriberList(robotId));
+  
+  // Broadcast updated UI count
   broadcastUiCountUpdate();
+}
+
+/**
+ * Query parameters of `/ui?protocolVersion=<n>&resume=<token>&lastSeq=<n>`:
+ * the protocol version asked for, and the session to resume if any.
+ */
+function uiConnectParams(request) {
+  const params = new URL(request.url, 'http://localhost').searchParams;
+  const protocolVersion = params.has('protocolVersion') ? Number(params.get('protocolVersion')) : undefined;
+  if (!params.get('resume')) return { protocolVersion, resume: null };
+  const lastSeq = params.has('lastSeq') ? Number(params.get('lastSeq')) : undefined;
+  return { protocolVersion, resume: { token: params.get('resume'), lastSeq } };
+}
+
+uiWss.on('connection', (ws, request, identity) => {
+  // Relayed clients arrive already upgraded to the current version, and are
+  // resumed on their own instance, never here
+  const params = identity.relayedFrom ? { protocolVersion: PROTOCOL_VERSION, resume: null } : uiConnectParams(request);
+  const protocolVersion = negotiateVersion(params.protocolVersion);
+  if (!protocolVersion) {
+    console.log(`[UI] Rejected connection: protocol version ${params.protocolVersion} not supported`);
+    ws.close(CLOSE_CODES.UNSUPPORTED_PROTOCOL, `Protocol versions ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION} supported`);
+    return;
+  }
+  const resumeRequest = params.resume;
+  const session = resumeRequest ? sessions.resume(resumeRequest.token, identity.userId) : null;
+  const resumed = session ? uiClients.get(session.clientId) : null;
+  
+  // Relayed clients keep the id they have on their own instance
+  const clientId = resumed?.clientId || identity.clientId || generateClientId();
+  let client = resumed;
+  
+  if (resumed) {
+    console.log(`[UI] Client resumed: ${resumed.clientName} (${clientId})`);
+    // A half-open socket may still be around; its close is ignored below
+    const previous = resumed.ws;
+    resumed.ws = ws;
+    resumed.protocolVersion = protocolVersion;
+    previous.terminate();
+  } else {
+    console.log(`[UI] New client connected: ${clientId}${identity.userId ? ` (${identity.userId})` : ''}`);
+    client = {
+      ws,
+      clientId,
+      userId: identity.userId,
+      clientName: identity.name || `Client-${clientId}`,
+      subscribedRobots: new Set(),
+      connectedAt: Date.now(),
+      protocolVersion,
+      relayedFrom: identity.relayedFrom || null,
+      relayedTo: new Set(),
+      session: !identity.relayedFrom && CONFIG.sessionGraceMs > 0 ? sessions.open(clientId, identity.userId) : null
+    };
+    uiClients.set(clientId, client);
+  }
+
+  // The message being handled, so error replies can be counted against it
+  let handling = null;
+  countOutgoing(ws, 'ui', head => robotIdLabel(SENT_ROBOT_ID.exec(head)?.[1]), (code) => {
+    const robotId = robotIdLabel(handling?.robotId);
+    metric.uiErrors.inc({ robotId, type: handling?.type || '', code });
+    if (handling?.type === 'command') {
+      metric.commands.inc({ robotId, kind: handling.payload?.kind || '', result: code });
+    }
+  });
 
   // Send welcome with available robots
   const robotList = Array.from(robots.keys()).map(id => getRobotState(id));
+  const missed = resumed ? sessions.missed(session, resumeRequest.lastSeq) : null;
   ws.send(JSON.stringify({
     type: 'welcome',
     clientId,
+    protocolVersion,
+    userId: client.userId,
+    clientName: client.clientName,
     robots: robotList,
-    uiClientCount: uiClients.size,
+    iceServers: CONFIG.iceServers,
+    uiClientCount: localUiClientCount(),
+    sessionToken: client.session?.token,
+    resumeGraceMs: client.session ? CONFIG.sessionGraceMs : undefined,
+    resumed: resumeRequest ? !!resumed : undefined,
+    subscriptions: resumed ? Array.from(client.subscribedRobots) : undefined,
+    missedEvents: missed?.events.length,
+    missedComplete: missed?.complete,
     timestamp: new Date().toISOString()
   }));
+  
+  if (client.session) {
+    // Already numbered when first sent
+    missed?.events.forEach(data => ws.send(data));
+    sessions.sequence(client.session, ws);
+  }
+  if (resumed) {
+    // Fresh snapshots instead of the deltas that went nowhere
+    stateStreamer.reattach(clientId, ws, robotId => ({
+      role: roles.roleFor(client.userId, robotId),
+      uiClientCount: localUiClientCount()
+    }));
+    fleetStreamer.reattach(clientId, ws);
+    client.subscribedRobots.forEach(robotId => broadcastSubscriberList(robotId));
+  }
+
+  // Broadcast UI count update to all clients
+  broadcastUiCountUpdate();
 
   ws.on('message', (data) => {
     try {
-      const message = JSON.parse(data.toString());
+      // Version 1 aliases (map_name, poi_id, default robot) are upgraded here
+      const parsed = parseMessage('ui', data.toString(), client.protocolVersion);
+      const { message } = parsed;
+      handling = message || { type: parsed.type };
+      metric.messagesReceived.inc({ endpoint: 'ui', robotId: robotIdLabel(message?.robotId), type: message?.type || 'invalid' });
+      if (parsed.errors) {
+        ws.send(JSON.stringify(invalidMessageError(parsed)));
+        return;
+      }
+      if (routeToHome(client, message)) return;
+      if (replays.has(message.robotId) && REPLAY_READ_ONLY.includes(message.type)) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          code: 'READ_ONLY',
+          message: `${message.robotId} is a replay; it can only be watched`
+        }));
+        return;
+      }
       
       // =========== SUBSCRIBE ===========
       if (message.type === 'subscribe') {
-        const robotId = message.robotId || 'fordward';
+        const robotId = message.robotId;
+        const { fields = null, maxRateHz = null, delta = true } = message;
         client.subscribedRobots.add(robotId);
-        if (message.clientName) {
+        // Free-text names are only honoured when there's no authenticated identity
+        if (message.clientName && !client.userId) {
           client.clientName = message.clientName;
         }
         
-        console.log(`[UI] ${client.clientName} subscribed to ${robotId}`);
+        const role = roles.roleFor(client.userId, robotId);
+        console.log(`[UI] ${client.clientName} subscribed to ${robotId} as ${role}`);
         
-        // Send current state snapshot
-        const state = getRobotState(robotId);
-        ws.send(JSON.stringify({
-          type: 'state',
-          robotId,
-          uiClientCount: uiClients.size,
-          payload: state ? {
-            ...state,
-            online: true
-          } : {
-            online: false,
-            mode: 'unknown',
-            control: { ownerClientId: null, ownerName: null }
-          }
-        }));
+        // Snapshot now, deltas from here on (re-subscribing resyncs)
+        stateStreamer.open(clientId, ws, robotId, { fields, maxRateHz, delta: delta !== false }, {
+          role,
+          uiClientCount: localUiClientCount()
+        });
+        
+        broadcastSubscriberList(robotId);
         
       // =========== UNSUBSCRIBE ===========
       } else if (message.type === 'unsubscribe') {
         const robotId = message.robotId;
         client.subscribedRobots.delete(robotId);
+        stateStreamer.close(clientId, robotId);
+        leaveVideo(robotId, clientId, 'viewer_unsubscribed');
         console.log(`[UI] ${client.clientName} unsubscribed from ${robotId}`);
+        broadcastSubscriberList(robotId);
         
       // =========== CONTROL LOCK ===========
       } else if (message.type === 'control') {
-        const robotId = message.robotId || 'fordward';
-        const action = message.payload?.action;
+        const robotId = message.robotId;
+        const { action } = message.payload;
         
         if (!robots.has(robotId)) {
           ws.send(JSON.stringify({
@@ -418,27 +3361,23 @@ uiWss.on('connection', (ws) => {
         }
         
         const robot = robots.get(robotId);
+        const role = roles.roleFor(client.userId, robotId);
+        
+        if (CONTROL_PERMISSIONS[action] && !hasRole(role, CONTROL_PERMISSIONS[action])) {
+          sendForbidden(ws, `Control action "${action}" requires ${CONTROL_PERMISSIONS[action]} role (you are ${role})`);
+          return;
+        }
         
         if (action === 'request') {
           // Request control
           if (!robot.control.ownerClientId) {
-            // Grant control
-            robot.control = {
-              ownerClientId: clientId,
-              ownerName: message.payload?.clientName || client.clientName,
-              since: Date.now(),
-              lastCommandAt: Date.now()
-            };
-            console.log(`[CONTROL] ${robot.control.ownerName} acquired control of ${robotId}`);
-            
-            // Notify all subscribers
-            broadcastToRobotSubscribers(robotId, {
-              type: 'event',
-              robotId,
-              payload: {
-                kind: 'control_acquired',
-                ownerClientId: clientId,
-                ownerName: robot.control.ownerName
+            // Free here, but the backend has the final say
+            grantControl(robotId, client).then((granted) => {
+              if (granted || robots.get(robotId) !== robot) return;
+              if (robot.control.ownerClientId) {
+                waitForControl(client, robotId, message.payload?.queue);
+              } else {
+                ws.send(JSON.stringify({ type: 'error', code: 'CONTROL_UNAVAILABLE', message: 'Control lock could not be taken; try again' }));
               }
             });
             
@@ -452,38 +3391,41 @@ uiWss.on('connection', (ws) => {
             }));
             
           } else {
-            // Someone else has control
-            ws.send(JSON.stringify({
-              type: 'error',
-              code: 'CONTROL_DENIED',
-              message: `Control held by ${robot.control.ownerName}`,
-              holder: robot.control.ownerName
-            }));
+            waitForControl(client, robotId, message.payload?.queue);
+          }
+          
+        } else if (action === 'leave') {
+          // Stop waiting in line
+          if (controlQueue.leave(robotId, clientId)) {
+            broadcastControlQueue(robotId);
           }
           
         } else if (action === 'release') {
           // Release control
           if (robot.control.ownerClientId === clientId) {
             console.log(`[CONTROL] ${robot.control.ownerName} released control of ${robotId}`);
-            robot.control = { ownerClientId: null, ownerName: null, since: null, lastCommandAt: null };
+            handleControlLoss(robotId, 'control_released');
+            auditLog.record(robotId, 'control_released', auditActor(client, robotId), { reason: 'released' });
+            setControl(robotId, null);
             
             broadcastToRobotSubscribers(robotId, {
               type: 'event',
               robotId,
               payload: { kind: 'control_released' }
             });
+            passControlOn(robotId);
           }
           
         } else if (action === 'force') {
           // Force take control (for admin/emergency)
           const previousOwner = robot.control.ownerName;
-          robot.control = {
-            ownerClientId: clientId,
-            ownerName: message.payload?.clientName || client.clientName,
-            since: Date.now(),
-            lastCommandAt: Date.now()
-          };
+          const previousOwnerClientId = robot.control.ownerClientId;
+          if (previousOwnerClientId !== clientId) {
+            handleControlLoss(robotId, 'control_forced');
+          }
+          setControl(robotId, auditActor(client, robotId));
           console.log(`[CONTROL] ${robot.control.ownerName} FORCE acquired control of ${robotId} (was: ${previousOwner})`);
+          auditLog.record(robotId, 'control_forced', auditActor(client, robotId), { previousOwner });
           
           broadcastToRobotSubscribers(robotId, {
             type: 'event',
@@ -492,16 +3434,140 @@ uiWss.on('connection', (ws) => {
               kind: 'control_forced',
               ownerClientId: clientId,
               ownerName: robot.control.ownerName,
+              ownerRole: role,
               previousOwner
             }
           });
+          
+          // Straight to the displaced owner too, in case they've unsubscribed
+          if (previousOwnerClientId && previousOwnerClientId !== clientId) {
+            sendToClient(previousOwnerClientId, {
+              type: 'event',
+              robotId,
+              payload: { kind: 'control_displaced', reason: 'forced', by: client.clientName, byRole: role }
+            });
+          }
+          
+        } else if (action === 'handover_request') {
+          // Ask the owner to hand the lock over
+          const ownerClientId = robot.control.ownerClientId;
+          let problem = null;
+          if (!ownerClientId) problem = 'Control is free; request it instead';
+          else if (ownerClientId === clientId) problem = 'You already have control';
+          else if (robot.control.ownerRole === 'system' || !uiClients.has(ownerClientId)) problem = `Control held by ${robot.control.ownerName}, who can't hand over`;
+          if (problem) {
+            ws.send(JSON.stringify({ type: 'error', code: 'HANDOVER_UNAVAILABLE', message: problem }));
+            return;
+          }
+          
+          const request = controlQueue.requestHandover(robotId, auditActor(client, robotId));
+          console.log(`[CONTROL] ${client.clientName} asked ${robot.control.ownerName} for ${robotId}`);
+          sendToClient(ownerClientId, {
+            type: 'event',
+            robotId,
+            payload: { kind: 'handover_requested', requestId: request.requestId, from: request.from, expiresAt: request.expiresAt }
+          });
+          ws.send(JSON.stringify({
+            type: 'event',
+            robotId,
+            payload: { kind: 'handover_pending', requestId: request.requestId, holder: robot.control.ownerName, expiresAt: request.expiresAt }
+          }));
+          
+        } else if (action === 'handover_accept' || action === 'handover_decline') {
+          // The owner answers a handover request
+          if (robot.control.ownerClientId !== clientId) {
+            ws.send(JSON.stringify({ type: 'error', code: 'NO_CONTROL', message: 'Only the control owner can answer a handover request' }));
+            return;
+          }
+          const request = controlQueue.takeHandover(robotId, message.payload.requestId);
+          if (!request) {
+            ws.send(JSON.stringify({ type: 'error', code: 'HANDOVER_UNAVAILABLE', message: 'Handover request not found or expired' }));
+            return;
+          }
+          const requester = uiClients.get(request.from.clientId);
+          
+          if (action === 'handover_decline') {
+            console.log(`[CONTROL] ${client.clientName} declined handover of ${robotId} to ${request.from.clientName}`);
+            sendToClient(request.from.clientId, {
+              type: 'event',
+              robotId,
+              payload: { kind: 'handover_declined', requestId: request.requestId, reason: 'declined', by: client.clientName }
+            });
+          } else if (!requester) {
+            ws.send(JSON.stringify({ type: 'error', code: 'HANDOVER_UNAVAILABLE', message: `${request.from.clientName} has disconnected` }));
+          } else {
+            const previousOwner = robot.control.ownerName;
+            handleControlLoss(robotId, 'control_handover');
+            auditLog.record(robotId, 'control_handover', auditActor(client, robotId), { to: request.from });
+            // Passed straight on: the lock is never free for anyone else to take
+            const actor = auditActor(requester, robotId);
+            setControl(robotId, actor);
+            announceControl(robotId, actor, { handoverFrom: previousOwner });
+          }
+          
+        } else if (action === 'handover_cancel') {
+          // The requester withdraws
+          controlQueue.cancelHandovers({ robotId, clientId }).forEach((request) => {
+            sendToClient(robot.control.ownerClientId, {
+              type: 'event',
+              robotId,
+              payload: { kind: 'handover_cancelled', requestId: request.requestId, reason: 'withdrawn' }
+            });
+          });
         }
         
       // =========== COMMAND ===========
       } else if (message.type === 'command') {
-        const robotId = message.robotId || 'fordward';
-        const payload = message.payload || {};
-        const kind = payload.kind;
+        const robotId = message.robotId;
+        const { payload } = message;
+        const { kind } = payload;
+        
+        if (!robots.has(robotId)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'ROBOT_OFFLINE',
+            message: `Robot ${robotId} is not connected`
+          }));
+          return;
+        }
+        
+        // === COMMAND ID ===
+        // Clients may supply their own id; otherwise we assign one
+        const commandId = message.commandId ?? randomUUID();
+        if (commandTracker.has(robotId, commandId)) {
+          ws.send(JSON.stringify({ type: 'error', code: 'DUPLICATE_COMMAND_ID', commandId, message: `Command ${commandId} is still pending` }));
+          return;
+        }
+        
+        const { robotCommand, error } = prepareCommand(client, robotId, payload);
+        if (error) {
+          ws.send(JSON.stringify({ type: 'error', ...error }));
+          return;
+        }
+        if (!dispatchCommand(client, robotId, robotCommand, { commandId, payload })) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'ROBOT_OFFLINE',
+            commandId,
+            message: `Robot ${robotId} is not connected`
+          }));
+          return;
+        }
+        console.log(`[UI] ${client.clientName} -> ${robotId}: ${kind}`);
+        
+        if (!CONFIG.untrackedCommands.includes(kind)) {
+          ws.send(JSON.stringify({
+            type: 'event',
+            robotId,
+            payload: { kind: 'command_sent', commandId, command: kind }
+          }));
+        }
+        
+      // =========== MISSION ===========
+      } else if (message.type === 'mission') {
+        const robotId = message.robotId;
+        const { action } = message.payload;
+        const permission = MISSION_PERMISSIONS[action];
         
         if (!robots.has(robotId)) {
           ws.send(JSON.stringify({
@@ -513,115 +3579,228 @@ uiWss.on('connection', (ws) => {
         }
         
         const robot = robots.get(robotId);
+        const role = roles.roleFor(client.userId, robotId);
+        if (!hasRole(role, permission.role)) {
+          sendForbidden(ws, `Mission action "${action}" requires ${permission.role} role (you are ${role})`);
+          return;
+        }
+        if (permission.requiresControl && robot.control.ownerClientId !== clientId) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'NO_CONTROL',
+            message: `You must acquire control before mission action ${action}`
+          }));
+          return;
+        }
+        if (permission.requiresControl && estops.isLatched(robotId)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'ESTOPPED',
+            message: `Robot ${robotId} is e-stopped; an admin must reset it before mission action ${action}`
+          }));
+          return;
+        }
+        if (permission.requiresControl) {
+          robot.control.lastCommandAt = Date.now();
+        }
+        if ((action === 'start' || action === 'resume') && isBatteryBlocked(robotId)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'BATTERY_LOW',
+            message: `Battery too low to ${action} a mission (${robot.telemetry.battery?.percent}%)`
+          }));
+          return;
+        }
         
-        // === CONTROL LOCK CHECK (for motion commands) ===
-        const motionCommands = ['teleop', 'goto_poi', 'dock', 'navigate'];
-        if (motionCommands.includes(kind)) {
-          if (robot.control.ownerClientId !== clientId) {
+        let ok = true;
+        if (action === 'start') {
+          const mission = missionStore.get(robotId, message.payload?.missionId);
+          if (!mission) {
+            ws.send(JSON.stringify({ type: 'error', code: 'UNKNOWN_MISSION', message: `Mission "${message.payload?.missionId}" not found` }));
+            return;
+          }
+          // Same POI check as goto_poi, up front for every step
+          const knownPois = knownPoisFor(robotId);
+          const missing = mission.steps
+            .map(step => step.poiId)
+            .filter(poiId => knownPois.length > 0 && !poiExists(knownPois, poiId));
+          if (missing.length > 0) {
             ws.send(JSON.stringify({
               type: 'error',
-              code: 'NO_CONTROL',
-              message: 'You must acquire control before sending motion commands'
+              code: 'UNKNOWN_POI',
+              message: `Mission references unknown POI(s): ${missing.join(', ')}`,
+              availablePois: knownPois.map(p => p.id || p.name)
             }));
             return;
           }
-          // Update last command time
-          robot.control.lastCommandAt = Date.now();
+          const result = missions.start(robotId, mission, auditActor(client, robotId));
+          if (!result.ok) {
+            ws.send(JSON.stringify({ type: 'error', code: result.code, message: result.message }));
+            return;
+          }
+        } else if (action === 'pause') {
+          ok = missions.pause(robotId, 'operator');
+        } else if (action === 'resume') {
+          ok = missions.resume(robotId, auditActor(client, robotId));
+        } else if (action === 'abort') {
+          ok = missions.abort(robotId, 'operator');
+        } else if (action === 'confirm') {
+          ok = missions.confirm(robotId);
         }
         
-        // === VALIDATE & SANITIZE COMMANDS ===
-        let robotCommand = null;
+        if (!ok) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'MISSION_STATE',
+            message: `Cannot ${action}: mission is ${missions.get(robotId)?.status || 'not loaded'}`,
+            mission: missions.get(robotId)
+          }));
+          return;
+        }
+        console.log(`[UI] ${client.clientName} -> ${robotId}: mission ${action}`);
         
-        switch (kind) {
-          case 'teleop':
-            // Clamp velocities
-            const linear_x = clamp(Number(payload.linear_x) || 0, -CONFIG.maxLinearVelocity, CONFIG.maxLinearVelocity);
-            const angular_z = clamp(Number(payload.angular_z) || 0, -CONFIG.maxAngularVelocity, CONFIG.maxAngularVelocity);
-            robotCommand = { type: 'command', command: 'teleop', linear_x, angular_z };
-            break;
-            
-          case 'stop':
-            robotCommand = { type: 'command', command: 'stop' };
-            break;
-            
-          case 'set_mode':
-            const mode = payload.mode;
-            if (!CONFIG.validModes.includes(mode)) {
-              ws.send(JSON.stringify({
-                type: 'error',
-                code: 'INVALID_MODE',
-                message: `Invalid mode: ${mode}. Valid: ${CONFIG.validModes.join(', ')}`
-              }));
-              return;
-            }
-            robotCommand = { type: 'command', command: 'set_mode', mode };
-            break;
-            
-          case 'load_map':
-            const mapName = payload.mapName || payload.map_name;
-            if (!mapName) {
-              ws.send(JSON.stringify({ type: 'error', code: 'MISSING_PARAM', message: 'mapName required' }));
-              return;
-            }
-            robotCommand = { type: 'command', command: 'load_map', map_name: mapName };
-            break;
-            
-          case 'save_map':
-            const saveMapName = payload.mapName || payload.map_name;
-            if (!saveMapName) {
-              ws.send(JSON.stringify({ type: 'error', code: 'MISSING_PARAM', message: 'mapName required' }));
-              return;
-            }
-            robotCommand = { type: 'command', command: 'stop_slam', map_name: saveMapName };
-            break;
-            
-          case 'goto_poi':
-            const poiId = payload.poiId || payload.poi_id;
-            if (!poiId) {
-              ws.send(JSON.stringify({ type: 'error', code: 'MISSING_PARAM', message: 'poiId required' }));
-              return;
-            }
-            // Optionally validate POI exists
-            const knownPois = robot.telemetry?.pois || [];
-            const poiExists = knownPois.some(p => p.id === poiId || p.name === poiId);
-            if (knownPois.length > 0 && !poiExists) {
-              ws.send(JSON.stringify({
-                type: 'error',
-                code: 'UNKNOWN_POI',
-                message: `POI "${poiId}" not found`,
-                availablePois: knownPois.map(p => p.id || p.name)
-              }));
-              return;
-            }
-            robotCommand = { type: 'command', command: 'go_to_poi', poi_id: poiId };
-            break;
-            
-          case 'cancel_nav':
-            robotCommand = { type: 'command', command: 'cancel_nav' };
-            break;
-            
-          case 'start_slam':
-            robotCommand = { type: 'command', command: 'start_slam' };
-            break;
-            
-          case 'restart':
-            robotCommand = { type: 'command', command: 'restart' };
-            break;
-            
-          default:
-            ws.send(JSON.stringify({
-              type: 'error',
-              code: 'UNKNOWN_COMMAND',
-              message: `Unknown command kind: ${kind}`
-            }));
+      // =========== BATTERY OVERRIDE ===========
+      } else if (message.type === 'battery') {
+        const robotId = message.robotId;
+        const { action } = message.payload;
+        const role = roles.roleFor(client.userId, robotId);
+        if (!hasRole(role, 'admin')) {
+          sendForbidden(ws, `Battery override requires admin role (you are ${role})`);
+          return;
+        }
+        if (action === 'override') {
+          const durationMs = clamp(Number(message.payload?.durationMs) || CONFIG.batteryOverrideMs, 1000, CONFIG.batteryOverrideMs);
+          batteryOverrides.set(robotId, { until: Date.now() + durationMs, by: client.clientName });
+        } else {
+          batteryOverrides.delete(robotId);
+        }
+        console.log(`[BATTERY] ${client.clientName} ${action === 'override' ? 'overrode' : 'cleared override on'} ${robotId}`);
+        auditLog.record(robotId, 'battery_override', auditActor(client, robotId), { enabled: action === 'override', until: batteryOverrides.get(robotId)?.until ?? null });
+        broadcastToRobotSubscribers(robotId, {
+          type: 'event',
+          robotId,
+          payload: {
+            kind: 'battery_override',
+            enabled: action === 'override',
+            by: client.clientName,
+            until: batteryOverrides.get(robotId)?.until ?? null,
+            level: batteryMonitor.levelOf(robotId)
+          }
+        });
+        
+      // =========== EMERGENCY STOP ===========
+      // Bypasses the control lock; latched until an admin resets it
+      } else if (message.type === 'estop') {
+        const robotId = message.robotId;
+        const { action } = message.payload;
+        const role = roles.roleFor(client.userId, robotId);
+        if (!hasRole(role, ESTOP_PERMISSIONS[action])) {
+          sendForbidden(ws, `E-stop action "${action}" requires ${ESTOP_PERMISSIONS[action]} role (you are ${role})`);
+          return;
+        }
+        if (!client.subscribedRobots.has(robotId)) {
+          ws.send(JSON.stringify({ type: 'error', code: 'NOT_SUBSCRIBED', message: `Subscribe to ${robotId} first` }));
+          return;
+        }
+        const actor = auditActor(client, robotId);
+        if (action === 'trigger') {
+          triggerEstop(robotId, actor, message.payload.reason || null);
+        } else if (!resetEstop(robotId, actor)) {
+          // Perhaps latched before this instance started; the backend knows
+          cluster.getEstop(robotId)
+            .then((latch) => {
+              if (latch) {
+                announceEstopReset(robotId, actor, latch);
+              } else {
+                ws.send(JSON.stringify({ type: 'error', code: 'NOT_ESTOPPED', message: `Robot ${robotId} is not e-stopped` }));
+              }
+            })
+            .catch(logClusterError('E-stop lookup'));
+        }
+        
+      // =========== FLEET ===========
+      // Group summaries and group commands; groups are "*", "site:..." or "tag:..."
+      } else if (message.type === 'fleet') {
+        const { action, group } = message.payload;
+        if (!parseGroup(group)) {
+          ws.send(JSON.stringify({ type: 'error', code: 'INVALID_GROUP', message: `Unknown group "${group}"; use "*", "site:<site>" or "tag:<tag>"` }));
+          return;
+        }
+        if (action === 'subscribe') {
+          fleetStreamer.open(clientId, ws, group, { maxRateHz: message.payload.maxRateHz });
+          console.log(`[UI] ${client.clientName} subscribed to fleet ${group}`);
+        } else if (action === 'unsubscribe') {
+          fleetStreamer.close(clientId, group);
+        } else {
+          runGroupCommand(client, group, message.payload);
+        }
+        
+      // =========== WEBRTC SIGNALING ===========
+      // Subscribers may watch the robot's video; the relay passes the
+      // signaling on and the media goes peer to peer
+      } else if (message.type === 'webrtc') {
+        const robotId = message.robotId;
+        const { payload } = message;
+        const robot = robots.get(robotId);
+        
+        if (payload.action === 'hangup') {
+          leaveVideo(robotId, clientId, payload.reason || 'hangup');
+          return;
+        }
+        if (!client.subscribedRobots.has(robotId)) {
+          ws.send(JSON.stringify({ type: 'error', code: 'NOT_SUBSCRIBED', message: `Subscribe to ${robotId} before starting video` }));
+          return;
+        }
+        if (!robot) {
+          ws.send(JSON.stringify({ type: 'error', code: 'ROBOT_OFFLINE', message: `Robot ${robotId} is not connected` }));
+          return;
+        }
+        if (!robot.capabilities.includes('video')) {
+          ws.send(JSON.stringify({ type: 'error', code: 'VIDEO_UNAVAILABLE', message: `Robot ${robotId} has no video` }));
+          return;
+        }
+        
+        let session = videoSessions.get(robotId, clientId);
+        if (!session && payload.action !== 'offer') {
+          ws.send(JSON.stringify({ type: 'error', code: 'NO_VIDEO_SESSION', message: 'Start video with an offer' }));
+          return;
+        }
+        if (!session) {
+          session = videoSessions.open(robotId, client);
+          if (!session) {
+            const limit = registry.get(robotId).maxVideoViewers;
+            ws.send(JSON.stringify({ type: 'error', code: 'VIDEO_BUSY', message: `Robot ${robotId} already has ${limit} video viewers`, limit }));
             return;
+          }
+          console.log(`[VIDEO] ${client.clientName} started video on ${robotId} (${videoSessions.count(robotId)} viewers)`);
         }
+        signalRobot(robotId, session, payload);
         
-        // Forward to robot
-        if (robotCommand && robot.ws.readyState === robot.ws.OPEN) {
-          robot.ws.send(JSON.stringify(robotCommand));
-          console.log(`[UI] ${client.clientName} -> ${robotId}: ${kind}`);
+      // =========== HISTORY ===========
+      } else if (message.type === 'history') {
+        const robotId = message.robotId;
+        const payload = message.payload || {};
+        const { query, error } = parseHistoryQuery(payload);
+        if (error) {
+          ws.send(JSON.stringify({ type: 'error', code: 'INVALID_PARAM', message: error }));
+          return;
         }
+        // No bounds given: a recent window, enough for a trail and battery chart
+        if (query.from === undefined && query.to === undefined) {
+          query.from = Date.now() - CONFIG.historyDefaultWindowMs;
+        }
+        const samples = telemetryHistory.query(robotId, query);
+        ws.send(JSON.stringify({
+          type: 'history',
+          robotId,
+          requestId: payload.requestId ?? null,
+          samples
+        }));
+        
+      // =========== ACK ===========
+      } else if (message.type === 'ack') {
+        // Events up to `seq` arrived; they needn't be kept for a resume
+        if (client.session) sessions.ack(client.session, message.seq);
         
       // =========== PING ===========
       } else if (message.type === 'ping') {
@@ -629,34 +3808,27 @@ uiWss.on('connection', (ws) => {
           type: 'pong',
           timestamp: new Date().toISOString()
         }));
-        
-      } else {
-        console.log(`[UI] Unknown message type from ${client.clientName}:`, message.type);
       }
     } catch (error) {
       console.error('[UI] Error parsing message:', error);
+    } finally {
+      handling = null;
     }
   });
 
   ws.on('close', () => {
-    // Auto-release control on any robot this client owned
-    robots.forEach((robot, robotId) => {
-      if (robot.control.ownerClientId === clientId) {
-        console.log(`[CONTROL] Auto-releasing ${robotId} (${client.clientName} disconnected)`);
-        robot.control = { ownerClientId: null, ownerName: null, since: null, lastCommandAt: null };
-        
-        broadcastToRobotSubscribers(robotId, {
-          type: 'event',
-          robotId,
-          payload: { kind: 'control_released', reason: 'owner_disconnected' }
-        });
-      }
-    });
+    // Replaced by a resumed connection, which carries on the session
+    if (client.ws !== ws) return;
     
-    uiClients.delete(clientId);
-    console.log(`[UI] Client disconnected: ${client.clientName}`);
-    
-    // Broadcast updated UI count
+    if (!client.session) {
+      removeUiClient(client);
+      return;
+    }
+    // Hold locks, subscriptions and relays for the grace period; events
+    // meanwhile are kept for replay
+    client.ws = sessions.park(client.session);
+    console.log(`[UI] ${client.clientName} disconnected; holding session for ${CONFIG.sessionGraceMs}ms`);
+    client.subscribedRobots.forEach(robotId => broadcastSubscriberList(robotId));
     broadcastUiCountUpdate();
   });
 
@@ -683,45 +3855,90 @@ setInterval(() => {
   const now = Date.now();
   
   robots.forEach((robot, robotId) => {
-    if (now - robot.lastSeen > CONFIG.robotTimeoutMs) {
+    if (now - robot.lastSeen > registry.get(robotId).robotTimeoutMs) {
       console.log(`[CLEANUP] Robot timeout: ${robotId}`);
       robot.ws.terminate();
+      releaseRobot(robotId, robot);
       robots.delete(robotId);
+      auditLog.record(robotId, 'robot_offline', null, { reason: 'timeout' });
+      failPendingCommands(robotId, 'Robot timed out');
+      endVideoSessions(robotId, 'robot_offline');
+      missions.pause(robotId, 'robot_offline');
+      deadman.disarm(robotId);
+      motionLimiter.reset(robotId);
+      batteryMonitor.reset(robotId);
+      stateStreamer.notify(robotId);
       
       broadcastToAll({
         type: 'event',
         robotId,
         payload: { kind: 'robot_offline', reason: 'timeout' }
       });
+      recorder.finish(robotId);
+    }
+  });
+}, CONFIG.sweepIntervalMs);
+
+// Stop replays nobody has watched for a while
+setInterval(() => {
+  const now = Date.now();
+  
+  replays.forEach((entry, replayId) => {
+    if (getSubscribers(replayId).length > 0) {
+      entry.watchedAt = now;
+    } else if (now - entry.watchedAt > CONFIG.replayIdleMs) {
+      stopReplay(replayId, 'idle');
     }
   });
-}, 30000);
+}, CONFIG.sweepIntervalMs);
 
 // Auto-release idle control locks
 setInterval(() => {
   const now = Date.now();
   
   robots.forEach((robot, robotId) => {
+    // A running mission or system client (scheduler, auto-dock) keeps the lock
     if (robot.control.ownerClientId && 
         robot.control.lastCommandAt && 
-        now - robot.control.lastCommandAt > CONFIG.controlIdleTimeoutMs) {
+        !missions.isActive(robotId) &&
+        robot.control.ownerRole !== 'system' &&
+        now - robot.control.lastCommandAt > registry.get(robotId).controlIdleTimeoutMs) {
       console.log(`[CONTROL] Auto-releasing ${robotId} (idle timeout)`);
+      handleControlLoss(robotId, 'idle_timeout');
       const previousOwner = robot.control.ownerName;
-      robot.control = { ownerClientId: null, ownerName: null, since: null, lastCommandAt: null };
+      auditLog.record(robotId, 'control_released', null, { reason: 'idle_timeout', previousOwner });
+      setControl(robotId, null);
       
       broadcastToRobotSubscribers(robotId, {
         type: 'event',
         robotId,
         payload: { kind: 'control_released', reason: 'idle_timeout', previousOwner }
       });
+      passControlOn(robotId);
     }
   });
-}, 10000);
+}, CONFIG.sweepIntervalMs);
+
+// Keep presence and control leases alive in the cluster backend
+setInterval(() => {
+  refreshCluster().catch(logClusterError('Refresh'));
+}, CONFIG.sweepIntervalMs);
 
 // =============================================================================
 // SERVER STARTUP
 // =============================================================================
 
+cluster.start()
+  .then(() => Promise.all([
+    cluster.subscribe('broadcast', handleBroadcastMessage),
+    cluster.subscribe(`instance:${CONFIG.instanceId}`, handleInstanceMessage),
+  ]))
+  .then(() => refreshCluster())
+  .catch((error) => {
+    console.error(`[CLUSTER] Backend unavailable: ${error.message}`);
+    process.exit(1);
+  });
+
 server.listen(PORT, () => {
   console.log(`
 🤖 Fordward Cloud Backend v1.0.0
@@ -731,11 +3948,14 @@ server.listen(PORT, () => {
   Health check:     http://localhost:${PORT}/
   Robots API:       http://localhost:${PORT}/robots
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  Max linear vel:   ${CONFIG.maxLinearVelocity} m/s
-  Max angular vel:  ${CONFIG.maxAngularVelocity} rad/s
+  Max linear vel:   ${CONFIG.maxLinearVelocity} m/s (accel ${CONFIG.maxLinearAccel} m/s²)
+  Max angular vel:  ${CONFIG.maxAngularVelocity} rad/s (accel ${CONFIG.maxAngularAccel} rad/s²)
   Control timeout:  ${CONFIG.controlIdleTimeoutMs / 1000}s
+  Teleop deadman:   ${CONFIG.teleopDeadmanMs}ms
+  Instance:         ${CONFIG.instanceId} (${CONFIG.redisUrl ? 'redis' : 'standalone'})
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 `);
+  scheduler.start();
 });
 
 // Graceful shutdown
@@ -748,6 +3968,7 @@ process.on('SIGTERM', () => {
     payload: { kind: 'server_shutdown' }
   });
   
+  webhooks.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
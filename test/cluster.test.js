@@ -0,0 +1,273 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { createConnection } from 'net';
+import { createMemoryBackend, createMemoryStore } from '../lib/cluster.js';
+import { RedisError, createRedisBackend, parseReply } from '../lib/redis.js';
+import { ROBOT_ID, connectUi, freePort, startRelay, startRobot, waitFor } from './helpers.js';
+
+const alice = { clientId: 'c-alice', clientName: 'Alice', role: 'operator', since: 1 };
+const bob = { clientId: 'c-bob', clientName: 'Bob', role: 'operator', since: 2 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A throwaway redis-server on a free port, or TEST_REDIS_URL if set.
+ * Null when neither is available, and the Redis tests are skipped.
+ */
+async function startRedis() {
+  if (process.env.TEST_REDIS_URL) return { url: process.env.TEST_REDIS_URL, stop() {} };
+  const port = await freePort();
+  const child = spawn('redis-server', ['--port', String(port), '--save', '', '--appendonly', 'no'], { stdio: 'ignore' });
+  const spawned = await new Promise((resolve) => {
+    child.once('error', () => resolve(false));
+    child.once('spawn', () => resolve(true));
+  });
+  if (!spawned) return null;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const listening = await new Promise((resolve) => {
+      const probe = createConnection({ host: '127.0.0.1', port });
+      probe.once('connect', () => {
+        probe.end();
+        resolve(true);
+      });
+      probe.once('error', () => resolve(false));
+    });
+    if (listening) return { url: `redis://127.0.0.1:${port}`, stop: () => child.kill() };
+    await sleep(100);
+  }
+  child.kill();
+  return null;
+}
+
+const redis = await startRedis();
+
+/**
+ * What the relay relies on from any backend, checked with two instances
+ * sharing it. `createPair()` returns [a, b], started.
+ */
+function backendContract(createPair) {
+  let a;
+  let b;
+
+  before(async () => {
+    [a, b] = await createPair();
+  });
+
+  after(async () => {
+    await Promise.all([a.close(), b.close()]);
+  });
+
+  test('only one instance gets a free lock', async () => {
+    assert.deepEqual(await a.acquireControl('r1', alice, 5000), { acquired: true, renewed: false, holder: alice });
+    assert.deepEqual(await b.acquireControl('r1', bob, 5000), { acquired: false, renewed: false, holder: alice });
+    assert.deepEqual(await b.acquireControl('r1', alice, 5000), { acquired: true, renewed: true, holder: alice });
+    assert.equal(await b.releaseControl('r1', bob.clientId), false);
+    assert.equal(await a.renewControl('r1', alice.clientId, 5000), true);
+    assert.equal(await a.releaseControl('r1', alice.clientId), true);
+    assert.equal((await b.acquireControl('r1', bob, 5000)).acquired, true);
+    assert.deepEqual(await a.forceControl('r1', alice, 5000), bob);
+    assert.deepEqual(await b.getControl('r1'), alice);
+  });
+
+  test('locks and presence are leases', async () => {
+    await a.acquireControl('r2', alice, 50);
+    await a.setPresence('r2', 50);
+    assert.equal((await b.listPresence()).get('r2'), a.instanceId);
+    assert.equal(await b.clearPresence('r2'), false);
+    await sleep(100);
+    assert.equal((await b.listPresence()).has('r2'), false);
+    assert.deepEqual(await b.acquireControl('r2', bob, 5000), { acquired: true, renewed: false, holder: bob });
+  });
+
+  test('e-stop latches are shared until cleared', async () => {
+    const latch = { triggeredBy: alice, reason: 'person in the aisle', since: 3 };
+    await a.setEstop('r3', latch);
+    await sleep(100);
+    assert.deepEqual(await b.getEstop('r3'), latch);
+    await b.clearEstop('r3');
+    assert.equal(await a.getEstop('r3'), null);
+  });
+
+  test('instances see each other and can message each other', async () => {
+    await Promise.all([a.heartbeat(5000), b.heartbeat(5000)]);
+    assert.deepEqual((await a.listInstances()).sort(), [a.instanceId, b.instanceId].sort());
+
+    const received = [];
+    await b.subscribe(`instance:${b.instanceId}`, message => received.push(message));
+    await a.publish(`instance:${b.instanceId}`, { type: 'ui_message', clientId: 'c-1' });
+    await a.publish(`instance:${a.instanceId}`, { type: 'not for b' });
+    for (let i = 0; i < 50 && received.length === 0; i++) await sleep(10);
+    assert.deepEqual(received, [{ type: 'ui_message', clientId: 'c-1' }]);
+  });
+}
+
+describe('memory backend shared by two instances', () => {
+  backendContract(async () => {
+    const store = createMemoryStore();
+    return [createMemoryBackend({ instanceId: 'relay-a', store }), createMemoryBackend({ instanceId: 'relay-b', store })];
+  });
+});
+
+describe('redis backend shared by two instances', { skip: !redis && 'no redis-server available' }, () => {
+  after(() => redis.stop());
+
+  backendContract(async () => {
+    // A fresh prefix each run, so a shared TEST_REDIS_URL starts clean
+    const prefix = `fordward-test-${randomUUID().slice(0, 8)}`;
+    const pair = [
+      createRedisBackend({ url: redis.url, prefix, instanceId: 'relay-a' }),
+      createRedisBackend({ url: redis.url, prefix, instanceId: 'relay-b' }),
+    ];
+    await Promise.all(pair.map(backend => backend.start()));
+    return pair;
+  });
+
+  test('two relays never both grant the same lock', async () => {
+    const env = { REDIS_URL: redis.url, REDIS_PREFIX: `fordward-test-${randomUUID().slice(0, 8)}` };
+    const roles = { alice: 'operator', bob: 'operator' };
+    const relays = [
+      await startRelay({ roles, env: { ...env, INSTANCE_ID: 'relay-a' } }),
+      await startRelay({ roles, env: { ...env, INSTANCE_ID: 'relay-b' } }),
+    ];
+    const robot = await startRobot(relays[0]);
+    const [alice, bob] = await Promise.all([['alice', relays[0]], ['bob', relays[1]]].map(async ([userId, relay]) => {
+      const ui = connectUi(relay, userId);
+      await ui.ready;
+      ui.send({ type: 'subscribe', robotId: ROBOT_ID });
+      await ui.next(message => message.type === 'state');
+      return ui;
+    }));
+    try {
+      alice.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+      bob.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+      const { payload: acquired } = await alice.event('control_acquired');
+      const loser = acquired.ownerName === 'alice' ? bob : alice;
+      assert.equal((await loser.event('control_queued')).payload.holder, acquired.ownerName);
+      await sleep(200);
+      const grants = [...alice.messages, ...bob.messages].filter(message => message.payload?.kind === 'control_acquired');
+      assert.ok(grants.every(message => message.payload.ownerClientId === acquired.ownerClientId));
+    } finally {
+      alice.close();
+      bob.close();
+      robot.stop();
+      await Promise.all(relays.map(relay => relay.stop()));
+    }
+  });
+
+  test('an e-stop follows the robot to another relay', async () => {
+    const env = { REDIS_URL: redis.url, REDIS_PREFIX: `fordward-test-${randomUUID().slice(0, 8)}` };
+    const roles = { alice: 'admin' };
+    const relays = [
+      await startRelay({ roles, env: { ...env, INSTANCE_ID: 'relay-a' } }),
+      await startRelay({ roles, env: { ...env, INSTANCE_ID: 'relay-b' } }),
+    ];
+    const first = await startRobot(relays[0]);
+    const alice = connectUi(relays[0], 'alice');
+    let second = null;
+    try {
+      await alice.ready;
+      alice.send({ type: 'subscribe', robotId: ROBOT_ID });
+      await alice.next(message => message.type === 'state');
+      alice.send({ type: 'estop', robotId: ROBOT_ID, payload: { action: 'trigger' } });
+      await alice.event('estop_acknowledged');
+      first.stop();
+
+      second = await startRobot(relays[1]);
+      await waitFor(() => second.commands.some(message => message.command === 'stop' && message.estop === true));
+      alice.skip();
+      alice.send({ type: 'estop', robotId: ROBOT_ID, payload: { action: 'reset' } });
+      await alice.event('estop_reset');
+    } finally {
+      alice.close();
+      first.stop();
+      second?.stop();
+      await Promise.all(relays.map(relay => relay.stop()));
+    }
+  });
+
+  test('a relay started after the e-stop can reset it without stopping the robot again', async () => {
+    const env = { REDIS_URL: redis.url, REDIS_PREFIX: `fordward-test-${randomUUID().slice(0, 8)}` };
+    const roles = { alice: 'admin', bob: 'admin' };
+    const relays = [await startRelay({ roles, env: { ...env, INSTANCE_ID: 'relay-a' } })];
+    const robot = await startRobot(relays[0]);
+    const alice = connectUi(relays[0], 'alice');
+    let bob = null;
+    try {
+      await alice.ready;
+      alice.send({ type: 'subscribe', robotId: ROBOT_ID });
+      await alice.next(message => message.type === 'state');
+      alice.send({ type: 'estop', robotId: ROBOT_ID, payload: { action: 'trigger' } });
+      await alice.event('estop_acknowledged');
+
+      relays.push(await startRelay({ roles, env: { ...env, INSTANCE_ID: 'relay-b' } }));
+      bob = connectUi(relays[1], 'bob');
+      await bob.ready;
+      bob.send({ type: 'subscribe', robotId: ROBOT_ID });
+      await bob.next(message => message.type === 'state');
+      const stops = robot.commands.filter(message => message.estop === true).length;
+      bob.send({ type: 'estop', robotId: ROBOT_ID, payload: { action: 'reset' } });
+      assert.equal((await bob.event('estop_reset')).payload.resetBy, 'bob');
+      await sleep(200);
+      assert.equal(robot.commands.filter(message => message.estop === true).length, stops);
+    } finally {
+      alice.close();
+      bob?.close();
+      robot.stop();
+      await Promise.all(relays.map(relay => relay.stop()));
+    }
+  });
+
+  test('group commands reach robots on the other relay, with one result', async () => {
+    const env = { REDIS_URL: redis.url, REDIS_PREFIX: `fordward-test-${randomUUID().slice(0, 8)}` };
+    const options = { roles: { alice: 'operator' }, robotIds: [ROBOT_ID, 'zippy'] };
+    const relays = [
+      await startRelay({ ...options, env: { ...env, INSTANCE_ID: 'relay-a' } }),
+      await startRelay({ ...options, env: { ...env, INSTANCE_ID: 'relay-b' } }),
+    ];
+    const robots = [await startRobot(relays[0]), await startRobot(relays[1], { robotId: 'zippy' })];
+    const alice = connectUi(relays[0], 'alice');
+    try {
+      await alice.ready;
+      alice.send({ type: 'fleet', payload: { action: 'subscribe', group: '*', maxRateHz: 10 } });
+      const snapshot = await alice.next(message => message.type === 'fleet');
+      if (!snapshot.robots.zippy?.online) await alice.next(message => message.type === 'fleet_delta' && message.ops.some(op => op.path.startsWith('/zippy')));
+
+      alice.send({ type: 'fleet', payload: { action: 'command', group: '*', commandId: 'stop-all', command: { kind: 'stop' } } });
+      const result = await alice.next(message => message.type === 'fleet_command_result', 5000);
+      assert.deepEqual(result.summary, { total: 2, succeeded: 2, failed: 0, timed_out: 0, rejected: 0 });
+      assert.deepEqual(result.results.map(entry => [entry.robotId, entry.commandId]), [[ROBOT_ID, `stop-all:${ROBOT_ID}`], ['zippy', 'stop-all:zippy']]);
+      assert.ok(robots[1].commands.some(message => message.command === 'stop' && message.command_id === 'stop-all:zippy'));
+    } finally {
+      alice.close();
+      robots.forEach(robot => robot.stop());
+      await Promise.all(relays.map(relay => relay.stop()));
+    }
+  });
+});
+
+describe('RESP parsing', () => {
+  test('parses each reply type', () => {
+    const parse = text => parseReply(Buffer.from(text));
+    assert.deepEqual(parse('+OK\r\n'), ['OK', 5]);
+    assert.deepEqual(parse(':42\r\n'), [42, 5]);
+    assert.deepEqual(parse('$4\r\nhé!\r\n'), ['hé!', 10]);
+    assert.deepEqual(parse('$-1\r\n'), [null, 5]);
+    assert.deepEqual(parse('*2\r\n$1\r\n0\r\n*2\r\n:1\r\n$-1\r\n'), [['0', [1, null]], 24]);
+    const [error] = parse('-NOSCRIPT No matching script\r\n');
+    assert.ok(error instanceof RedisError);
+    assert.equal(error.message, 'NOSCRIPT No matching script');
+  });
+
+  test('waits for the rest of a split reply', () => {
+    const reply = Buffer.from('*2\r\n$5\r\nhello\r\n$5\r\nworld\r\n');
+    for (let length = 0; length < reply.length; length++) {
+      assert.equal(parseReply(reply.subarray(0, length)), null);
+    }
+    const two = Buffer.concat([Buffer.from('+PONG\r\n'), reply]);
+    const [first, offset] = parseReply(two);
+    assert.equal(first, 'PONG');
+    assert.deepEqual(parseReply(two, offset), [['hello', 'world'], two.length]);
+  });
+});
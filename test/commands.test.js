@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ROBOT_ID, connectDriver, startRelay, startRobot, waitFor } from './helpers.js';
+
+const POIS = [
+  { id: 'dock', name: 'Dock', x: 0, y: 0, theta: 0 },
+  { id: 'lab', name: 'Lab', x: 1, y: 0.5, theta: 1.57 },
+];
+
+describe('commands', () => {
+  let relay;
+  let robot;
+  let alice;
+
+  before(async () => {
+    relay = await startRelay({ roles: { alice: 'admin' } });
+    robot = await startRobot(relay, { maps: ['office'], pois: { office: POIS } });
+    alice = await connectDriver(relay, 'alice');
+  });
+
+  after(async () => {
+    alice?.close();
+    robot.stop();
+    await relay.stop();
+  });
+
+  function command(payload, commandId) {
+    alice.send({ type: 'command', robotId: ROBOT_ID, commandId, payload });
+  }
+
+  function result(commandId) {
+    return alice.next(message => message.payload?.kind === 'command_result' && message.payload.commandId === commandId);
+  }
+
+  function teleops() {
+    return robot.commands.filter(message => message.command === 'teleop');
+  }
+
+  test('teleop is clamped to the speed limits and ramped up', async () => {
+    for (let i = 0; i < 30; i++) {
+      command({ kind: 'teleop', linear_x: 5, angular_z: -9 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await waitFor(() => teleops().length === 30);
+    const sent = teleops();
+    assert.ok(sent.every(message => message.linear_x >= 0 && message.linear_x <= 0.5));
+    assert.ok(sent.every(message => message.angular_z <= 0 && message.angular_z >= -1.5));
+    assert.ok(sent[0].linear_x < 0.5, 'first command should be limited by acceleration');
+    assert.equal(sent.at(-1).linear_x, 0.5);
+    assert.equal(sent.at(-1).angular_z, -1.5);
+
+    command({ kind: 'stop' }, 'stop-1');
+    assert.equal((await result('stop-1')).payload.success, true);
+  });
+
+  test('lower limits from the robot config apply to the next teleop', async () => {
+    const res = await fetch(`${relay.httpUrl}/robots/${ROBOT_ID}/config`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${relay.token('alice')}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ maxLinearVelocity: 0.2 }),
+    });
+    assert.equal(res.status, 200);
+
+    robot.commands.length = 0;
+    for (let i = 0; i < 20; i++) {
+      command({ kind: 'teleop', linear_x: 1, angular_z: 0 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await waitFor(() => teleops().length === 20);
+    assert.equal(teleops().at(-1).linear_x, 0.2);
+    assert.ok(teleops().every(message => message.linear_x <= 0.2));
+
+    command({ kind: 'stop' }, 'stop-2');
+    await result('stop-2');
+  });
+
+  test('goto_poi is checked against the POIs the robot knows', async () => {
+    command({ kind: 'goto_poi', poiId: 'moon' }, 'goto-moon');
+    const error = await alice.error('UNKNOWN_POI');
+    assert.deepEqual(error.availablePois.sort(), ['dock', 'lab']);
+    assert.ok(!robot.commands.some(message => message.command_id === 'goto-moon'));
+  });
+
+  test('goto_poi drives there and reports the result', async () => {
+    robot.state.pose.x = 0;
+    robot.state.pose.y = 0;
+    command({ kind: 'goto_poi', poiId: 'lab' }, 'goto-lab');
+    const outcome = await result('goto-lab');
+    assert.equal(outcome.payload.success, true);
+    assert.ok(Math.hypot(robot.state.pose.x - 1, robot.state.pose.y - 0.5) < 0.1);
+    assert.equal(robot.state.nav.lastResult, 'succeeded');
+  });
+
+  test('set_mode is checked against the valid modes', async () => {
+    command({ kind: 'set_mode', mode: 'warp' }, 'mode-warp');
+    assert.equal((await alice.error('INVALID_MODE')).code, 'INVALID_MODE');
+
+    command({ kind: 'set_mode', mode: 'nav' }, 'mode-nav');
+    const outcome = await result('mode-nav');
+    assert.equal(outcome.payload.success, true);
+    assert.equal(outcome.payload.message, 'Mode set to nav');
+  });
+
+  test('mapping saves a new map and switches to it', async () => {
+    command({ kind: 'save_map', mapName: 'lab-map' }, 'save-early');
+    assert.equal((await result('save-early')).payload.success, false);
+
+    command({ kind: 'start_slam' }, 'slam');
+    await result('slam');
+    command({ kind: 'save_map', mapName: 'lab-map' }, 'save');
+    assert.equal((await result('save')).payload.success, true);
+    assert.deepEqual(robot.state.maps, { active: 'lab-map', available: ['office', 'lab-map'] });
+  });
+
+  test('malformed commands are rejected before they reach the robot', async () => {
+    const before = robot.commands.length;
+    command({ kind: 'load_map' }, 'no-map-name');
+    const error = await alice.error('INVALID_MESSAGE');
+    assert.equal(error.commandId, 'no-map-name');
+    assert.deepEqual(error.errors, [{ path: '/payload/mapName', message: 'is required' }]);
+    assert.equal(robot.commands.length, before);
+  });
+});
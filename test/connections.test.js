@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import WebSocket from 'ws';
+import { ROBOT_ID, connectDriver, connectUi, startRelay, startRobot, waitFor } from './helpers.js';
+
+const POIS = [{ id: 'far', name: 'Far away', x: 100, y: 0, theta: 0 }];
+
+describe('timeouts and reconnects', () => {
+  let relay;
+  let robot;
+  let alice;
+  let vic;
+  const closes = [];
+
+  before(async () => {
+    relay = await startRelay({
+      roles: { alice: 'admin', vic: 'viewer' },
+      env: { COMMAND_TIMEOUT_MS: '300', UI_SESSION_GRACE_MS: '2000' },
+    });
+    // A bridge that loses set_mode, and drives slowly enough to be caught mid-goal
+    robot = await startRobot(relay, {
+      maps: ['office'],
+      pois: { office: POIS },
+      drop: ['set_mode'],
+      timeScale: 1,
+      onClose: code => closes.push(code),
+    });
+    alice = await connectDriver(relay, 'alice');
+    vic = connectUi(relay, 'vic');
+    await vic.ready;
+    vic.send({ type: 'subscribe', robotId: ROBOT_ID });
+    await vic.next(message => message.type === 'state');
+  });
+
+  after(async () => {
+    [alice, vic].forEach(client => client?.close());
+    robot.stop();
+    await relay.stop();
+  });
+
+  test('robots need valid credentials', async () => {
+    const ws = new WebSocket(`${relay.url}/robot`);
+    await new Promise(resolve => ws.on('open', resolve));
+    ws.send(JSON.stringify({ type: 'hello', robotId: ROBOT_ID, protocolVersion: 2, secret: 'wrong' }));
+    const [code] = await new Promise(resolve => ws.on('close', (...args) => resolve(args)));
+    assert.equal(code, 4401);
+  });
+
+  test('commands the robot never answers time out', async () => {
+    alice.send({ type: 'command', robotId: ROBOT_ID, commandId: 'lost', payload: { kind: 'set_mode', mode: 'nav' } });
+    const timeout = await alice.event('command_timeout');
+    assert.equal(timeout.payload.commandId, 'lost');
+    assert.equal(timeout.payload.success, false);
+    assert.ok(timeout.payload.latencyMs >= 300);
+    assert.equal((await vic.event('command_timeout')).payload.issuedBy, 'alice');
+  });
+
+  test('a robot that reconnects replaces its old connection, failing what was pending', async () => {
+    alice.send({ type: 'command', robotId: ROBOT_ID, commandId: 'trip', payload: { kind: 'goto_poi', poiId: 'far' } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const replacement = await startRobot(relay, { maps: ['office'], pois: { office: POIS } });
+    await waitFor(() => closes.includes(4409));
+    const failed = await alice.next(message => message.payload?.kind === 'command_timeout' && message.payload.commandId === 'trip');
+    assert.equal(failed.payload.message, 'Robot reconnected');
+
+    robot.stop();
+    robot = replacement;
+  });
+
+  test('a robot that drops out goes offline, and is back when it reconnects', async () => {
+    vic.skip();
+    robot.stop();
+    robot = await startRobot(relay, { reconnectMs: 200 });
+    await vic.event('robot_offline');
+    await vic.event('robot_online');
+
+    robot.disconnect();
+    const offline = await vic.event('robot_offline');
+    assert.equal(offline.payload.reason, 'disconnected');
+    await vic.event('robot_online');
+  });
+
+  test('restart is answered, then the robot comes back', async () => {
+    alice.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+    await alice.next(message => ['control_acquired', 'control_confirmed'].includes(message.payload?.kind));
+    vic.skip();
+    alice.send({ type: 'command', robotId: ROBOT_ID, commandId: 'reboot', payload: { kind: 'restart' } });
+    const outcome = await alice.next(message => message.payload?.kind === 'command_result' && message.payload.commandId === 'reboot');
+    assert.equal(outcome.payload.success, true);
+    await vic.event('robot_offline');
+    await vic.event('robot_online');
+  });
+
+  test('a UI that drops keeps its session and lock within the grace period', async () => {
+    alice.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+    await alice.next(message => ['control_acquired', 'control_confirmed'].includes(message.payload?.kind));
+    const { sessionToken, clientId } = await alice.ready;
+    alice.ws.terminate();
+
+    alice = connectUi(relay, 'alice', { query: `&resume=${sessionToken}` });
+    const welcome = await alice.ready;
+    assert.equal(welcome.resumed, true);
+    assert.equal(welcome.clientId, clientId);
+    assert.deepEqual(welcome.subscriptions, [ROBOT_ID]);
+
+    alice.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+    await alice.event('control_confirmed');
+  });
+
+  test('robotIds the relay doesn\'t know are counted as other', async () => {
+    vic.send({ type: 'subscribe', robotId: 'no-such-robot-1' });
+    await vic.next(message => message.type === 'state' && message.robotId === 'no-such-robot-1');
+    vic.send({ type: 'command', robotId: 'no-such-robot-2', payload: { kind: 'stop' } });
+    const { code } = await vic.error();
+    const metrics = await (await fetch(`${relay.httpUrl}/metrics`)).text();
+    assert.doesNotMatch(metrics, /no-such-robot/);
+    assert.match(metrics, /fordward_ws_messages_received_total\{endpoint="ui",robotId="other",type="subscribe"\} 1/);
+    assert.match(metrics, new RegExp(`fordward_ui_errors_total\\{robotId="other",type="command",code="${code}"\\} 1`));
+  });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ROBOT_ID, connectDriver, connectUi, startRelay, startRobot } from './helpers.js';
+
+describe('control lock', () => {
+  let relay;
+  let robot;
+  let bob;
+  let carol;
+  let vic;
+
+  before(async () => {
+    relay = await startRelay({
+      roles: { alice: 'admin', bob: 'operator', carol: 'operator', vic: 'viewer' },
+      // Disconnects release the lock straight away
+      env: { UI_SESSION_GRACE_MS: '0' },
+    });
+    robot = await startRobot(relay);
+    vic = connectUi(relay, 'vic');
+    await vic.ready;
+    vic.send({ type: 'subscribe', robotId: ROBOT_ID });
+    await vic.next(message => message.type === 'state');
+  });
+
+  after(async () => {
+    [bob, carol, vic].forEach(client => client?.close());
+    robot.stop();
+    await relay.stop();
+  });
+
+  test('the first operator to ask gets it, and subscribers are told', async () => {
+    bob = await connectDriver(relay, 'bob');
+    const acquired = await vic.event('control_acquired');
+    assert.equal(acquired.payload.ownerName, 'bob');
+    assert.equal(acquired.payload.ownerRole, 'operator');
+  });
+
+  test('viewers cannot take it', async () => {
+    vic.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+    const error = await vic.error();
+    assert.equal(error.code, 'FORBIDDEN');
+  });
+
+  test('another operator is denied, or queued if they will wait', async () => {
+    carol = connectUi(relay, 'carol');
+    await carol.ready;
+    carol.send({ type: 'subscribe', robotId: ROBOT_ID });
+    await carol.next(message => message.type === 'state');
+
+    carol.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request', queue: false } });
+    const denied = await carol.error();
+    assert.equal(denied.code, 'CONTROL_DENIED');
+    assert.equal(denied.holder, 'bob');
+
+    carol.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+    const queued = await carol.event('control_queued');
+    assert.equal(queued.payload.position, 1);
+  });
+
+  test('motion commands need the lock, safety commands do not', async () => {
+    carol.send({ type: 'command', robotId: ROBOT_ID, payload: { kind: 'teleop', linear_x: 0.2, angular_z: 0 } });
+    assert.equal((await carol.error()).code, 'NO_CONTROL');
+
+    carol.send({ type: 'command', robotId: ROBOT_ID, commandId: 'carol-stop', payload: { kind: 'stop' } });
+    const result = await carol.event('command_result');
+    assert.equal(result.payload.commandId, 'carol-stop');
+    assert.equal(result.payload.success, true);
+    assert.ok(robot.commands.some(command => command.command === 'stop'));
+  });
+
+  test('releasing hands it to the next in line', async () => {
+    bob.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'release' } });
+    const acquired = await carol.event('control_acquired');
+    assert.equal(acquired.payload.ownerName, 'carol');
+    assert.equal(acquired.payload.fromQueue, true);
+  });
+
+  test('an admin can force it away, and the displaced owner is told', async () => {
+    const alice = connectUi(relay, 'alice');
+    await alice.ready;
+    alice.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'force' } });
+
+    const displaced = await carol.event('control_displaced');
+    assert.equal(displaced.payload.reason, 'forced');
+    assert.equal(displaced.payload.by, 'alice');
+    const forced = await vic.event('control_forced');
+    assert.equal(forced.payload.previousOwner, 'carol');
+
+    alice.close();
+    await vic.next(message => message.payload?.kind === 'control_released' && message.payload.reason === 'owner_disconnected');
+  });
+
+  test('the lock shows in the robot state', async () => {
+    carol.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+    await carol.event('control_acquired');
+    const res = await fetch(`${relay.httpUrl}/robots/${ROBOT_ID}`, { headers: { Authorization: `Bearer ${relay.token('vic')}` } });
+    const state = await res.json();
+    assert.equal(state.control.ownerName, 'carol');
+    assert.deepEqual(state.control.queue, []);
+  });
+});
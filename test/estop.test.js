@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ROBOT_ID, connectDriver, connectUi, startRelay, startRobot, waitFor } from './helpers.js';
+
+describe('emergency stop', () => {
+  let relay;
+  let robot;
+  let zippy;
+  const clients = [];
+
+  before(async () => {
+    relay = await startRelay({ roles: { alice: 'admin', bob: 'operator', vic: 'viewer' }, robotIds: [ROBOT_ID, 'zippy'] });
+    robot = await startRobot(relay);
+    // Never answers a stop, so the relay has to keep sending it
+    zippy = await startRobot(relay, { robotId: 'zippy', drop: ['stop'], reconnectMs: 100 });
+  });
+
+  after(async () => {
+    clients.forEach(client => client.close());
+    robot.stop();
+    zippy.stop();
+    await relay.stop();
+  });
+
+  async function watch(userId, robotId = ROBOT_ID) {
+    const ui = connectUi(relay, userId);
+    clients.push(ui);
+    await ui.ready;
+    ui.send({ type: 'subscribe', robotId });
+    await ui.next(message => message.type === 'state');
+    return ui;
+  }
+
+  function estop(ui, action, { robotId = ROBOT_ID, reason } = {}) {
+    ui.send({ type: 'estop', robotId, payload: { action, reason } });
+  }
+
+  test('any operator can e-stop, and nothing moves until an admin resets it', async () => {
+    const alice = await connectDriver(relay, 'alice');
+    clients.push(alice);
+    const bob = await watch('bob');
+    const vic = await watch('vic');
+
+    estop(vic, 'trigger');
+    assert.equal((await vic.error()).code, 'FORBIDDEN');
+
+    // Bob doesn't hold the lock; Alice does
+    estop(bob, 'trigger', { reason: 'person in the aisle' });
+    const triggered = await alice.event('estop_triggered');
+    assert.deepEqual([triggered.payload.triggeredBy, triggered.payload.reason, triggered.payload.online], ['bob', 'person in the aisle', true]);
+    const { payload: sent } = await alice.event('estop_sent');
+    assert.equal(sent.attempt, 1);
+    const { payload: acknowledged } = await alice.event('estop_acknowledged');
+    assert.deepEqual([acknowledged.commandId, acknowledged.success, acknowledged.attempts], [sent.commandId, true, 1]);
+    assert.ok(robot.commands.some(message => message.command === 'stop' && message.estop === true && message.command_id === sent.commandId));
+
+    alice.send({ type: 'command', robotId: ROBOT_ID, payload: { kind: 'teleop', linear_x: 0.2 } });
+    assert.equal((await alice.error()).code, 'ESTOPPED');
+    alice.send({ type: 'command', robotId: ROBOT_ID, payload: { kind: 'set_mode', mode: 'nav' } });
+    await alice.next(message => message.payload?.kind === 'command_result' && message.payload.command === 'set_mode');
+
+    estop(bob, 'reset');
+    assert.equal((await bob.error()).code, 'FORBIDDEN');
+    estop(alice, 'reset');
+    const reset = await bob.event('estop_reset');
+    assert.equal(reset.payload.resetBy, 'alice');
+    assert.equal(reset.payload.estop.triggeredBy, 'bob');
+    estop(alice, 'reset');
+    assert.equal((await alice.error()).code, 'NOT_ESTOPPED');
+
+    alice.send({ type: 'command', robotId: ROBOT_ID, payload: { kind: 'teleop', linear_x: 0 } });
+    await waitFor(() => robot.commands.some(message => message.command === 'teleop'));
+  });
+
+  test('the stop is repeated until the robot answers, and sent again when it reconnects', async () => {
+    const alice = await watch('alice', 'zippy');
+    estop(alice, 'trigger', { robotId: 'zippy' });
+    const { payload: first } = await alice.event('estop_sent');
+    await waitFor(() => zippy.commands.filter(message => message.command_id === first.commandId).length >= 3);
+
+    zippy.send({ type: 'command_result', command_id: first.commandId, command: 'stop', success: true, message: 'Stopped' });
+    const { payload: acknowledged } = await alice.event('estop_acknowledged');
+    assert.ok(acknowledged.attempts >= 3);
+    alice.send({ type: 'subscribe', robotId: 'zippy' });
+    const { payload: state } = await alice.next(message => message.type === 'state');
+    assert.equal(state.estop.commandId, first.commandId);
+    assert.equal(state.estop.acknowledged.success, true);
+
+    // Still latched: the robot gets a fresh stop when it comes back
+    alice.skip();
+    zippy.disconnect();
+    await alice.event('robot_online');
+    const { payload: again } = await alice.event('estop_sent');
+    assert.notEqual(again.commandId, first.commandId);
+    await waitFor(() => zippy.commands.some(message => message.command_id === again.commandId));
+
+    estop(alice, 'reset', { robotId: 'zippy' });
+    await alice.event('estop_reset');
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { applyPatch } from '../lib/state-stream.js';
+import { connectUi, startRelay, startRobot } from './helpers.js';
+
+const POIS = { office: [{ id: 'dock', name: 'Dock', x: 0.3, y: 0, theta: 0 }] };
+
+describe('fleet', () => {
+  let relay;
+  let fordward;
+  let zippy;
+  let alice;
+
+  before(async () => {
+    relay = await startRelay({
+      roles: { alice: 'admin' },
+      robotIds: ['fordward', 'zippy', 'rover'],
+      config: {
+        fordward: { site: 'lab', tags: ['indoor'] },
+        zippy: { site: 'lab', tags: ['indoor', 'fast'] },
+        rover: { site: 'yard' },
+      },
+    });
+    fordward = await startRobot(relay, { robotId: 'fordward', maps: ['office'], pois: POIS });
+    zippy = await startRobot(relay, { robotId: 'zippy', maps: ['office'], pois: POIS });
+    alice = connectUi(relay, 'alice');
+    await alice.ready;
+  });
+
+  after(async () => {
+    alice?.close();
+    fordward.stop();
+    zippy.stop();
+    await relay.stop();
+  });
+
+  function fleetCommand(group, commandId, command) {
+    alice.send({ type: 'fleet', payload: { action: 'command', group, commandId, command } });
+    return alice.next(message => message.type === 'fleet_command_result' && message.commandId === commandId, 5000);
+  }
+
+  test('a fleet subscription streams compact status for the group', async () => {
+    alice.send({ type: 'fleet', payload: { action: 'subscribe', group: 'site:lab', maxRateHz: 10 } });
+    const snapshot = await alice.next(message => message.type === 'fleet');
+    assert.deepEqual(Object.keys(snapshot.robots), ['fordward', 'zippy']);
+    assert.equal(snapshot.robots.zippy.online, true);
+    assert.equal(snapshot.robots.zippy.mode, 'idle');
+    assert.deepEqual(snapshot.robots.zippy.tags, ['indoor', 'fast']);
+
+    alice.send({ type: 'control', robotId: 'fordward', payload: { action: 'request' } });
+    let robots = snapshot.robots;
+    while (robots.fordward.controlOwner !== 'alice') {
+      const delta = await alice.next(message => message.type === 'fleet_delta');
+      robots = applyPatch(robots, delta.ops);
+    }
+
+    const everyone = await (await fetch(`${relay.httpUrl}/fleet`, { headers: { Authorization: `Bearer ${relay.token('alice')}` } })).json();
+    assert.deepEqual(everyone.robots.rover, { online: false, site: 'yard', tags: [] });
+    const groups = await (await fetch(`${relay.httpUrl}/fleet/groups`, { headers: { Authorization: `Bearer ${relay.token('alice')}` } })).json();
+    assert.deepEqual(groups, { sites: { lab: ['fordward', 'zippy'], yard: ['rover'] }, tags: { indoor: ['fordward', 'zippy'], fast: ['zippy'] } });
+
+    alice.send({ type: 'fleet', payload: { action: 'unsubscribe', group: 'site:lab' } });
+  });
+
+  test('stop all reaches every robot and comes back as one result', async () => {
+    const result = await fleetCommand('tag:indoor', 'stop-all', { kind: 'stop' });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.summary, { total: 2, succeeded: 2, failed: 0, timed_out: 0, rejected: 0 });
+    assert.ok(fordward.commands.some(message => message.command === 'stop' && message.command_id === 'stop-all:fordward'));
+    assert.ok(zippy.commands.some(message => message.command === 'stop' && message.command_id === 'stop-all:zippy'));
+  });
+
+  test('group commands follow each robot\'s control lock', async () => {
+    const result = await fleetCommand('*', 'dock-all', { kind: 'dock' });
+    assert.equal(result.success, false);
+    const byRobot = Object.fromEntries(result.results.map(entry => [entry.robotId, entry]));
+    assert.equal(byRobot.fordward.status, 'succeeded');
+    assert.equal(byRobot.zippy.code, 'NO_CONTROL');
+    assert.equal(byRobot.rover.code, 'ROBOT_OFFLINE');
+    assert.deepEqual(result.summary, { total: 3, succeeded: 1, failed: 0, timed_out: 0, rejected: 2 });
+    assert.ok(!zippy.commands.some(message => message.command === 'dock'));
+  });
+
+  test('unknown groups, kinds and rates are refused', async () => {
+    alice.send({ type: 'fleet', payload: { action: 'subscribe', group: 'floor:2' } });
+    assert.equal((await alice.error()).code, 'INVALID_GROUP');
+    alice.send({ type: 'fleet', payload: { action: 'subscribe', group: '*', maxRateHz: 1e6 } });
+    assert.equal((await alice.error()).code, 'INVALID_MESSAGE');
+    alice.send({ type: 'fleet', payload: { action: 'command', group: '*', command: { kind: 'teleop', linear_x: 1 } } });
+    assert.equal((await alice.error()).code, 'INVALID_MESSAGE');
+  });
+});
@@ -0,0 +1,214 @@
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { signToken } from '../lib/auth.js';
+import { createSimRobot } from '../lib/simulator.js';
+
+// =============================================================================
+// TEST HARNESS
+// =============================================================================
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const AUTH_SECRET = 'test-auth-secret';
+const ROBOT_SECRET = 'test-robot-secret';
+
+export const ROBOT_ID = 'fordward';
+
+/** A TCP port nothing is listening on right now. */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js in a child process on a free port, with its own roles
+ * file and data directories. `roles` maps user ids to their role on the
+ * test robots (`robotIds`, which all share the robot secret); `config`
+ * is the robot registry file's content; `env` adds or overrides
+ * environment variables.
+ */
+export async function startRelay({ roles = {}, robotIds = [ROBOT_ID], config = {}, env = {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'relay-test-'));
+  const port = await freePort();
+  writeFileSync(join(dir, 'roles.json'), JSON.stringify({ robots: Object.fromEntries(robotIds.map(robotId => [robotId, roles])) }));
+  writeFileSync(join(dir, 'robots.json'), JSON.stringify(config));
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      AUTH_SECRET,
+      ROBOT_SECRETS: robotIds.map(robotId => `${robotId}:${ROBOT_SECRET}`).join(','),
+      ROLES_FILE: join(dir, 'roles.json'),
+      ROBOTS_CONFIG_FILE: join(dir, 'robots.json'),
+      SPEED_CONFIG_FILE: join(dir, 'speed.json'),
+      AUDIT_DIR: join(dir, 'audit'),
+      MISSIONS_DIR: join(dir, 'missions'),
+      SCHEDULES_DIR: join(dir, 'schedules'),
+      POIS_DIR: join(dir, 'pois'),
+      MAPS_DIR: join(dir, 'maps'),
+      WEBHOOKS_DIR: join(dir, 'webhooks'),
+      RECORDINGS_DIR: join(dir, 'recordings'),
+      ...env,
+    },
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('UI endpoint')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `ws://localhost:${port}`,
+    httpUrl: `http://localhost:${port}`,
+    robotSecret: ROBOT_SECRET,
+    output: () => output,
+
+    token(userId, name = userId) {
+      return signToken({ sub: userId, name }, AUTH_SECRET);
+    },
+
+    async stop() {
+      child.removeAllListeners('exit');
+      if (child.exitCode === null && child.signalCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGKILL');
+        await exited;
+      }
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Simulated robot connected to `relay`, recording the commands it gets in
+ * `robot.commands`. Runs 10x faster than real time unless told otherwise.
+ */
+export async function startRobot(relay, options = {}) {
+  const commands = [];
+  const robot = createSimRobot({
+    url: relay.url,
+    secret: relay.robotSecret,
+    timeScale: 10,
+    reconnectMs: null,
+    ...options,
+    onCommand: (message) => {
+      commands.push(message);
+      options.onCommand?.(message);
+    },
+  });
+  robot.commands = commands;
+  await robot.start();
+  return robot;
+}
+
+/**
+ * A /ui connection that keeps every message it receives. `next(match)`
+ * resolves with the first message matching that no earlier `next` took,
+ * waiting for it if need be.
+ */
+export function connectUi(relay, userId, { protocolVersion = 2, query = '' } = {}) {
+  const ws = new WebSocket(`${relay.url}/ui?token=${relay.token(userId)}&protocolVersion=${protocolVersion}${query}`);
+  const messages = [];
+  const taken = new Set();
+  const waiters = [];
+
+  const client = {
+    ws,
+    messages,
+    closed: null,
+
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+
+    next(match, timeoutMs = 3000) {
+      const found = messages.find(message => !taken.has(message) && match(message));
+      if (found) {
+        taken.add(found);
+        return Promise.resolve(found);
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`Timed out waiting for a message; got ${JSON.stringify(messages.filter(m => !taken.has(m)))}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+
+    event(kind, timeoutMs) {
+      return client.next(message => message.type === 'event' && message.payload?.kind === kind, timeoutMs);
+    },
+
+    error(code, timeoutMs) {
+      return client.next(message => message.type === 'error' && (!code || message.code === code), timeoutMs);
+    },
+
+    /** Treat everything received so far as seen; `next` waits for newer messages. */
+    skip() {
+      messages.forEach(message => taken.add(message));
+    },
+
+    close() {
+      ws.close();
+    },
+  };
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    const waiter = waiters.find(w => w.match(message));
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      taken.add(message);
+      waiter.resolve(message);
+    }
+  });
+  ws.on('close', (code, reason) => { client.closed = { code, reason: reason.toString() }; });
+
+  client.ready = client.next(message => message.type === 'welcome');
+  return client;
+}
+
+/** Poll `check` until it returns something truthy. */
+export async function waitFor(check, { timeoutMs = 3000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/** A UI client subscribed to the test robot and holding its control lock. */
+export async function connectDriver(relay, userId) {
+  const ui = connectUi(relay, userId);
+  await ui.ready;
+  ui.send({ type: 'subscribe', robotId: ROBOT_ID });
+  await ui.next(message => message.type === 'state');
+  ui.send({ type: 'control', robotId: ROBOT_ID, payload: { action: 'request' } });
+  await ui.event('control_acquired');
+  return ui;
+}
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createMissionRunner } from '../lib/missions.js';
+import { ROBOT_ID, connectDriver, startRelay, startRobot } from './helpers.js';
+
+const POIS = { office: [{ id: 'dock', x: 0, y: 0, theta: 0 }, { id: 'lab', name: 'Lab', x: 3, y: 0, theta: 0 }] };
+
+describe('missions', () => {
+  let relay;
+  let robot;
+  let alice;
+
+  before(async () => {
+    relay = await startRelay({ roles: { alice: 'admin' } });
+    robot = await startRobot(relay, { maps: ['office'], pois: POIS });
+    alice = await connectDriver(relay, 'alice');
+  });
+
+  after(async () => {
+    alice?.close();
+    robot.stop();
+    await relay.stop();
+  });
+
+  async function createMission(body) {
+    const res = await fetch(`${relay.httpUrl}/robots/${ROBOT_ID}/missions`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${relay.token('alice')}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assert.equal(res.status, 201);
+    return (await res.json()).id;
+  }
+
+  function mission(action, extra = {}) {
+    alice.send({ type: 'mission', robotId: ROBOT_ID, payload: { action, ...extra } });
+  }
+
+  test('pausing mid-navigation and resuming finishes the step', async () => {
+    const missionId = await createMission({ name: 'To the lab', steps: [{ poiId: 'lab' }] });
+    mission('start', { missionId });
+    await alice.next(message => message.payload?.kind === 'mission_step' && message.payload.mission.phase === 'navigating');
+    mission('pause');
+    assert.equal((await alice.event('mission_paused')).payload.reason, 'operator');
+
+    // The robot answers the cancelled goal with a failure; that isn't the mission failing
+    const cancelled = robot.commands.find(message => message.command === 'go_to_poi');
+    await alice.next(message => message.payload?.kind === 'command_result' && message.payload.commandId === cancelled.command_id);
+    mission('resume');
+    await alice.event('mission_resumed');
+    const completed = await alice.event('mission_completed', 5000);
+    assert.equal(completed.payload.mission.stepIndex, 1);
+    assert.ok(!alice.messages.some(message => message.payload?.kind === 'mission_failed'));
+    assert.equal(robot.commands.filter(message => message.command === 'go_to_poi').length, 2);
+  });
+});
+
+test('a robot that acknowledges goals on acceptance still finishes each step', () => {
+  const goals = []; // [poiId, done]
+  const events = [];
+  const runner = createMissionRunner({
+    sendGoto: (robotId, poiId, run, done) => goals.push([poiId, done]) > 0,
+    cancelNav: () => true,
+    emit: (robotId, kind, mission) => events.push([kind, mission.stepIndex]),
+  });
+  const telemetry = (state, lastResult) => runner.onTelemetry(ROBOT_ID, { nav: { state, lastResult } });
+
+  telemetry('idle', null);
+  runner.start(ROBOT_ID, { id: 'm1', name: 'Round trip', steps: [{ poiId: 'lab' }, { poiId: 'dock' }] }, { clientId: 'c-alice' });
+  goals[0][1]({ success: true });
+  telemetry('pending', null);
+  telemetry('idle', 'succeeded');
+  assert.deepEqual(goals.map(([poiId]) => poiId), ['lab', 'dock']);
+
+  // Accepted, but the robot still shows the lab's result
+  goals[1][1]({ success: true });
+  telemetry('pending', 'succeeded');
+  telemetry('idle', 'succeeded');
+  assert.equal(runner.get(ROBOT_ID).stepIndex, 1);
+  telemetry('pending', null);
+  telemetry('idle', 'succeeded');
+  assert.deepEqual(events.at(-1), ['mission_completed', 2]);
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { PROTOCOL_VERSION, negotiateVersion, parseMessage, validate } from '../lib/protocol.js';
+
+describe('protocol', () => {
+  test('versions are negotiated down to what both sides speak', () => {
+    assert.equal(negotiateVersion(undefined), 1);
+    assert.equal(negotiateVersion(1), 1);
+    assert.equal(negotiateVersion(PROTOCOL_VERSION + 5), PROTOCOL_VERSION);
+    assert.equal(negotiateVersion(0), null);
+    assert.equal(negotiateVersion('2'), null);
+  });
+
+  test('tagged unions only report errors from the matching branch', () => {
+    const schema = {
+      type: 'object',
+      oneOf: [
+        { properties: { kind: { const: 'a' }, n: { type: 'number' } }, required: ['kind', 'n'] },
+        { properties: { kind: { const: 'b' } }, required: ['kind'] },
+      ],
+    };
+    assert.deepEqual(validate(schema, { kind: 'b' }), []);
+    assert.deepEqual(validate(schema, { kind: 'a' }), [{ path: '/n', message: 'is required' }]);
+    assert.deepEqual(validate(schema, { kind: 'c' }), [{ path: '/kind', message: 'must be one of "a", "b"' }]);
+  });
+
+  test('version 1 robot messages are upgraded', () => {
+    const hello = parseMessage('robot', JSON.stringify({ type: 'register', robot_id: 'r1', secret: 's' }), null);
+    assert.equal(hello.message.type, 'hello');
+    assert.equal(hello.message.robotId, 'r1');
+
+    const telemetry = parseMessage('robot', JSON.stringify({ type: 'telemetry', battery: 42, mode: 'nav', map: 'office' }), 1);
+    assert.deepEqual(telemetry.message.payload.battery, { percent: 42, voltage: undefined });
+    assert.equal(telemetry.message.payload.maps.active, 'office');
+  });
+
+  test('version 1 UI aliases are upgraded, and rejected in version 2', () => {
+    const text = JSON.stringify({ type: 'command', payload: { kind: 'goto_poi', poi_id: 'lab', commandId: 'c1' } });
+    const { message } = parseMessage('ui', text, 1);
+    assert.deepEqual(message, { type: 'command', robotId: 'fordward', commandId: 'c1', payload: { kind: 'goto_poi', poiId: 'lab' } });
+
+    const rejected = parseMessage('ui', text, 2);
+    assert.equal(rejected.type, 'command');
+    assert.deepEqual(rejected.errors.map(error => error.path), ['/robotId', '/payload/poiId']);
+  });
+
+  test('unknown types and bad JSON are rejected', () => {
+    assert.equal(parseMessage('ui', '{"type":"teleport"}', 2).errors[0].message, 'unknown message type "teleport"');
+    assert.equal(parseMessage('ui', 'nope', 2).errors[0].message, 'must be valid JSON');
+  });
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { gunzipSync } from 'zlib';
+import { createReplay, parse } from '../lib/recordings.js';
+import { ROBOT_ID, connectDriver, connectUi, startRelay, startRobot } from './helpers.js';
+
+describe('recordings', () => {
+  let relay;
+  let alice;
+  let recordingId;
+
+  before(async () => {
+    relay = await startRelay({ roles: { alice: 'admin', vic: 'viewer' } });
+    const robot = await startRobot(relay, { maps: ['office'] });
+    alice = await connectDriver(relay, 'alice');
+    alice.send({ type: 'command', robotId: ROBOT_ID, commandId: 'nav', payload: { kind: 'set_mode', mode: 'nav' } });
+    await alice.next(message => message.payload?.kind === 'command_result' && message.payload.commandId === 'nav');
+    robot.stop();
+    await alice.event('robot_offline');
+  });
+
+  after(async () => {
+    alice?.close();
+    await relay.stop();
+  });
+
+  function api(path, { userId = 'alice', method = 'GET', body } = {}) {
+    return fetch(`${relay.httpUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${relay.token(userId)}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+  }
+
+  test('a session is recorded from hello to offline, and can be downloaded', async () => {
+    const { recordings } = await (await api(`/robots/${ROBOT_ID}/recordings`)).json();
+    assert.equal(recordings.length, 1);
+    assert.equal(recordings[0].active, undefined);
+    ({ recordingId } = recordings[0]);
+
+    const res = await api(`/robots/${ROBOT_ID}/recordings/${recordingId}`);
+    assert.equal(res.headers.get('content-type'), 'application/gzip');
+    const { header, entries } = parse(gunzipSync(Buffer.from(await res.arrayBuffer())));
+    assert.equal(header.robotId, ROBOT_ID);
+    assert.equal(entries.length, recordings[0].entries);
+
+    const types = new Set(entries.map(([, type]) => type));
+    assert.deepEqual([...types].sort(), ['command', 'command_result', 'event', 'telemetry']);
+    assert.ok(entries.some(([, type, data]) => type === 'command' && data.command === 'set_mode' && data.command_id === 'nav'));
+    assert.ok(entries.some(([, type, data]) => type === 'event' && data.kind === 'control_acquired'));
+    assert.equal(entries.at(-1)[2].kind, 'robot_offline');
+    assert.ok(entries.every(([offset], i) => i === 0 || offset >= entries[i - 1][0]));
+
+    assert.equal((await api(`/robots/${ROBOT_ID}/recordings`, { userId: 'vic' })).status, 403);
+    assert.equal((await api(`/robots/${ROBOT_ID}/recordings/nope`)).status, 404);
+  });
+
+  test('a recording replays as a robot that can be watched but not driven', async () => {
+    const started = await api(`/robots/${ROBOT_ID}/recordings/${recordingId}/replay`, { method: 'POST', body: { paused: true } });
+    assert.equal(started.status, 201);
+    const { replayId, durationMs } = await started.json();
+
+    const ui = connectUi(relay, 'alice');
+    await ui.ready;
+    ui.send({ type: 'subscribe', robotId: replayId });
+    const { payload } = await ui.next(message => message.type === 'state' && message.robotId === replayId);
+    assert.equal(payload.replay.sourceRobotId, ROBOT_ID);
+    assert.equal(payload.replay.paused, true);
+
+    ui.send({ type: 'control', robotId: replayId, payload: { action: 'request' } });
+    assert.equal((await ui.error()).code, 'READ_ONLY');
+
+    const resumed = await api(`/replays/${replayId}`, { method: 'PATCH', body: { paused: false, speed: 20 } });
+    assert.equal((await resumed.json()).speed, 20);
+    assert.equal((await ui.event('command_result')).payload.commandId, 'nav');
+    await ui.event('replay_ended');
+
+    const seeked = await (await api(`/replays/${replayId}`, { method: 'PATCH', body: { positionMs: 0, paused: true } })).json();
+    assert.deepEqual([seeked.positionMs, seeked.durationMs, seeked.ended], [0, durationMs, false]);
+    assert.equal((await api(`/replays/${replayId}`, { method: 'PATCH', body: { speed: 0 } })).status, 400);
+    assert.equal((await api(`/replays/${replayId}`, { userId: 'vic' })).status, 404);
+
+    assert.equal((await api(`/replays/${replayId}`, { method: 'DELETE' })).status, 204);
+    await ui.next(message => message.payload?.kind === 'robot_offline' && message.payload.reason === 'replay_stopped');
+    assert.deepEqual((await (await api('/replays')).json()).replays, []);
+    ui.close();
+  });
+
+  test('seeking rebuilds the state at that point', () => {
+    const recording = {
+      header: { recordingId: 'r', robotId: ROBOT_ID, startedAt: 0, robot: {} },
+      entries: [
+        [0, 'telemetry', { mode: 'idle' }],
+        [100, 'event', { kind: 'control_acquired', ownerName: 'Alice', ownerRole: 'admin' }],
+        [200, 'telemetry', { mode: 'nav' }],
+        [300, 'event', { kind: 'control_released' }],
+      ],
+    };
+    const replay = createReplay(recording, { paused: true, positionMs: 250 });
+    assert.deepEqual(replay.state.telemetry, { mode: 'nav' });
+    assert.equal(replay.state.control.ownerName, 'Alice');
+
+    replay.seek(50);
+    assert.deepEqual(replay.state.telemetry, { mode: 'idle' });
+    assert.equal(replay.state.control.ownerName, null);
+    assert.equal(replay.status().positionMs, 50);
+    replay.stop();
+  });
+});
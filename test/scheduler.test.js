@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createScheduler } from '../lib/scheduler.js';
+import { waitFor } from './helpers.js';
+
+const SCHEDULE = { id: 's1', robotId: 'fordward', name: 'Patrol', enabled: true, whenOffline: 'retry' };
+
+function setup(schedules, onExecute) {
+  const runs = [];
+  const scheduler = createScheduler({
+    store: { get: (robotId, scheduleId) => schedules[scheduleId] || null, recordRun: run => runs.push(run) },
+    execute: async () => {
+      onExecute?.();
+      return { status: 'offline', reason: 'Robot offline' };
+    },
+    retryDelayMs: 20,
+  });
+  return { scheduler, runs };
+}
+
+test('a manual run isn\'t retried once its schedule is deleted', async () => {
+  const schedules = { s1: SCHEDULE };
+  // Deleted while the second attempt runs
+  const { scheduler, runs } = setup(schedules, () => runs.length === 1 && delete schedules.s1);
+  await scheduler.runNow(SCHEDULE);
+  await waitFor(() => runs.length === 2);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(runs.map(run => [run.attempt, run.status]), [[1, 'retrying'], [2, 'retrying']]);
+});
+
+test('stopping cancels pending retries', async () => {
+  const { scheduler, runs } = setup({ s1: SCHEDULE });
+  await scheduler.runNow(SCHEDULE);
+  scheduler.stop();
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(runs.length, 1);
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ROBOT_ID, connectUi, startRelay, startRobot, waitFor } from './helpers.js';
+
+const OFFER = { action: 'offer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\n' };
+
+describe('video signaling', () => {
+  let relay;
+  let robot;
+  let robotWelcome;
+  let alice;
+  const signals = [];
+  const clients = [];
+
+  before(async () => {
+    relay = await startRelay({ env: { WEBRTC_MAX_VIEWERS: '2', ICE_SERVERS: 'stun:stun.example.com:3478' } });
+    robot = await startRobot(relay, {
+      video: true,
+      onSignal: message => signals.push(message),
+      onWelcome: (message) => { robotWelcome = message; },
+    });
+  });
+
+  after(async () => {
+    clients.forEach(client => client.close());
+    robot.stop();
+    await relay.stop();
+  });
+
+  async function watch(userId) {
+    const ui = connectUi(relay, userId);
+    clients.push(ui);
+    await ui.ready;
+    ui.send({ type: 'subscribe', robotId: ROBOT_ID });
+    await ui.next(message => message.type === 'state');
+    return ui;
+  }
+
+  function signal(ui, payload) {
+    ui.send({ type: 'webrtc', robotId: ROBOT_ID, payload });
+  }
+
+  function signalFrom(ui, action) {
+    return ui.next(message => message.type === 'webrtc' && message.payload.action === action);
+  }
+
+  test('both sides are told the ICE servers', async () => {
+    const ui = connectUi(relay, 'vic');
+    clients.push(ui);
+    assert.deepEqual((await ui.ready).iceServers, [{ urls: 'stun:stun.example.com:3478' }]);
+    assert.deepEqual(robotWelcome.iceServers, [{ urls: 'stun:stun.example.com:3478' }]);
+  });
+
+  test('offers, answers and candidates pass between a viewer and the robot', async () => {
+    alice = await watch('alice');
+    const { clientId } = await alice.ready;
+
+    signal(alice, OFFER);
+    const offer = await waitFor(() => signals.find(message => message.payload.action === 'offer'));
+    assert.deepEqual(offer, { type: 'webrtc', peerId: clientId, peerName: 'alice', payload: OFFER });
+
+    robot.send({ type: 'webrtc', peerId: clientId, payload: { action: 'answer', sdp: 'v=0 answer' } });
+    assert.equal((await signalFrom(alice, 'answer')).payload.sdp, 'v=0 answer');
+
+    const candidate = { candidate: 'candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+    robot.send({ type: 'webrtc', peerId: clientId, payload: { action: 'ice', candidate } });
+    assert.deepEqual((await signalFrom(alice, 'ice')).payload.candidate, candidate);
+
+    signal(alice, { action: 'ice', candidate: null });
+    await waitFor(() => signals.find(message => message.payload.action === 'ice' && message.payload.candidate === null));
+  });
+
+  test('only subscribers can watch, and only so many at once', async () => {
+    const vic = connectUi(relay, 'vic');
+    clients.push(vic);
+    await vic.ready;
+    signal(vic, OFFER);
+    assert.equal((await vic.error()).code, 'NOT_SUBSCRIBED');
+
+    const bob = await watch('bob');
+    signal(bob, { action: 'ice', candidate: null });
+    assert.equal((await bob.error()).code, 'NO_VIDEO_SESSION');
+    signal(bob, OFFER);
+    await waitFor(() => signals.some(message => message.peerName === 'bob'));
+
+    const carol = await watch('carol');
+    signal(carol, OFFER);
+    const busy = await carol.error();
+    assert.equal(busy.code, 'VIDEO_BUSY');
+    assert.equal(busy.limit, 2);
+
+    // Bob leaving makes room
+    bob.send({ type: 'unsubscribe', robotId: ROBOT_ID });
+    const hangup = await waitFor(() => signals.find(message => message.peerName === 'bob' && message.payload.action === 'hangup'));
+    assert.equal(hangup.payload.reason, 'viewer_unsubscribed');
+    signal(carol, OFFER);
+    await waitFor(() => signals.some(message => message.peerName === 'carol'));
+  });
+
+  test('viewers are hung up on when the robot goes away', async () => {
+    robot.stop();
+    const hangup = await signalFrom(alice, 'hangup');
+    assert.equal(hangup.payload.reason, 'robot_offline');
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWebhookStore, verifyWebhook } from '../lib/webhooks.js';
+import { ROBOT_ID, connectDriver, freePort, startRelay, startRobot, waitFor } from './helpers.js';
+
+const SECRET = 'test-webhook-secret-0123456789';
+
+describe('webhooks', () => {
+  let relay;
+  let robot;
+  let receiver;
+  let receiverUrl;
+  const received = []; // { headers, body }
+  const statuses = []; // answered in order, then 200
+
+  before(async () => {
+    receiver = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    const port = await freePort();
+    await new Promise(resolve => receiver.listen(port, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${port}/hook`;
+
+    relay = await startRelay({ roles: { alice: 'admin' }, env: { WEBHOOK_BACKOFF_MS: '50' } });
+    robot = await startRobot(relay);
+  });
+
+  after(async () => {
+    robot.stop();
+    await relay.stop();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  function api(method, path, body) {
+    return fetch(`${relay.httpUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${relay.token('alice')}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+  }
+
+  async function createWebhook(events) {
+    const res = await api('POST', '/webhooks', { url: receiverUrl, events, robots: [ROBOT_ID], secret: SECRET });
+    assert.equal(res.status, 201);
+    return (await res.json()).id;
+  }
+
+  async function deliveries(webhookId, count) {
+    for (let tries = 0; ; tries++) {
+      const list = (await (await api('GET', `/webhooks/${webhookId}/deliveries`)).json()).deliveries;
+      if (list.length >= count || tries === 100) return list;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  test('events are signed and retried until the receiver takes them', async () => {
+    const webhookId = await createWebhook(['control_acquired']);
+    statuses.push(503, 503);
+    received.length = 0;
+    const alice = await connectDriver(relay, 'alice');
+    alice.close();
+
+    await waitFor(() => received.length === 3);
+    const [first] = received;
+    assert.equal(first.headers['x-webhook-id'], webhookId);
+    assert.equal(first.headers['x-webhook-event'], 'control_acquired');
+    const body = JSON.parse(first.body);
+    assert.deepEqual([body.kind, body.robotId, body.payload.ownerName], ['control_acquired', ROBOT_ID, 'alice']);
+    received.forEach(({ headers, body: raw }) => {
+      assert.equal(headers['x-webhook-delivery'], body.deliveryId);
+      assert.equal(raw, first.body);
+      assert.ok(verifyWebhook(SECRET, { signature: headers['x-webhook-signature'], timestamp: headers['x-webhook-timestamp'], body: raw }));
+    });
+    assert.ok(!verifyWebhook('some-other-secret-0000', { signature: first.headers['x-webhook-signature'], timestamp: first.headers['x-webhook-timestamp'], body: first.body }));
+
+    const attempts = await deliveries(webhookId, 3);
+    assert.deepEqual(attempts.map(attempt => [attempt.attempt, attempt.status, attempt.statusCode]), [[3, 'delivered', 200], [2, 'retrying', 503], [1, 'retrying', 503]]);
+    assert.equal((await api('DELETE', `/webhooks/${webhookId}`)).status, 204);
+  });
+
+  test('a delivery that gives up is dead-lettered and can be redelivered', async () => {
+    const webhookId = await createWebhook(['ping']);
+    statuses.push(410);
+    const ping = await (await api('POST', `/webhooks/${webhookId}/test`)).json();
+    assert.deepEqual([ping.status, ping.statusCode], ['failed', 410]);
+
+    const { deadLetters } = await (await api('GET', '/webhooks/dead-letters')).json();
+    assert.equal(deadLetters.length, 1);
+    assert.deepEqual([deadLetters[0].deliveryId, deadLetters[0].attempts, deadLetters[0].lastError], [ping.deliveryId, 1, 'HTTP 410']);
+
+    const redelivered = await (await api('POST', `/webhooks/dead-letters/${ping.deliveryId}/redeliver`)).json();
+    assert.deepEqual([redelivered.deliveryId, redelivered.status], [ping.deliveryId, 'delivered']);
+    assert.equal(JSON.parse(received.at(-1).body).deliveryId, ping.deliveryId);
+  });
+
+  test('instances sharing the directory don\'t undo each other\'s writes', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'webhooks-test-'));
+    try {
+      const a = createWebhookStore({ dir });
+      const b = createWebhookStore({ dir });
+      a.put({ id: 'one', createdAt: 1 });
+      b.put({ id: 'two', createdAt: 2 });
+      assert.equal(a.remove('two'), true);
+      assert.deepEqual(createWebhookStore({ dir }).all().map(webhook => webhook.id), ['one']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});